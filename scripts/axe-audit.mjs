@@ -4,6 +4,8 @@ import fs from "node:fs";
 import path from "node:path";
 import process from "node:process";
 import puppeteer from "puppeteer";
+import { openBrowserSession } from "../src/quality/common/browser-pool.mjs";
+import { createCheckEventEmitter } from "../src/quality/common/events.mjs";
 
 const DEFAULT_REPORT_DIR = path.join(process.cwd(), "reports", "axe");
 const AXE_SOURCE_PATH = path.join(
@@ -217,6 +219,14 @@ function normalizeAxePageResult(raw = {}) {
       helpUrl: entry?.helpUrl || "",
       tags: Array.isArray(entry?.tags) ? entry.tags : [],
       nodeCount: Array.isArray(entry?.nodes) ? entry.nodes.length : 0,
+      selectors: (Array.isArray(entry?.nodes) ? entry.nodes : [])
+        .map((node) =>
+          []
+            .concat(node?.target || [])
+            .flat(Infinity)
+            .join(" "),
+        )
+        .filter(Boolean),
     })),
   };
 }
@@ -280,6 +290,9 @@ function flattenIssues(pageResults = []) {
         helpUrl: violation?.helpUrl || "",
         tags: Array.isArray(violation?.tags) ? violation.tags : [],
         nodeCount: Number(violation?.nodeCount || 0),
+        selectors: Array.isArray(violation?.selectors)
+          ? violation.selectors
+          : [],
       });
     }
   }
@@ -415,19 +428,24 @@ async function main() {
   }
 
   const rawResults = [];
-  const browser = await puppeteer.launch({ headless: "new" });
-  const page = await browser.newPage();
+  const events = createCheckEventEmitter({ total: urls.length });
+  const session = await openBrowserSession(puppeteer);
   try {
-    for (const url of urls) {
-      const result = await runAxeForUrl(page, url, {
+    for (const [index, url] of urls.entries()) {
+      events.pageStarted(url, index + 1);
+      const result = await runAxeForUrl(await session.page(), url, {
         reportDir,
         quiet: Boolean(args.quiet),
       });
       rawResults.push(result);
+      const violations = result.payload?.violations?.length || 0;
+      events.pageCompleted(url, index + 1, {
+        issues: violations,
+        failed: result.exitCode !== 0 || violations > 0,
+      });
     }
   } finally {
-    await page.close();
-    await browser.close();
+    await session.close();
   }
   const pageResults = rawResults.map(normalizeAxePageResult);
   const issues = flattenIssues(pageResults);
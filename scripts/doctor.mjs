@@ -0,0 +1,48 @@
+#!/usr/bin/env node
+
+import { runDoctor } from "../src/quality/core/doctor.mjs";
+
+const STATUS_LABEL = {
+  pass: "✅ pass",
+  warn: "⚠️  warn",
+  fail: "❌ fail",
+};
+
+function parseArgs(argv) {
+  return {
+    strict: argv.includes("--strict"),
+  };
+}
+
+function printTable(results) {
+  const labelWidth = Math.max(...results.map((entry) => entry.label.length));
+  for (const entry of results) {
+    console.log(
+      `${STATUS_LABEL[entry.status]}  ${entry.label.padEnd(labelWidth)}  ${entry.message}`,
+    );
+    if (entry.fix && entry.status !== "pass") {
+      console.log(`${" ".repeat(9 + labelWidth)}↳ ${entry.fix}`);
+    }
+  }
+}
+
+const options = parseArgs(process.argv.slice(2));
+
+runDoctor({ cwd: process.cwd() })
+  .then(({ results, checks }) => {
+    console.log(`🩺 Checking environment for: ${checks.join(", ") || "none"}`);
+    printTable(results);
+
+    const failures = results.filter((entry) => entry.status === "fail");
+    const warnings = results.filter((entry) => entry.status === "warn");
+    console.log(
+      `\n${results.length - failures.length - warnings.length} passed, ${warnings.length} warning(s), ${failures.length} failure(s).`,
+    );
+    if (options.strict && (failures.length || warnings.length)) {
+      process.exitCode = 1;
+    }
+  })
+  .catch((err) => {
+    console.error("doctor failed:", err?.message || String(err));
+    process.exit(1);
+  });
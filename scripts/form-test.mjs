@@ -7,8 +7,15 @@ import { spawn } from "node:child_process";
 import readline from "node:readline/promises";
 import { parse } from "node-html-parser";
 import puppeteer from "puppeteer";
+import { openBrowserSession } from "../src/quality/common/browser-pool.mjs";
+import { isCiMode, missingAnswerError } from "../src/cli/ci-mode.mjs";
+import { createCheckEventEmitter } from "../src/quality/common/events.mjs";
+import { createPageFetcher } from "../src/quality/common/page-cache.mjs";
+import { authHeadersFor } from "../src/quality/common/auth-headers.mjs";
 
 const DEFAULT_REPORT_DIR = path.join(process.cwd(), "reports", "form");
+// Pages come from the run's page cache when the suite provides one.
+const fetchPage = createPageFetcher();
 
 function parseArgs(argv = []) {
   const options = {};
@@ -781,6 +788,7 @@ async function discoverForms(
   { quiet = false, formIdAllowlist = [] } = {},
 ) {
   const discovered = [];
+  const events = createCheckEventEmitter({ total: urls.length });
   const allowedIds = new Set(
     (Array.isArray(formIdAllowlist) ? formIdAllowlist : [])
       .map((entry) => String(entry || "").trim())
@@ -804,15 +812,17 @@ async function discoverForms(
     }
   };
 
-  for (const url of urls) {
+  for (const [index, url] of urls.entries()) {
+    events.pageStarted(url, index + 1);
     let html = "";
     try {
-      const res = await fetch(url);
+      const res = await fetchPage(url);
       const contentType = (res.headers.get("content-type") || "").toLowerCase();
       if (!res.ok || !contentType.includes("text/html")) {
         if (!quiet) {
           console.log(`Skipping non-HTML URL: ${url}`);
         }
+        events.pageCompleted(url, index + 1, { skipped: true });
         continue;
       }
       html = await res.text();
@@ -820,8 +830,10 @@ async function discoverForms(
       if (!quiet) {
         console.log(`Failed to fetch ${url}: ${error?.message || error}`);
       }
+      events.pageCompleted(url, index + 1, { skipped: true });
       continue;
     }
+    const formsBefore = discovered.length;
 
     const root = parse(html);
     const forms = root.querySelectorAll("form");
@@ -888,6 +900,9 @@ async function discoverForms(
         fields,
       });
     }
+    events.pageCompleted(url, index + 1, {
+      forms: discovered.length - formsBefore,
+    });
   }
 
   return discovered;
@@ -975,7 +990,10 @@ async function runApiProbe(
     }
 
     let target = actionUrl;
-    const options = { method, headers: { ...(headers || {}) } };
+    const options = {
+      method,
+      headers: { ...authHeadersFor(actionUrl), ...(headers || {}) },
+    };
 
     if (method === "GET") {
       const sep = actionUrl.includes("?") ? "&" : "?";
@@ -1061,12 +1079,12 @@ function withEmailTestOverrides(payload = {}) {
 async function runFrontendProbes(forms = [], { quiet = false } = {}) {
   if (!forms.length) return [];
 
-  const browser = await puppeteer.launch({ headless: "new" });
-  const page = await browser.newPage();
+  const session = await openBrowserSession(puppeteer);
   const results = [];
 
   try {
     for (const form of forms) {
+      const page = await session.page();
       const pageUrl = String(form?.pageUrl || "");
       const formIndex = Number(form?.formIndex || 0);
       if (!pageUrl) {
@@ -1158,8 +1176,7 @@ async function runFrontendProbes(forms = [], { quiet = false } = {}) {
       }
     }
   } finally {
-    await page.close();
-    await browser.close();
+    await session.close();
   }
 
   return results;
@@ -1175,10 +1192,10 @@ async function runFormA11yProbes(
     process.cwd(),
     "node_modules/axe-core/axe.min.js",
   );
-  const browser = await puppeteer.launch({ headless: "new" });
-  const page = await browser.newPage();
+  const session = await openBrowserSession(puppeteer);
   try {
     for (const form of list) {
+      const page = await session.page();
       const pageUrl = normalizeUrl(form?.pageUrl);
       const formIndex = Number(form?.formIndex ?? 0);
       const formId = String(form?.id || "").trim();
@@ -1269,8 +1286,7 @@ async function runFormA11yProbes(
       });
     }
   } finally {
-    await page.close();
-    await browser.close();
+    await session.close();
   }
   return results;
 }
@@ -1495,6 +1511,12 @@ async function main() {
       shouldMigrate = false;
       migrationDecision = "no";
     } else {
+      if (isCiMode()) {
+        throw missingAnswerError(
+          "Legacy forms were found in /src/content/forms; migrating them",
+          "--migrate-legacy-forms yes|no",
+        );
+      }
       const answer = await askYesNo(
         "Legacy forms found in /src/content/forms. Migrate now to /src/forms and continue form tests?",
         { quiet },
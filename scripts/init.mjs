@@ -0,0 +1,94 @@
+#!/usr/bin/env node
+
+import process from "node:process";
+import inquirer from "inquirer";
+import { isCiMode, missingAnswerError } from "../src/cli/ci-mode.mjs";
+import { resolveLocaleConfig } from "../src/scaffold/locales.mjs";
+import {
+  applyInitPlan,
+  detectAstroProject,
+  formatLineDiff,
+  planInitFiles,
+} from "../src/scaffold/init.mjs";
+
+const STATUS_LABEL = {
+  create: "➕ create   ",
+  update: "✏️  update   ",
+  unchanged: "✅ unchanged",
+};
+
+function parseArgs(argv) {
+  return {
+    dryRun: argv.includes("--dry-run"),
+    force: argv.includes("--force"),
+  };
+}
+
+async function confirmUpdates(updates, options) {
+  if (options.force) return true;
+  if (isCiMode()) {
+    throw missingAnswerError(
+      `Updating ${updates.length} existing file(s)`,
+      "--force (or --dry-run to only preview)",
+    );
+  }
+  const { apply } = await inquirer.prompt([
+    {
+      type: "confirm",
+      name: "apply",
+      message: `Apply the changes above to ${updates.length} existing file(s)?`,
+      default: false,
+    },
+  ]);
+  return apply;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const cwd = process.cwd();
+
+  const astro = detectAstroProject(cwd);
+  if (!astro.isAstro) {
+    throw new Error(
+      "No Astro project found (expected astro.config.* or an astro dependency in package.json).",
+    );
+  }
+
+  const localeConfig = await resolveLocaleConfig(cwd);
+  console.log(
+    `🧭 Astro project detected (${astro.configFile || "astro dependency"}). Locales from ${localeConfig.source}: ${localeConfig.locales.join(", ")} (default: ${localeConfig.defaultLocale}).`,
+  );
+
+  const plan = planInitFiles({ cwd, localeConfig });
+  for (const entry of plan) {
+    console.log(`${STATUS_LABEL[entry.status]}  ${entry.file}`);
+  }
+
+  const updates = plan.filter((entry) => entry.status === "update");
+  for (const entry of updates) {
+    console.log(`\n${formatLineDiff(entry.before, entry.after, entry.file)}`);
+  }
+
+  if (options.dryRun) {
+    console.log("\nDry run: no files written.");
+    return;
+  }
+
+  const includeUpdates = updates.length
+    ? await confirmUpdates(updates, options)
+    : false;
+  const written = applyInitPlan(plan, { includeUpdates });
+  if (!written.length) {
+    console.log("\nNothing to do: project is already initialized.");
+    return;
+  }
+  console.log(`\n🎉 Wrote ${written.length} file(s): ${written.join(", ")}`);
+  if (updates.length && !includeUpdates) {
+    console.log("Existing files were left unchanged.");
+  }
+}
+
+main().catch((err) => {
+  console.error(`❌ ${err?.message || String(err)}`);
+  process.exit(1);
+});
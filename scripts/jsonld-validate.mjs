@@ -7,6 +7,8 @@ import { createRequire } from "node:module";
 import { fileURLToPath } from "node:url";
 import Validator from "@adobe/structured-data-validator";
 import WebAutoExtractor from "@marbec/web-auto-extractor";
+import { createCheckEventEmitter } from "../src/quality/common/events.mjs";
+import { createPageFetcher } from "../src/quality/common/page-cache.mjs";
 
 const require = createRequire(import.meta.url);
 const toolkitRoot = path.resolve(
@@ -32,7 +34,15 @@ const schemaFile = resolveSchemaFileArg(argv);
 const reportDir = resolveReportDirArg(argv);
 
 function firstPositionalArg(args) {
-  return args.find((arg) => !arg.startsWith("--"));
+  const valueFlags = new Set(["--urls-file", "--schema-file", "--report-dir"]);
+  for (let i = 0; i < args.length; i += 1) {
+    if (valueFlags.has(args[i])) {
+      i += 1;
+      continue;
+    }
+    if (!args[i].startsWith("--")) return args[i];
+  }
+  return undefined;
 }
 
 function resolveUrlsFileArg(args) {
@@ -209,11 +219,14 @@ function shouldSkipPagePath(pagePath) {
   return pagePath === "/" || String(pagePath || "").startsWith("/admin");
 }
 
+// Pages come from the run's page cache when the suite provides one.
+const fetchPage = createPageFetcher();
+
 async function fetchHtmlWithTimeout(url, timeoutMs = 20000) {
   const controller = new AbortController();
   const timer = setTimeout(() => controller.abort(), timeoutMs);
   try {
-    const res = await fetch(url, {
+    const res = await fetchPage(url, {
       method: "GET",
       redirect: "follow",
       signal: controller.signal,
@@ -925,9 +938,11 @@ async function main() {
   });
 
   const pageResults = [];
-  for (const target of filteredTargets) {
+  const events = createCheckEventEmitter({ total: filteredTargets.length });
+  for (const [index, target] of filteredTargets.entries()) {
     const pagePath = target.pagePath;
     const sourceLabel = target.file || target.url || pagePath || "unknown";
+    events.pageStarted(target.url || sourceLabel, index + 1);
     let html = "";
     let validationResult;
     let extractedSchema;
@@ -972,6 +987,10 @@ async function main() {
       errorCount: countBySeverity(fileIssues, "ERROR"),
       warningCount: countBySeverity(fileIssues, "WARNING"),
     });
+    events.pageCompleted(target.url || sourceLabel, index + 1, {
+      issues: fileIssues.length,
+      failed: countBySeverity(fileIssues, "ERROR") > 0,
+    });
   }
 
   const schemaDtsSummary = runSchemaDtsValidation(pageResults, {
@@ -4,6 +4,8 @@ import fs from "node:fs";
 import path from "node:path";
 import { spawn } from "node:child_process";
 import { createRequire } from "node:module";
+import { pooledBrowserPort } from "../src/quality/common/browser-pool.mjs";
+import { createCheckEventEmitter } from "../src/quality/common/events.mjs";
 import { preferIpv4Loopback } from "../src/quality/common/url.mjs";
 
 const require = createRequire(import.meta.url);
@@ -22,7 +24,6 @@ const CONFIG_PATH =
 const QUIET_MODE = Boolean(
   args.quiet || process.env.LHCI_LOG_LEVEL === "silent",
 );
-const LIGHTHOUSE_PROGRESS_PREFIX = "__YWS_LIGHTHOUSE_PROGRESS__";
 
 function parseArgs(argv) {
   const opts = {};
@@ -187,10 +188,6 @@ function evaluateAssertions(jsonFiles, thresholds) {
   return { assertionFailures, failures };
 }
 
-function emitProgress(event) {
-  console.log(`${LIGHTHOUSE_PROGRESS_PREFIX}${JSON.stringify(event)}`);
-}
-
 async function main() {
   const urls = URLS_FILE ? loadUrlsFromFile(URLS_FILE, BASE_URL) : [BASE_URL];
   if (!urls.length) {
@@ -200,19 +197,20 @@ async function main() {
 
   ensureCleanDir(REPORT_DIR);
 
+  const events = createCheckEventEmitter({ total: urls.length });
+  // Attach to the suite's pooled browser when there is one.
+  const browserPort = pooledBrowserPort();
+  const chromeArgs = browserPort
+    ? [`--port=${browserPort}`]
+    : [
+        '--chrome-flags="--headless --no-sandbox --disable-setuid-sandbox --disable-dev-shm-usage"',
+      ];
   const runFailures = [];
   for (let i = 0; i < urls.length; i += 1) {
     const url = urls[i];
     const baseName = `${String(i + 1).padStart(3, "0")}-${slugify(new URL(url).pathname || "root")}`;
     const outBase = path.join(REPORT_DIR, baseName);
-    if (QUIET_MODE) {
-      emitProgress({
-        type: "page-start",
-        current: i + 1,
-        total: urls.length,
-        url,
-      });
-    }
+    events.pageStarted(url, i + 1);
     if (!QUIET_MODE) {
       console.log(`Running Lighthouse ${i + 1}/${urls.length}: ${url}`);
     }
@@ -224,7 +222,7 @@ async function main() {
       "--output=html",
       `--output-path=${outBase}`,
       "--quiet",
-      '--chrome-flags="--headless --no-sandbox --disable-setuid-sandbox --disable-dev-shm-usage"',
+      ...chromeArgs,
     ];
 
     const result = await runCommand("npx", cmdArgs);
@@ -235,6 +233,7 @@ async function main() {
         console.error(lines);
       }
     }
+    events.pageCompleted(url, i + 1, { failed: result.code !== 0 });
   }
 
   const jsonFiles = fs
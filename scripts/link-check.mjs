@@ -5,10 +5,13 @@ import path from "node:path";
 import { spawn } from "node:child_process";
 import waitOn from "wait-on";
 import { parse } from "node-html-parser";
+import { createCheckEventEmitter } from "../src/quality/common/events.mjs";
+import { createPageFetcher } from "../src/quality/common/page-cache.mjs";
 import {
   normalizeUrl,
   preferIpv4Loopback,
 } from "../src/quality/common/url.mjs";
+import { readAuthHeaders } from "../src/quality/common/auth-headers.mjs";
 
 const DEFAULT_BASE_URL = process.env.BASE_URL || "http://localhost:4321";
 const DEFAULT_REPORT_DIR =
@@ -24,6 +27,8 @@ const CHECK_EXTERNAL = args.skipExternal
   ? false
   : process.env.CHECK_EXTERNAL_LINKS !== "0";
 const QUIET_MODE = Boolean(args.quiet || process.env.LINKS_QUIET === "1");
+// Pages come from the run's page cache when the suite provides one.
+const fetchPage = createPageFetcher();
 const LINKINATOR_CONCURRENCY = Math.max(
   1,
   Number(process.env.LINKINATOR_CONCURRENCY || 5) || 5,
@@ -195,6 +200,18 @@ function dedupeLinkinatorEntries(entries) {
 }
 
 async function runLinkinator(baseUrl) {
+  // Linkinator cannot send headers; on a protected target it would only
+  // see the login or error page.
+  if (Object.keys(readAuthHeaders()).length) {
+    return {
+      status: "skipped",
+      passed: true,
+      brokenCount: 0,
+      rawCount: 0,
+      broken: [],
+      message: "Linkinator cannot send the target's auth headers.",
+    };
+  }
   const args = [
     "--yes",
     "linkinator",
@@ -442,7 +459,7 @@ async function fetchWithTimeout(url, method) {
   const controller = new AbortController();
   const timer = setTimeout(() => controller.abort(), 12000);
   try {
-    return await fetch(url, {
+    return await fetchPage(url, {
       method,
       redirect: "follow",
       signal: controller.signal,
@@ -584,7 +601,7 @@ async function crawl() {
 
     let res;
     try {
-      res = await fetch(url);
+      res = await fetchPage(url);
     } catch (err) {
       console.error(`❌ Failed to fetch ${url}: ${err.message}`);
       continue;
@@ -1030,11 +1047,13 @@ async function main() {
 
     const pageResults = [];
     let skippedExternal = 0;
+    const events = createCheckEventEmitter({ total: pages.length });
 
-    for (const pageUrl of pages) {
+    for (const [index, pageUrl] of pages.entries()) {
+      events.pageStarted(pageUrl, index + 1);
       let res;
       try {
-        res = await fetch(pageUrl);
+        res = await fetchPage(pageUrl);
       } catch (err) {
         console.error(`❌ Failed to fetch ${pageUrl}: ${err.message}`);
         pageResults.push({
@@ -1049,6 +1068,7 @@ async function main() {
             },
           ],
         });
+        events.pageCompleted(pageUrl, index + 1, { issues: 1, failed: true });
         continue;
       }
 
@@ -1098,6 +1118,11 @@ async function main() {
       }
 
       pageResults.push({ url: pageUrl, links: evaluated });
+      const brokenOnPage = evaluated.filter((l) => !l.ok && !l.skipped).length;
+      events.pageCompleted(pageUrl, index + 1, {
+        issues: brokenOnPage,
+        failed: brokenOnPage > 0,
+      });
     }
 
     const broken = pageResults.flatMap((page) =>
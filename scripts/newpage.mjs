@@ -3,13 +3,18 @@
 import { execSync } from "node:child_process";
 import path from "node:path";
 import fs from "node:fs/promises";
-import { fileURLToPath, pathToFileURL } from "node:url";
+import { fileURLToPath } from "node:url";
 import chalk from "chalk";
 import inquirer from "inquirer";
+import { isCiMode, missingAnswerError } from "../src/cli/ci-mode.mjs";
+import { resolveLocaleConfig } from "../src/scaffold/locales.mjs";
 
 const scriptDir = path.dirname(fileURLToPath(import.meta.url));
 const toolkitRoot = path.resolve(scriptDir, "..");
 
+const BOOLEAN_FLAGS = new Set(["ci", "yes", "overwrite"]);
+const CI_MODE = isCiMode();
+
 const starLine = chalk.gray("★".repeat(50));
 const errorArt = chalk.red(
   [
@@ -39,6 +44,36 @@ const successArt = chalk.green(
   ].join("\n"),
 );
 
+function parseArgs(argv = []) {
+  const flags = {};
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    if (!arg.startsWith("--")) continue;
+    const eqIndex = arg.indexOf("=");
+    if (eqIndex !== -1) {
+      flags[arg.slice(2, eqIndex)] = arg.slice(eqIndex + 1);
+      continue;
+    }
+    const name = arg.slice(2);
+    if (BOOLEAN_FLAGS.has(name)) {
+      flags[name] = true;
+      continue;
+    }
+    if (argv[i + 1] === undefined) {
+      throw new Error(`Missing value for --${name}.`);
+    }
+    flags[name] = argv[i + 1];
+    i += 1;
+  }
+  return flags;
+}
+
+function flagForField(name) {
+  return name
+    .replace(/[A-Z]/g, (char) => `-${char.toLowerCase()}`)
+    .replace(/_/g, "-");
+}
+
 function logInfo(msg) {
   console.log(`${starLine}\n${infoArt}\n\n${chalk.cyan(msg)}\n${starLine}`);
 }
@@ -65,15 +100,6 @@ function normalizeSegment(value) {
   return normalizeSlug(value);
 }
 
-function normalizeLocale(value) {
-  if (!value) return "";
-  return String(value).trim().toLowerCase();
-}
-
-function unique(values) {
-  return [...new Set(values.filter(Boolean))];
-}
-
 function escapeRegExp(value) {
   return String(value).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
 }
@@ -86,128 +112,6 @@ function localeLabel(locale, defaultLocale) {
   return locale === defaultLocale ? `${locale}, default` : locale;
 }
 
-function extractLocaleConfig(i18nConfig) {
-  if (!i18nConfig || typeof i18nConfig !== "object") return null;
-
-  let locales = [];
-  const rawLocales = i18nConfig.locales;
-  if (Array.isArray(rawLocales)) {
-    locales = rawLocales
-      .map((entry) => {
-        if (typeof entry === "string") return entry;
-        if (entry && typeof entry === "object") {
-          if (typeof entry.path === "string") return entry.path;
-          if (typeof entry.code === "string") return entry.code;
-          if (
-            Array.isArray(entry.codes) &&
-            typeof entry.codes[0] === "string"
-          ) {
-            return entry.codes[0];
-          }
-        }
-        return "";
-      })
-      .map(normalizeLocale);
-  } else if (rawLocales && typeof rawLocales === "object") {
-    locales = Object.keys(rawLocales).map(normalizeLocale);
-  }
-
-  locales = unique(locales);
-  if (!locales.length) return null;
-
-  let defaultLocale = normalizeLocale(i18nConfig.defaultLocale);
-  if (!defaultLocale || !locales.includes(defaultLocale)) {
-    defaultLocale = locales.includes("en") ? "en" : locales[0];
-  }
-
-  const prefixDefaultLocale = i18nConfig.routing?.prefixDefaultLocale !== false;
-
-  return { locales, defaultLocale, prefixDefaultLocale };
-}
-
-async function resolveLocaleConfigFromAstroConfig() {
-  const configPath = path.join(process.cwd(), "astro.config.mjs");
-  try {
-    await fs.access(configPath);
-  } catch {
-    return null;
-  }
-
-  const previousSiteUrl = process.env.SITE_URL;
-  const previousStagingUrl = process.env.STAGING_URL;
-  const previousNodeEnv = process.env.NODE_ENV;
-
-  if (!process.env.SITE_URL) process.env.SITE_URL = "https://example.com/";
-  if (!process.env.STAGING_URL) process.env.STAGING_URL = process.env.SITE_URL;
-  if (!process.env.NODE_ENV) process.env.NODE_ENV = "development";
-
-  try {
-    const configModule = await import(
-      `${pathToFileURL(configPath).href}?v=${Date.now()}`
-    );
-    let rawConfig = configModule?.default;
-    if (typeof rawConfig === "function") {
-      rawConfig = await rawConfig({
-        command: "build",
-        mode: process.env.NODE_ENV || "development",
-      });
-    }
-    const localeConfig = extractLocaleConfig(rawConfig?.i18n);
-    if (!localeConfig) return null;
-    return { ...localeConfig, source: "astro.config.mjs" };
-  } catch {
-    return null;
-  } finally {
-    if (previousSiteUrl === undefined) delete process.env.SITE_URL;
-    else process.env.SITE_URL = previousSiteUrl;
-    if (previousStagingUrl === undefined) delete process.env.STAGING_URL;
-    else process.env.STAGING_URL = previousStagingUrl;
-    if (previousNodeEnv === undefined) delete process.env.NODE_ENV;
-    else process.env.NODE_ENV = previousNodeEnv;
-  }
-}
-
-async function resolveLocaleConfigFromContent() {
-  const contentRoot = path.join(process.cwd(), "public", "content");
-  let entries = [];
-  try {
-    entries = await fs.readdir(contentRoot, { withFileTypes: true });
-  } catch {
-    return null;
-  }
-
-  const localePattern = /^[a-z]{2}(?:-[a-z0-9]{2,8})*$/i;
-  const locales = entries
-    .filter((entry) => entry.isDirectory())
-    .map((entry) => normalizeLocale(entry.name))
-    .filter((entry) => localePattern.test(entry));
-
-  if (!locales.length) return null;
-
-  const uniqueLocales = unique(locales);
-  return {
-    locales: uniqueLocales,
-    defaultLocale: uniqueLocales.includes("en") ? "en" : uniqueLocales[0],
-    prefixDefaultLocale: true,
-    source: "public/content/* fallback",
-  };
-}
-
-async function resolveLocaleConfig() {
-  const fromAstro = await resolveLocaleConfigFromAstroConfig();
-  if (fromAstro) return fromAstro;
-
-  const fromContent = await resolveLocaleConfigFromContent();
-  if (fromContent) return fromContent;
-
-  return {
-    locales: ["en"],
-    defaultLocale: "en",
-    prefixDefaultLocale: true,
-    source: "default fallback",
-  };
-}
-
 function requireNonEmpty(label, value) {
   if (!value || !String(value).trim()) return `${label} is required.`;
   return true;
@@ -373,7 +277,7 @@ function buildSeoJson(locale, title, description) {
   };
 }
 
-async function writeSeoJsonFiles({ slug, locales, seoByLocale }) {
+async function writeSeoJsonFiles({ slug, locales, seoByLocale, overwrite }) {
   const paths = locales.map((locale) => getContentPath(locale, slug));
   const existing = [];
   for (const filePath of paths) {
@@ -385,7 +289,7 @@ async function writeSeoJsonFiles({ slug, locales, seoByLocale }) {
     }
   }
   if (existing.length) {
-    const { overwriteContent } = await inquirer.prompt([
+    const { overwriteContent } = await confirmOverwrite(overwrite, [
       {
         type: "confirm",
         name: "overwriteContent",
@@ -550,7 +454,7 @@ async function updateSegments({ segmentKey, localeSegments }) {
   );
 }
 
-async function updateMenu({ locale, navPlacement, label, href }) {
+async function updateMenu({ locale, navPlacement, label, href, overwrite }) {
   const menuPath = path.join(
     process.cwd(),
     "public",
@@ -595,7 +499,7 @@ async function updateMenu({ locale, navPlacement, label, href }) {
 
   const existing = menu.find((item) => item.href === href);
   if (existing) {
-    const { overwriteMenu } = await inquirer.prompt([
+    const { overwriteMenu } = await confirmOverwrite(overwrite, [
       {
         type: "confirm",
         name: "overwriteMenu",
@@ -616,6 +520,51 @@ async function updateMenu({ locale, navPlacement, label, href }) {
   return { path: menuPath, updated: true };
 }
 
+async function confirmOverwrite(overwrite, [question]) {
+  if (overwrite) {
+    return { [question.name]: true };
+  }
+  if (CI_MODE) {
+    throw missingAnswerError(question.message, "--overwrite");
+  }
+  return inquirer.prompt([question]);
+}
+
+function answersFromFlags(questions, cliFlags) {
+  const preset = {};
+  for (const question of questions) {
+    const flag = flagForField(question.name);
+    if (!(flag in cliFlags)) continue;
+    const raw = String(cliFlags[flag]);
+    if (question.choices) {
+      const values = question.choices.map((choice) => choice.value);
+      if (!values.includes(raw)) {
+        throw new Error(
+          `Invalid --${flag} "${raw}". Use one of: ${values.join(", ")}.`,
+        );
+      }
+    }
+    if (question.validate) {
+      const result = question.validate(raw);
+      if (result !== true) {
+        throw new Error(`Invalid --${flag}: ${result}`);
+      }
+    }
+    preset[question.name] = question.filter ? question.filter(raw) : raw;
+  }
+  return preset;
+}
+
+function assertAllAnswered(questions, preset) {
+  const missing = questions
+    .filter((question) => !question.when || question.when(preset))
+    .filter((question) => preset[question.name] === undefined)
+    .map((question) => `--${flagForField(question.name)}`);
+  if (missing.length) {
+    throw missingAnswerError("Page setup", missing.join(", "));
+  }
+}
+
 async function warnIfHeaderLocaleSwitchIsNotSegmentAware() {
   const candidates = [
     path.join(process.cwd(), "src", "components", "layout", "Header.astro"),
@@ -647,7 +596,7 @@ async function warnIfHeaderLocaleSwitchIsNotSegmentAware() {
   }
 }
 
-async function promptConfig(localeConfig) {
+async function promptConfig(localeConfig, cliFlags = {}) {
   const { locales, defaultLocale } = localeConfig;
   const canUseSegmentRoutes = locales.length > 1;
   const questions = [
@@ -727,7 +676,11 @@ async function promptConfig(localeConfig) {
     });
   }
 
-  const answers = await inquirer.prompt(questions);
+  const preset = answersFromFlags(questions, cliFlags);
+  if (CI_MODE) {
+    assertAllAnswered(questions, preset);
+  }
+  const answers = await inquirer.prompt(questions, preset);
   return {
     routeType: canUseSegmentRoutes ? answers.routeType : "non-segment",
     ...answers,
@@ -735,6 +688,7 @@ async function promptConfig(localeConfig) {
 }
 
 async function main() {
+  const cliFlags = parseArgs(process.argv.slice(2));
   ensureCleanGit();
   const localeConfig = await resolveLocaleConfig();
   const { locales, defaultLocale, source, prefixDefaultLocale } = localeConfig;
@@ -749,7 +703,7 @@ async function main() {
     );
   }
 
-  const answers = await promptConfig(localeConfig);
+  const answers = await promptConfig(localeConfig, cliFlags);
   const { routeType, slug, segmentKey, navPlacement } = answers;
 
   if (routeType === "segment" && locales.length < 2) {
@@ -811,6 +765,7 @@ async function main() {
         navPlacement,
         label: labelByLocale[locale] || labelByLocale[defaultLocale],
         href: hrefByLocale[locale],
+        overwrite: cliFlags.overwrite,
       });
       menuResults.push(menuResult);
     }
@@ -824,7 +779,12 @@ async function main() {
     }
   }
 
-  const contentResult = await writeSeoJsonFiles({ slug, locales, seoByLocale });
+  const contentResult = await writeSeoJsonFiles({
+    slug,
+    locales,
+    seoByLocale,
+    overwrite: cliFlags.overwrite,
+  });
 
   const astroPath = await writeAstroTemplate({
     routeType,
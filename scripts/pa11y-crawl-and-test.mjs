@@ -4,6 +4,11 @@ import pa11y from "pa11y";
 import fs from "node:fs";
 import path from "node:path";
 import { parse } from "node-html-parser";
+import puppeteer from "puppeteer";
+import {
+  openBrowserSession,
+  pooledBrowserUrl,
+} from "../src/quality/common/browser-pool.mjs";
 import {
   normalizeUrl,
   preferIpv4Loopback,
@@ -474,9 +479,16 @@ async function main() {
 
   let totalErrors = 0;
   let totalWarnings = 0;
-
-  for (const url of urls) {
+  const events = createCheckEventEmitter({ total: urls.length });
+  // Inside the suite, Pa11y opens its pages in the pooled browser instead
+  // of launching Chromium itself.
+  const browserSession = pooledBrowserUrl()
+    ? await openBrowserSession(puppeteer)
+    : null;
+
+  for (const [index, url] of urls.entries()) {
     console.log(`\n🧪 Running Pa11y on ${url}`);
+    events.pageStarted(url, index + 1);
 
     let result;
     try {
@@ -490,6 +502,9 @@ async function main() {
             "--disable-dev-shm-usage",
           ],
         },
+        ...(browserSession
+          ? { browser: await browserSession.ensureConnected() }
+          : {}),
       });
     } catch (err) {
       console.error(`  ❌ Pa11y crashed on ${url}: ${err.message}`);
@@ -498,6 +513,7 @@ async function main() {
         url,
         issues: [{ type: "error", code: "pa11y-crash", message: err.message }],
       });
+      events.pageCompleted(url, index + 1, { issues: 1, failed: true });
       continue;
     }
 
@@ -508,7 +524,12 @@ async function main() {
     totalErrors += errors;
     totalWarnings += warnings;
     pageResults.push({ url, issues });
+    events.pageCompleted(url, index + 1, {
+      issues: errors,
+      failed: errors > 0,
+    });
   }
+  await browserSession?.close();
 
   const summaryPath = writeMarkdownSummary(pageResults, REPORT_DIR);
   const { count: pageReportCount, reportPathByUrl } = writePa11yPageReports(
@@ -530,6 +551,21 @@ async function main() {
   };
   const statsPath = path.join(REPORT_DIR, "stats.json");
   fs.writeFileSync(statsPath, JSON.stringify(stats, null, 2), "utf8");
+  const issues = pageResults.flatMap((page) =>
+    page.issues.map((issue) => ({
+      pageUrl: page.url,
+      type: issue.type || null,
+      code: issue.code || null,
+      message: issue.message || "",
+      selector: issue.selector || null,
+      context: issue.context || null,
+    })),
+  );
+  fs.writeFileSync(
+    path.join(REPORT_DIR, "issues.json"),
+    JSON.stringify(issues, null, 2),
+    "utf8",
+  );
 
   console.log(`\n📄 Pa11y summary (md): ${summaryPath}`);
   console.log(`📄 Pa11y report (html): ${htmlPath}`);
@@ -5,6 +5,7 @@ import {
   listRuns,
   readRun,
 } from "../src/quality/store/index.mjs";
+import { diffRunFindings } from "../src/quality/core/finding-history.mjs";
 
 function parseArgs(argv) {
   const options = {};
@@ -19,7 +20,7 @@ function parseArgs(argv) {
       options.base = arg.slice("--base=".length);
       continue;
     }
-    if ((arg === "--head" || arg === "-h") && argv[i + 1]) {
+    if (arg === "--head" && argv[i + 1]) {
       options.head = argv[i + 1];
       i += 1;
       continue;
@@ -31,11 +32,24 @@ function parseArgs(argv) {
   return options;
 }
 
+const LISTED_FINDINGS = 10;
+
 function toNumber(value) {
   const n = Number(value);
   return Number.isFinite(n) ? n : 0;
 }
 
+// Findings by severity, for datasets that carry `findings[]` (schema v2).
+function findingMetrics(payload) {
+  if (!Array.isArray(payload.findings)) return {};
+  const count = (severity) =>
+    payload.findings.filter((finding) => finding?.severity === severity).length;
+  return {
+    findingErrors: count("error"),
+    findingWarnings: count("warning"),
+  };
+}
+
 function extractMetrics(checkId, payload) {
   if (!payload) return {};
   if (checkId === "links") {
@@ -46,10 +60,12 @@ function extractMetrics(checkId, payload) {
     return {
       broken,
       skippedExternal: toNumber(links.skippedExternal),
+      ...findingMetrics(payload),
     };
   }
   const stats = payload.stats || {};
   return {
+    ...findingMetrics(payload),
     errors: toNumber(stats.errorCount),
     warnings: toNumber(stats.warningCount),
     findings: toNumber(stats.findingsTotal),
@@ -109,6 +125,13 @@ if (!checkIds.length) {
   process.exit(0);
 }
 
+function formatFinding(marker, finding) {
+  const page = finding.pageUrl ? ` ${finding.pageUrl}` : "";
+  return `  ${marker} [${finding.ruleId}]${page}: ${finding.message}`;
+}
+
+const findingDiff = diffRunFindings(baseRun.dataset, headRun.dataset);
+
 for (const checkId of checkIds) {
   const metrics = compareCheck(checkId, baseRun, headRun);
   console.log(`\n[${checkId}]`);
@@ -118,4 +141,15 @@ for (const checkId of checkIds) {
     const headVal = metrics.head[key] ?? 0;
     console.log(`- ${key}: ${baseVal} -> ${headVal} (${sign}${delta})`);
   }
+  const diff = findingDiff[checkId];
+  if (!diff) continue;
+  console.log(
+    `- findings: ${diff.new.length} new, ${diff.open.length} still open, ${diff.fixed.length} fixed`,
+  );
+  for (const finding of diff.new.slice(0, LISTED_FINDINGS)) {
+    console.log(formatFinding("+", finding));
+  }
+  for (const finding of diff.fixed.slice(0, LISTED_FINDINGS)) {
+    console.log(formatFinding("-", finding));
+  }
 }
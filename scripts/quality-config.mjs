@@ -0,0 +1,34 @@
+#!/usr/bin/env node
+
+import path from "node:path";
+import {
+  effectiveQualityConfig,
+  loadQualityConfig,
+} from "../src/quality/core/config.mjs";
+
+function parseArgs(argv) {
+  const targetIndex = argv.indexOf("--target");
+  return {
+    print: argv.includes("--print"),
+    target: targetIndex === -1 ? null : argv[targetIndex + 1],
+  };
+}
+
+const { print, target } = parseArgs(process.argv.slice(2));
+
+loadQualityConfig(process.cwd(), { target })
+  .then((config) => {
+    if (print) {
+      console.log(JSON.stringify(effectiveQualityConfig(config), null, 2));
+      return;
+    }
+    if (!config.path) {
+      console.log("ℹ️  No quality.config found; the defaults apply.");
+      return;
+    }
+    console.log(`✅ ${path.relative(process.cwd(), config.path)} is valid.`);
+  })
+  .catch((err) => {
+    console.error(`❌ ${err?.message || String(err)}`);
+    process.exit(1);
+  });
@@ -15,7 +15,8 @@ for (const run of runs) {
   const isLatest = latest && run.runId === latest ? " (latest)" : "";
   const createdAt = run.createdAt || "unknown-date";
   const target = run.target || "unknown-target";
+  const status = run.status === "completed" ? "" : ` | ${run.status}`;
   console.log(
-    `- ${run.runId}${isLatest} | ${createdAt} | target=${target} | checks=${run.checksCount}`,
+    `- ${run.runId}${isLatest} | ${createdAt} | target=${target} | checks=${run.checksCount}${status}`,
   );
 }
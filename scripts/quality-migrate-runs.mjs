@@ -0,0 +1,70 @@
+#!/usr/bin/env node
+
+import { formatDatasetIssues } from "../src/quality/core/run-schema.mjs";
+import { migrateRuns } from "../src/quality/store/index.mjs";
+
+function parseArgs(argv) {
+  const opts = { dryRun: false };
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    if ((arg === "--run" || arg === "-r") && argv[i + 1]) {
+      opts.runId = argv[i + 1];
+      i += 1;
+      continue;
+    }
+    if (arg.startsWith("--run=")) {
+      opts.runId = arg.slice("--run=".length);
+      continue;
+    }
+    if (arg === "--dry-run") {
+      opts.dryRun = true;
+    }
+  }
+  return opts;
+}
+
+const options = parseArgs(process.argv.slice(2));
+const summary = migrateRuns({
+  cwd: process.cwd(),
+  runId: options.runId,
+  dryRun: options.dryRun,
+});
+
+let failed = false;
+for (const result of summary.results) {
+  const versions = `${result.from} → ${result.to}`;
+  switch (result.reason) {
+    case "migrated":
+      console.log(`✅ ${result.runId}: migrated ${versions}`);
+      break;
+    case "dry-run":
+      console.log(`- ${result.runId}: would migrate ${versions}`);
+      break;
+    case "current":
+      if (options.runId) {
+        console.log(`- ${result.runId}: already on schema ${result.from}`);
+      }
+      break;
+    case "invalid":
+      failed = true;
+      console.error(
+        `❌ ${formatDatasetIssues(result.issues, { label: `Run ${result.runId} ${result.to ? "migrated dataset" : "dataset"}` })}`,
+      );
+      break;
+    case "not-found":
+      failed = true;
+      console.error(`Run ${result.runId} not found.`);
+      break;
+    default:
+      console.warn(`⚠️  ${result.runId}: missing or unreadable dataset.json`);
+  }
+}
+
+const verb = options.dryRun ? "to migrate" : "migrated";
+const pending = options.dryRun
+  ? summary.results.filter((result) => result.reason === "dry-run").length
+  : summary.migrated;
+console.log(
+  `${options.dryRun ? "Dry run: " : ""}${pending}/${summary.totalRuns} run(s) ${verb}.`,
+);
+if (failed) process.exit(1);
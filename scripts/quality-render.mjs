@@ -7,6 +7,7 @@ import {
   readLatestRunId,
   readRun,
 } from "../src/quality/store/index.mjs";
+import { formatDatasetIssues } from "../src/quality/core/run-schema.mjs";
 import { renderHtmlRun } from "../src/quality/renderers/html/render-run.mjs";
 
 function parseArgs(argv) {
@@ -45,11 +46,17 @@ if (!runId) {
   process.exit(1);
 }
 
-const run = readRun(runId, cwd);
+const run = readRun(runId, cwd, { logger: { warn() {} } });
 if (!run?.dataset) {
   console.error(`Run ${runId} is missing dataset.json.`);
   process.exit(1);
 }
+if (run.issues.length) {
+  console.error(
+    `❌ ${formatDatasetIssues(run.issues, { label: `Run ${runId} dataset.json` })}`,
+  );
+  process.exit(1);
+}
 
 let sourceRoot = path.join(viewsRoot, format, runId);
 if (format === "html") {
@@ -57,6 +64,7 @@ if (format === "html") {
     cwd,
     runId,
     dataset: run.dataset,
+    checkNames: run.meta?.checkNames,
   });
   sourceRoot = manifest.rootDir;
 }
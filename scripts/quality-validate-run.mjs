@@ -0,0 +1,59 @@
+#!/usr/bin/env node
+
+import fs from "node:fs";
+import path from "node:path";
+import { readLatestRunId, readRun } from "../src/quality/store/index.mjs";
+import { formatDatasetIssues } from "../src/quality/core/run-schema.mjs";
+
+function parseArgs(argv) {
+  const options = {};
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    if ((arg === "--run" || arg === "-r") && argv[i + 1]) {
+      options.runId = argv[i + 1];
+      i += 1;
+      continue;
+    }
+    if (arg.startsWith("--run=")) {
+      options.runId = arg.slice("--run=".length);
+    }
+  }
+  return options;
+}
+
+const args = parseArgs(process.argv.slice(2));
+const cwd = process.cwd();
+const runId = args.runId || readLatestRunId(cwd);
+
+if (!runId) {
+  console.error("No run id provided and no latest run available.");
+  process.exit(1);
+}
+
+const run = readRun(runId, cwd, { logger: { warn() {} } });
+if (!run) {
+  console.error(`Run ${runId} not found.`);
+  process.exit(1);
+}
+if (!run.dataset) {
+  const datasetPath = path.join(run.runDir, "dataset.json");
+  console.error(
+    fs.existsSync(datasetPath)
+      ? `Run ${runId} dataset.json is not valid JSON.`
+      : `Run ${runId} is missing dataset.json.`,
+  );
+  process.exit(1);
+}
+if (run.issues.length) {
+  console.error(
+    `❌ ${formatDatasetIssues(run.issues, { label: `Run ${runId} dataset.json`, limit: Infinity })}`,
+  );
+  process.exit(1);
+}
+
+console.log(`✅ Run ${runId} matches the run schema.`);
+if (run.migratedFrom) {
+  console.log(
+    `ℹ️  dataset.json uses schema ${run.migratedFrom} and was checked after migrating it in memory. Rewrite it with: yws-toolkit quality migrate-runs --run ${runId}`,
+  );
+}
@@ -4,6 +4,10 @@ import fs from "node:fs";
 import path from "node:path";
 import { spawn } from "node:child_process";
 import { fileURLToPath } from "node:url";
+import {
+  authHeadersFor,
+  readAuthHeaders,
+} from "../src/quality/common/auth-headers.mjs";
 
 const TOOLKIT_ROOT = path.resolve(
   path.dirname(fileURLToPath(import.meta.url)),
@@ -192,6 +196,7 @@ async function collectHeaderDiagnostics(targetUrl) {
   try {
     const res = await fetch(targetUrl, {
       method: "GET",
+      headers: authHeadersFor(targetUrl),
       redirect: "follow",
       signal: controller.signal,
     });
@@ -508,6 +513,17 @@ async function runObservatory(baseUrl) {
       details: { host },
     };
   }
+  // The Observatory scans anonymously; on a protected target it would grade
+  // the login or error response.
+  if (Object.keys(readAuthHeaders()).length) {
+    return {
+      status: "skipped",
+      findings: 0,
+      message:
+        "HTTP Observatory cannot send the target's auth headers. Skipping protected target.",
+      details: { host },
+    };
+  }
 
   let response;
   try {
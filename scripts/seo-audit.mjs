@@ -3,6 +3,8 @@
 import fs from "node:fs";
 import path from "node:path";
 import { parse } from "node-html-parser";
+import { createCheckEventEmitter } from "../src/quality/common/events.mjs";
+import { createPageFetcher } from "../src/quality/common/page-cache.mjs";
 import {
   normalizeUrl,
   preferIpv4Loopback,
@@ -20,6 +22,8 @@ const URLS_FILE = args.urlsFile;
 
 const visited = new Set();
 const toVisit = new Set([BASE_URL]);
+// Pages come from the run's page cache when the suite provides one.
+const fetchPage = createPageFetcher();
 const internalLinksMap = new Map(); // targetUrl -> Set(pagesLinkingHere)
 const httpStatusCache = new Map(); // url -> { status, ok }
 const REPORT_NAV_MODEL = [
@@ -80,7 +84,7 @@ async function crawl() {
 
     let res;
     try {
-      res = await fetch(url);
+      res = await fetchPage(url);
     } catch (err) {
       console.error(`❌ Failed to fetch ${url}: ${err.message}`);
       continue;
@@ -184,7 +188,7 @@ function checkHeadingOrder(root) {
 async function checkUrlStatus(url) {
   if (httpStatusCache.has(url)) return httpStatusCache.get(url);
   try {
-    const res = await fetch(url, { method: "HEAD" });
+    const res = await fetchPage(url, { method: "HEAD" });
     const info = { status: res.status, ok: res.ok };
     httpStatusCache.set(url, info);
     return info;
@@ -432,7 +436,7 @@ async function checkSiteWide() {
   const siteWideIssues = [];
 
   try {
-    const robotsRes = await fetch(`${BASE_URL}/robots.txt`);
+    const robotsRes = await fetchPage(`${BASE_URL}/robots.txt`);
     if (!robotsRes.ok) {
       siteWideIssues.push(
         makeIssue(
@@ -467,7 +471,7 @@ async function checkSiteWide() {
   }
 
   try {
-    const sitemapRes = await fetch(`${BASE_URL}/sitemap-index.xml`);
+    const sitemapRes = await fetchPage(`${BASE_URL}/sitemap-index.xml`);
     if (!sitemapRes.ok) {
       siteWideIssues.push(
         makeIssue(
@@ -795,6 +799,39 @@ function writeHtmlReport(issuesByPage, reportDir, reportPathByUrl = new Map()) {
   return htmlPath;
 }
 
+async function auditPage(url, allIssues) {
+  let res;
+  try {
+    res = await fetchPage(url);
+  } catch (err) {
+    allIssues.push(
+      makeIssue(
+        url,
+        "error",
+        "page-fetch-error",
+        `Failed to fetch page: ${err.message}`,
+      ),
+    );
+    return;
+  }
+
+  if (!res.ok) {
+    allIssues.push(
+      makeIssue(
+        url,
+        "error",
+        "page-http-error",
+        `Page responded with HTTP ${res.status}.`,
+      ),
+    );
+    return;
+  }
+
+  const html = await res.text();
+  const pageIssues = runSeoChecks(url, html);
+  allIssues.push(...pageIssues);
+}
+
 async function main() {
   let urls = [];
   if (URLS_FILE) {
@@ -809,38 +846,15 @@ async function main() {
   urls.forEach((u) => console.log("  -", u));
 
   const allIssues = [];
-
-  for (const url of urls) {
-    let res;
-    try {
-      res = await fetch(url);
-    } catch (err) {
-      allIssues.push(
-        makeIssue(
-          url,
-          "error",
-          "page-fetch-error",
-          `Failed to fetch page: ${err.message}`,
-        ),
-      );
-      continue;
-    }
-
-    if (!res.ok) {
-      allIssues.push(
-        makeIssue(
-          url,
-          "error",
-          "page-http-error",
-          `Page responded with HTTP ${res.status}.`,
-        ),
-      );
-      continue;
-    }
-
-    const html = await res.text();
-    const pageIssues = runSeoChecks(url, html);
-    allIssues.push(...pageIssues);
+  const events = createCheckEventEmitter({ total: urls.length });
+
+  for (const [index, url] of urls.entries()) {
+    events.pageStarted(url, index + 1);
+    const issuesBefore = allIssues.length;
+    await auditPage(url, allIssues);
+    events.pageCompleted(url, index + 1, {
+      issues: allIssues.length - issuesBefore,
+    });
   }
 
   console.log("\n🔗 Checking internal links...");
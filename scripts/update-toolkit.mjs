@@ -6,6 +6,7 @@ import { execa } from "execa";
 import inquirer from "inquirer";
 import chalk from "chalk";
 import semver from "semver";
+import { isCiMode, missingAnswerError } from "../src/cli/ci-mode.mjs";
 
 const repoRoot = process.cwd();
 const pkgPath = path.join(repoRoot, "package.json");
@@ -161,17 +162,49 @@ async function fetchTags() {
   }
 }
 
+function parseRequestedTag(argv = []) {
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    if (arg === "--tag") {
+      if (!argv[i + 1]) throw new Error("Missing value for --tag.");
+      return argv[i + 1];
+    }
+    if (arg.startsWith("--tag=")) {
+      return arg.slice("--tag=".length);
+    }
+  }
+  return null;
+}
+
 function filterNewerTags(allTags, currentTag) {
   const currentClean = semver.clean(currentTag);
   if (!currentClean) return allTags;
   return allTags.filter((tag) => semver.gt(semver.clean(tag), currentClean));
 }
 
-async function selectTag(currentTag, allTags) {
+async function selectTag(currentTag, allTags, requestedTag) {
   if (!allTags.length) {
     throw new Error("No tags available in remote repository.");
   }
 
+  if (requestedTag === "latest") {
+    return allTags[0];
+  }
+  if (requestedTag) {
+    if (!allTags.includes(requestedTag)) {
+      throw new Error(
+        `Tag ${requestedTag} is not newer than ${currentTag}. Available: ${allTags.join(", ")}.`,
+      );
+    }
+    return requestedTag;
+  }
+  if (isCiMode()) {
+    throw missingAnswerError(
+      `Choosing the ${dependencyName} tag`,
+      "--tag <tag|latest>",
+    );
+  }
+
   const { targetTag } = await inquirer.prompt([
     {
       type: "list",
@@ -197,6 +230,7 @@ async function updateDependency(pkg, newTag) {
 
 async function main() {
   try {
+    const requestedTag = parseRequestedTag(process.argv.slice(2));
     const pkg = await readJson(pkgPath);
     const currentTag = await getCurrentTag(pkg);
 
@@ -209,7 +243,7 @@ async function main() {
       return;
     }
 
-    const targetTag = await selectTag(currentTag, newerTags);
+    const targetTag = await selectTag(currentTag, newerTags, requestedTag);
 
     logInfo(`Updating ${dependencyName} to ${targetTag} in package.json...`);
     await updateDependency(pkg, targetTag);
@@ -0,0 +1,41 @@
+const CI_FLAGS = new Set(["--ci", "--yes"]);
+
+export const CI_ENV_KEY = "YWS_CI";
+
+export class NonInteractiveError extends Error {
+  constructor(message, { flag } = {}) {
+    super(message);
+    this.name = "NonInteractiveError";
+    this.code = "E_NON_INTERACTIVE";
+    this.flag = flag || null;
+  }
+}
+
+function isTruthyEnv(value) {
+  const normalized = String(value || "")
+    .trim()
+    .toLowerCase();
+  return normalized === "1" || normalized === "true";
+}
+
+export function hasCiFlag(argv = []) {
+  return argv.some((arg) => CI_FLAGS.has(arg));
+}
+
+export function stripCiFlags(argv = []) {
+  return argv.filter((arg) => !CI_FLAGS.has(arg));
+}
+
+export function isCiMode({
+  argv = process.argv.slice(2),
+  env = process.env,
+} = {}) {
+  return hasCiFlag(argv) || isTruthyEnv(env[CI_ENV_KEY]) || isTruthyEnv(env.CI);
+}
+
+export function missingAnswerError(question, flag) {
+  return new NonInteractiveError(
+    `${question} needs an answer in CI mode. Pass ${flag} (CI mode is on because of --ci, --yes or CI=true).`,
+    { flag },
+  );
+}
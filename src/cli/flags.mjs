@@ -0,0 +1,215 @@
+export class CliUsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "CliUsageError";
+    this.code = "E_CLI_USAGE";
+  }
+}
+
+const VALUE_TYPES = new Set(["string", "number", "integer", "enum", "list"]);
+
+function flagPattern(name) {
+  if (!name.includes("<")) return null;
+  const source = name
+    .split(/<[^>]+>/)
+    .map((part) => part.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"))
+    .join("[a-z0-9-]+");
+  return new RegExp(`^${source}$`, "i");
+}
+
+function findFlag(flags, name) {
+  const exact = flags.find((flag) => flag.name === name);
+  if (exact) return exact;
+  return flags.find((flag) => flagPattern(flag.name)?.test(name)) || null;
+}
+
+function findAlias(flags, alias) {
+  return flags.find((flag) => flag.alias === alias) || null;
+}
+
+function coerceValue(flag, raw, label) {
+  const value = String(raw);
+  if (flag.type === "number" || flag.type === "integer") {
+    const parsed = Number(value);
+    const valid =
+      value.trim() !== "" &&
+      Number.isFinite(parsed) &&
+      (flag.type === "number" || Number.isInteger(parsed));
+    if (!valid) {
+      throw new CliUsageError(
+        `${label} expects ${flag.type === "integer" ? "an integer" : "a number"}, got "${value}".`,
+      );
+    }
+    if (flag.min !== undefined && parsed < flag.min) {
+      throw new CliUsageError(
+        `${label} expects a value of at least ${flag.min}, got "${value}".`,
+      );
+    }
+    return parsed;
+  }
+  if (flag.type === "enum") {
+    if (!flag.values.includes(value)) {
+      throw new CliUsageError(
+        `${label} expects one of ${flag.values.join(", ")}, got "${value}".`,
+      );
+    }
+    return value;
+  }
+  if (flag.type === "list") {
+    const items = value
+      .split(",")
+      .map((item) => item.trim())
+      .filter(Boolean);
+    if (!items.length) {
+      throw new CliUsageError(`${label} expects a comma-separated list.`);
+    }
+    if (flag.values && !flag.openValues) {
+      const unknown = items.filter((item) => !flag.values.includes(item));
+      if (unknown.length) {
+        throw new CliUsageError(
+          `${label} got unknown value(s) ${unknown.join(", ")}. Use: ${flag.values.join(", ")}.`,
+        );
+      }
+    }
+    return items;
+  }
+  if (!value.trim()) {
+    throw new CliUsageError(`${label} expects a non-empty value.`);
+  }
+  return value;
+}
+
+export function parseCommandArgs(command, argv = []) {
+  const flags = command.flags || [];
+  const values = {};
+  const positionals = [];
+  let help = false;
+
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    if (arg === "--") continue;
+    if (arg === "--help" || arg === "-h") {
+      help = true;
+      continue;
+    }
+
+    let flag = null;
+    let name = null;
+    let inlineValue;
+    if (arg.startsWith("--")) {
+      const eqIndex = arg.indexOf("=");
+      name = eqIndex === -1 ? arg.slice(2) : arg.slice(2, eqIndex);
+      inlineValue = eqIndex === -1 ? undefined : arg.slice(eqIndex + 1);
+      flag = findFlag(flags, name);
+    } else if (/^-[A-Za-z]$/.test(arg)) {
+      flag = findAlias(flags, arg.slice(1));
+      name = flag?.name || arg.slice(1);
+    } else {
+      positionals.push(arg);
+      continue;
+    }
+
+    if (!flag) {
+      throw new CliUsageError(`Unknown flag: ${arg}`);
+    }
+
+    const label = `--${name}`;
+    if (!VALUE_TYPES.has(flag.type)) {
+      if (inlineValue !== undefined) {
+        throw new CliUsageError(`${label} does not take a value.`);
+      }
+      values[name] = true;
+      continue;
+    }
+
+    let raw = inlineValue;
+    if (raw === undefined) {
+      const next = argv[i + 1];
+      if (next === undefined || next === "--" || /^--?[A-Za-z]/.test(next)) {
+        throw new CliUsageError(`Missing value for ${label}.`);
+      }
+      raw = next;
+      i += 1;
+    }
+    values[name] = coerceValue(flag, raw, label);
+  }
+
+  const maxPositionals = (command.positionals || []).length;
+  if (positionals.length > maxPositionals) {
+    throw new CliUsageError(
+      `Unexpected argument: ${positionals[maxPositionals]}`,
+    );
+  }
+
+  return { values, positionals, help };
+}
+
+export function serializeCommandArgs(command, { values, positionals }) {
+  const args = [...positionals];
+  for (const [name, value] of Object.entries(values)) {
+    const flag = findFlag(command.flags || [], name);
+    if (!VALUE_TYPES.has(flag.type)) {
+      if (value) args.push(`--${name}`);
+      continue;
+    }
+    args.push(
+      `--${name}`,
+      Array.isArray(value) ? value.join(",") : String(value),
+    );
+  }
+  return args;
+}
+
+function flagUsage(flag) {
+  const alias = flag.alias ? `-${flag.alias}, ` : "";
+  if (!VALUE_TYPES.has(flag.type)) return `${alias}--${flag.name}`;
+  const placeholder =
+    flag.type === "enum"
+      ? flag.values.join("|")
+      : flag.placeholder || flag.type;
+  return `${alias}--${flag.name} <${placeholder}>`;
+}
+
+function column(text) {
+  return text.length < 33 ? text.padEnd(34) : `${text}  `;
+}
+
+export function formatCommandHelp(commandPath, command) {
+  const lines = [];
+  const positionals = (command.positionals || [])
+    .map((item) => ` [${item.name}]`)
+    .join("");
+  const hasFlags = (command.flags || []).length > 0;
+  lines.push("Usage:");
+  lines.push(
+    `  yws-toolkit ${commandPath}${positionals}${hasFlags ? " [flags]" : ""}`,
+  );
+  if (command.summary) {
+    lines.push("", command.summary);
+  }
+  if (command.positionals?.length) {
+    lines.push("", "Arguments:");
+    for (const item of command.positionals) {
+      const suffix =
+        item.default !== undefined ? ` (default: ${item.default})` : "";
+      lines.push(`  ${column(item.name)}${item.description}${suffix}`);
+    }
+  }
+  if (hasFlags) {
+    lines.push("", "Flags:");
+    for (const flag of command.flags) {
+      const details = [];
+      if (flag.type !== "boolean") details.push(`type: ${flag.type}`);
+      if (flag.default !== undefined) {
+        details.push(`default: ${flag.default}`);
+      }
+      if (flag.min !== undefined) details.push(`min: ${flag.min}`);
+      const suffix = details.length ? ` (${details.join(", ")})` : "";
+      lines.push(
+        `  ${column(flagUsage(flag))}${flag.description || ""}${suffix}`,
+      );
+    }
+  }
+  lines.push("", `  ${column("-h, --help")}Show this help.`);
+  return lines.join("\n");
+}
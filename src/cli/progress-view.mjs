@@ -0,0 +1,137 @@
+const SPINNER_FRAMES = ["◐", "◓", "◑", "◒"];
+const RENDER_INTERVAL_MS = 180;
+
+export function formatDuration(ms) {
+  const totalSeconds = Math.max(0, Math.round(Number(ms || 0) / 1000));
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+  if (hours) return `${hours}h ${String(minutes).padStart(2, "0")}m`;
+  if (minutes) return `${minutes}m ${String(seconds).padStart(2, "0")}s`;
+  return `${seconds}s`;
+}
+
+/**
+ * One line per running check: pages done / total, elapsed time, and an ETA
+ * from the average time per finished page.
+ */
+export function formatProgressRow(row, now = Date.now()) {
+  const elapsed = now - row.startedAt;
+  const totalLabel = row.total > 0 ? String(row.total) : "?";
+  const doneLabel = String(row.done).padStart(totalLabel.length, " ");
+  let timing = formatDuration(elapsed);
+  if (row.done > 0 && row.total > row.done) {
+    const remaining = (elapsed / row.done) * (row.total - row.done);
+    timing += `, ~${formatDuration(remaining)} left`;
+  }
+  const url = row.url ? ` ${row.url}` : "";
+  return `${row.name} [ ${doneLabel} / ${totalLabel} ] ${timing}${url}`;
+}
+
+/**
+ * Renders progress events (see common/events.mjs) as one block with a line
+ * per running check. On a TTY the block is redrawn in place, and log lines
+ * written through `wrapLogger` are printed above it; elsewhere each page
+ * start is printed as a plain line.
+ */
+export function createProgressView({
+  stream = process.stdout,
+  interactive = Boolean(stream.isTTY),
+  now = Date.now,
+} = {}) {
+  const rows = new Map();
+  let renderedLines = 0;
+  let spinnerIndex = 0;
+  let timer = null;
+
+  const clear = () => {
+    if (!renderedLines) return;
+    stream.write(`\x1b[${renderedLines}F\x1b[0J`);
+    renderedLines = 0;
+  };
+
+  const render = () => {
+    clear();
+    const width = Math.max(20, (stream.columns || 80) - 1);
+    const frame = SPINNER_FRAMES[spinnerIndex % SPINNER_FRAMES.length];
+    for (const row of rows.values()) {
+      stream.write(
+        `${frame} ${formatProgressRow(row, now()).slice(0, width - 2)}\n`,
+      );
+      renderedLines += 1;
+    }
+  };
+
+  const syncTimer = () => {
+    if (!interactive) return;
+    if (rows.size && !timer) {
+      timer = setInterval(() => {
+        spinnerIndex = (spinnerIndex + 1) % SPINNER_FRAMES.length;
+        render();
+      }, RENDER_INTERVAL_MS);
+      timer.unref?.();
+    } else if (!rows.size && timer) {
+      clearInterval(timer);
+      timer = null;
+    }
+  };
+
+  const handleEvent = (event) => {
+    const row = event?.check ? rows.get(event.check) : null;
+    if (event?.type === "check.started") {
+      const startedAt = Date.parse(event.time);
+      rows.set(event.check, {
+        name: event.name || event.check,
+        startedAt: Number.isNaN(startedAt) ? now() : startedAt,
+        done: 0,
+        total: 0,
+        url: "",
+      });
+    } else if (event?.type === "check.progress" && row) {
+      row.total = Number(event.total) || row.total;
+      row.url = event.url || "";
+      if (!interactive) {
+        stream.write(`${formatProgressRow(row, now())}\n`);
+        return;
+      }
+    } else if (event?.type === "page.completed" && row) {
+      row.total = Number(event.total) || row.total;
+      row.done += 1;
+    } else if (event?.type === "check.finished") {
+      rows.delete(event.check);
+    } else {
+      return;
+    }
+    syncTimer();
+    if (interactive) render();
+  };
+
+  const wrapLogger = (logger = console) => {
+    const write =
+      (method) =>
+      (...args) => {
+        if (!interactive) return method(...args);
+        clear();
+        method(...args);
+        render();
+      };
+    const log = logger.log.bind(logger);
+    return {
+      ...logger,
+      log: write(log),
+      info: write((logger.info || log).bind(logger)),
+      warn: write((logger.warn || log).bind(logger)),
+      error: write((logger.error || log).bind(logger)),
+    };
+  };
+
+  return {
+    handleEvent,
+    wrapLogger,
+    stop() {
+      rows.clear();
+      syncTimer();
+      if (interactive) clear();
+    },
+  };
+}
@@ -4,58 +4,588 @@ import { spawnSync } from "node:child_process";
 import process from "node:process";
 import { fileURLToPath } from "node:url";
 import { createRequire } from "node:module";
+import { CI_ENV_KEY, hasCiFlag, stripCiFlags } from "./ci-mode.mjs";
+import {
+  CliUsageError,
+  formatCommandHelp,
+  parseCommandArgs,
+  serializeCommandArgs,
+} from "./flags.mjs";
+import { CHECK_IDS } from "../quality/core/config.mjs";
 
 const here = path.dirname(fileURLToPath(import.meta.url));
 const packageRoot = path.resolve(here, "..", "..");
 const requireFromToolkit = createRequire(import.meta.url);
 
+const baseFlag = {
+  name: "base",
+  alias: "b",
+  type: "string",
+  placeholder: "url",
+  description: "Base URL of the site to test.",
+};
+const reportDirFlag = {
+  name: "report-dir",
+  alias: "o",
+  type: "string",
+  placeholder: "dir",
+  description: "Directory for report artifacts.",
+};
+const urlsFileFlag = {
+  name: "urls-file",
+  alias: "u",
+  type: "string",
+  placeholder: "file",
+  description: "JSON file with the URLs to test.",
+};
+const quietFlag = {
+  name: "quiet",
+  type: "boolean",
+  description: "Reduce console output.",
+};
+const dryRunFlag = {
+  name: "dry-run",
+  type: "boolean",
+  description: "Show what would be deleted without deleting.",
+};
+const forceFlag = {
+  name: "force",
+  type: "boolean",
+  description: "Allow deleting the latest run.",
+};
+const runFlag = {
+  name: "run",
+  alias: "r",
+  type: "string",
+  placeholder: "runId",
+  description: "Run id.",
+};
+const tagFlag = {
+  name: "tag",
+  type: "string",
+  placeholder: "tag|latest",
+  description: "Tag to install without prompting.",
+};
+const migrateLegacyFormsFlag = {
+  name: "migrate-legacy-forms",
+  type: "enum",
+  values: ["yes", "no"],
+  description: "Answer the legacy forms migration prompt.",
+};
+
 const COMMANDS = {
-  clean: "scripts/clean.mjs",
+  clean: {
+    script: "scripts/clean.mjs",
+    summary:
+      "Remove .lighthouseci, build, reports, .astro, node_modules and package-lock.json.",
+  },
+  format: {
+    summary:
+      "Run Prettier with the Astro plugin. Defaults to --write; extra arguments are passed to Prettier.",
+    passthrough: true,
+    run: runFormat,
+  },
+  doctor: {
+    script: "scripts/doctor.mjs",
+    summary:
+      "Check the tooling, target URLs, build output and report permissions the enabled checks need.",
+    flags: [
+      {
+        name: "strict",
+        type: "boolean",
+        description: "Exit with code 1 when any probe warns or fails.",
+      },
+    ],
+  },
+  init: {
+    script: "scripts/init.mjs",
+    summary:
+      "Create quality.config.json, .env targets, npm scripts, lighthouserc.cjs and the content folders in an Astro project.",
+    flags: [
+      {
+        name: "dry-run",
+        type: "boolean",
+        description: "Preview the files and diffs without writing.",
+      },
+      {
+        name: "force",
+        type: "boolean",
+        description: "Apply changes to existing files without asking.",
+      },
+    ],
+  },
+  manifest: {
+    summary: "Print the machine-readable command manifest as JSON.",
+    run: () => {
+      console.log(JSON.stringify(commandManifest(), null, 2));
+      return 0;
+    },
+  },
   scaffold: {
-    newpage: "scripts/newpage.mjs",
+    summary: "Generate project files.",
+    subcommands: {
+      newpage: {
+        script: "scripts/newpage.mjs",
+        summary: "Interactive page generator.",
+        flags: [
+          {
+            name: "route-type",
+            type: "enum",
+            values: ["segment", "non-segment"],
+            description: "Route type (multilingual sites only).",
+          },
+          {
+            name: "slug",
+            type: "string",
+            description: "Content slug used for JSON and page.",
+          },
+          {
+            name: "segment-key",
+            type: "string",
+            description: "Segment key for segment routes.",
+          },
+          {
+            name: "nav-placement",
+            type: "enum",
+            values: ["header", "footer", "both", "none"],
+            description: "Navigation placement.",
+          },
+          {
+            name: "segment-value-<locale>",
+            type: "string",
+            description: "Segment value for a locale.",
+          },
+          {
+            name: "menu-label-<locale>",
+            type: "string",
+            description: "Menu label for a locale.",
+          },
+          {
+            name: "seo-title-<locale>",
+            type: "string",
+            description: "SEO title for a locale.",
+          },
+          {
+            name: "seo-description-<locale>",
+            type: "string",
+            description: "SEO description for a locale.",
+          },
+          {
+            name: "overwrite",
+            type: "boolean",
+            description: "Overwrite existing content JSON and menu entries.",
+          },
+        ],
+      },
+    },
   },
   quality: {
-    run: "scripts/run-quality-suite.mjs",
-    a11y: "scripts/pa11y-crawl-and-test.mjs",
-    axe: "scripts/axe-audit.mjs",
-    form: "scripts/form-test.mjs",
-    seo: "scripts/seo-audit.mjs",
-    links: "scripts/link-check.mjs",
-    jsonld: "scripts/jsonld-validate.mjs",
-    security: "scripts/security-audit.mjs",
-    sitespeed: "scripts/sitespeed-audit.mjs",
-    comment: "scripts/post-quality-comment.mjs",
-    render: "scripts/quality-render.mjs",
-    compare: "scripts/quality-compare-runs.mjs",
-    "list-runs": "scripts/quality-list-runs.mjs",
-    "delete-run": "scripts/quality-delete-run.mjs",
-    "clean-runs": "scripts/quality-clean-runs.mjs",
-    "flush-runs": "scripts/quality-flush-runs.mjs",
-    "prune-runs": "scripts/quality-prune-runs.mjs",
+    summary: "Run quality checks and manage run snapshots.",
+    subcommands: {
+      run: {
+        script: "scripts/run-quality-suite.mjs",
+        summary: "Run the full quality suite and open the HTML report.",
+        flags: [
+          {
+            name: "target",
+            alias: "t",
+            type: "string",
+            placeholder: "development|staging|production|<config target>",
+            description: "Target environment.",
+          },
+          {
+            ...baseFlag,
+            description: "Run against this exact URL (overrides --target).",
+          },
+          {
+            name: "checks",
+            type: "list",
+            values: CHECK_IDS,
+            openValues: true,
+            description:
+              "Comma-separated check ids to run (built-in or plugin ids).",
+          },
+          {
+            name: "max-urls",
+            type: "integer",
+            min: 1,
+            description: "Run the first N discovered URLs.",
+          },
+          {
+            name: "all-urls",
+            type: "boolean",
+            description: "Run every discovered URL.",
+          },
+          {
+            name: "concurrency",
+            type: "integer",
+            min: 1,
+            description:
+              "Run up to N checks side by side (overrides quality.config).",
+          },
+          {
+            name: "resume",
+            type: "string",
+            placeholder: "runId",
+            description:
+              "Re-run checks into an existing run, reusing its target, URLs and config.",
+          },
+          {
+            name: "only-failed",
+            type: "boolean",
+            description:
+              "With --resume, re-run the failed and unfinished checks.",
+          },
+          {
+            name: "live-fetch",
+            type: "boolean",
+            description:
+              "Let checks fetch pages themselves instead of using the run's page cache.",
+          },
+          {
+            name: "reporter",
+            type: "enum",
+            values: ["text", "ndjson"],
+            description:
+              "ndjson: write progress events as NDJSON to stdout (logs go to stderr; implies --ci).",
+          },
+          migrateLegacyFormsFlag,
+          {
+            name: "full",
+            type: "boolean",
+            description: "Stream all command output.",
+          },
+          {
+            name: "no-quiet",
+            type: "boolean",
+            description: "Alias of --full.",
+          },
+        ],
+      },
+      a11y: {
+        script: "scripts/pa11y-crawl-and-test.mjs",
+        summary: "Run Pa11y accessibility tests.",
+        flags: [baseFlag, reportDirFlag, urlsFileFlag],
+      },
+      axe: {
+        script: "scripts/axe-audit.mjs",
+        summary: "Run aXe accessibility audits.",
+        flags: [
+          baseFlag,
+          urlsFileFlag,
+          reportDirFlag,
+          { ...quietFlag, alias: "q" },
+        ],
+      },
+      form: {
+        script: "scripts/form-test.mjs",
+        summary: "Test generated API-backed forms.",
+        flags: [
+          baseFlag,
+          urlsFileFlag,
+          {
+            name: "all-urls-file",
+            alias: "U",
+            type: "string",
+            placeholder: "file",
+            description: "JSON file with every discovered URL.",
+          },
+          reportDirFlag,
+          { ...quietFlag, alias: "q" },
+          {
+            ...migrateLegacyFormsFlag,
+            alias: "m",
+            values: ["prompt", "yes", "no"],
+            default: "prompt",
+          },
+        ],
+      },
+      seo: {
+        script: "scripts/seo-audit.mjs",
+        summary: "Run the SEO audit.",
+        flags: [baseFlag, reportDirFlag, urlsFileFlag],
+      },
+      links: {
+        script: "scripts/link-check.mjs",
+        summary: "Check internal and external links.",
+        flags: [
+          baseFlag,
+          reportDirFlag,
+          urlsFileFlag,
+          {
+            name: "skip-external",
+            type: "boolean",
+            description: "Only check internal links.",
+          },
+          quietFlag,
+        ],
+      },
+      jsonld: {
+        script: "scripts/jsonld-validate.mjs",
+        summary: "Validate JSON-LD in built pages.",
+        positionals: [
+          {
+            name: "build-dir",
+            description: "Directory with built HTML.",
+            default: "build",
+          },
+        ],
+        flags: [
+          { ...urlsFileFlag, default: "reports/urls.json" },
+          {
+            name: "schema-file",
+            type: "string",
+            placeholder: "file",
+            description: "Local schema.org JSON-LD file.",
+          },
+          { ...reportDirFlag, alias: undefined, default: "reports/jsonld" },
+        ],
+      },
+      security: {
+        script: "scripts/security-audit.mjs",
+        summary: "Run the security audit against a remote URL.",
+        flags: [
+          baseFlag,
+          reportDirFlag,
+          {
+            name: "timeout-ms",
+            alias: "m",
+            type: "integer",
+            description: "Request timeout in milliseconds.",
+          },
+          quietFlag,
+          {
+            name: "with-testssl",
+            type: "boolean",
+            description: "Run testssl.sh.",
+          },
+          {
+            name: "no-testssl",
+            type: "boolean",
+            description: "Skip testssl.sh.",
+          },
+        ],
+      },
+      sitespeed: {
+        script: "scripts/sitespeed-audit.mjs",
+        summary: "Run sitespeed.io.",
+        flags: [baseFlag, reportDirFlag, urlsFileFlag, quietFlag],
+      },
+      comment: {
+        script: "scripts/post-quality-comment.mjs",
+        summary: "Print a Markdown summary of the latest run.",
+      },
+      config: {
+        script: "scripts/quality-config.mjs",
+        summary: "Validate quality.config against the published JSON Schema.",
+        flags: [
+          {
+            name: "print",
+            type: "boolean",
+            description: "Print the resolved, effective configuration as JSON.",
+          },
+          {
+            name: "target",
+            alias: "t",
+            type: "string",
+            placeholder: "target",
+            description: "Apply the profile for this target before printing.",
+          },
+        ],
+      },
+      render: {
+        script: "scripts/quality-render.mjs",
+        summary: "Render a run into reports/.",
+        flags: [
+          { ...runFlag, description: "Run to render (defaults to latest)." },
+          {
+            name: "format",
+            alias: "f",
+            type: "enum",
+            values: ["html", "pdf"],
+            default: "html",
+            description: "View format to materialize.",
+          },
+        ],
+      },
+      compare: {
+        script: "scripts/quality-compare-runs.mjs",
+        summary: "Compare metrics between two runs.",
+        flags: [
+          {
+            name: "base",
+            alias: "b",
+            type: "string",
+            placeholder: "runId",
+            description: "Baseline run id (defaults to previous run).",
+          },
+          {
+            name: "head",
+            type: "string",
+            placeholder: "runId",
+            description: "Run to compare (defaults to latest).",
+          },
+        ],
+      },
+      "validate-run": {
+        script: "scripts/quality-validate-run.mjs",
+        summary: "Validate a stored run against the run and check schemas.",
+        flags: [
+          { ...runFlag, description: "Run to validate (defaults to latest)." },
+        ],
+      },
+      "migrate-runs": {
+        script: "scripts/quality-migrate-runs.mjs",
+        summary:
+          "Rewrite stored run datasets in the current schema (keeps a backup).",
+        flags: [
+          {
+            ...runFlag,
+            description: "Migrate only this run (defaults to all runs).",
+          },
+          dryRunFlag,
+        ],
+      },
+      "list-runs": {
+        script: "scripts/quality-list-runs.mjs",
+        summary: "List known runs and mark the latest.",
+      },
+      "delete-run": {
+        script: "scripts/quality-delete-run.mjs",
+        summary: "Delete one run.",
+        flags: [
+          { ...runFlag, description: "Run id to delete." },
+          dryRunFlag,
+          forceFlag,
+        ],
+      },
+      "clean-runs": {
+        script: "scripts/quality-clean-runs.mjs",
+        summary: "Keep the newest N runs and delete the rest.",
+        flags: [
+          {
+            name: "keep",
+            alias: "k",
+            type: "integer",
+            description: "Number of runs to keep.",
+          },
+          dryRunFlag,
+          forceFlag,
+        ],
+      },
+      "flush-runs": {
+        script: "scripts/quality-flush-runs.mjs",
+        summary: "Delete all run history.",
+        flags: [dryRunFlag],
+      },
+      "prune-runs": {
+        script: "scripts/quality-prune-runs.mjs",
+        summary: "Delete runs older than a number of days.",
+        flags: [
+          {
+            name: "older-than",
+            alias: "o",
+            type: "number",
+            placeholder: "days",
+            default: 30,
+            description: "Age in days.",
+          },
+          dryRunFlag,
+          forceFlag,
+        ],
+      },
+    },
   },
   update: {
-    components: "scripts/update-components.mjs",
-    toolkit: "scripts/update-toolkit.mjs",
+    summary: "Update a tag-pinned dependency and reinstall.",
+    subcommands: {
+      components: {
+        script: "scripts/update-components.mjs",
+        summary: "Update yourwebsquad-components.",
+        flags: [tagFlag],
+      },
+      toolkit: {
+        script: "scripts/update-toolkit.mjs",
+        summary: "Update yourwebsquad-toolkit.",
+        flags: [tagFlag],
+      },
+    },
   },
 };
 
-function printHelp() {
-  console.log("Usage:");
-  console.log("  yws-toolkit clean [-- <args>]");
-  console.log("  yws-toolkit format [--check] [-- <prettier args>]");
-  console.log("  yws-toolkit scaffold <newpage> [-- <args>]");
-  console.log(
-    "  yws-toolkit quality <run|a11y|axe|form|seo|links|jsonld|security|sitespeed|comment|render|compare|list-runs|delete-run|clean-runs|flush-runs|prune-runs> [-- <args>]",
+function printHelp(log = console.log) {
+  log("Usage:");
+  log("  yws-toolkit [--ci|--yes] <command> [subcommand] [flags]");
+  log("");
+  log("Commands:");
+  for (const [name, command] of Object.entries(COMMANDS)) {
+    if (command.subcommands) {
+      const subcommands = Object.keys(command.subcommands).join("|");
+      log(`  ${name} <${subcommands}>`);
+    } else {
+      log(`  ${name}`);
+    }
+  }
+  log("");
+  log("Run yws-toolkit <command> [subcommand] --help for flags.");
+  log(
+    "--ci / --yes (or CI=true) disables prompts: answers must come from flags or config.",
   );
-  console.log("  yws-toolkit update <components|toolkit> [-- <args>]");
 }
 
-function resolveScript(mainCommand, subCommand) {
-  const selected = COMMANDS[mainCommand];
-  if (!selected) return null;
-  if (typeof selected === "string") return selected;
-  if (!subCommand) return null;
-  return selected[subCommand] || null;
+function manifestEntry(commandPath, command) {
+  return {
+    command: commandPath,
+    summary: command.summary || "",
+    passthrough: Boolean(command.passthrough),
+    positionals: (command.positionals || []).map((item) => ({ ...item })),
+    flags: (command.flags || []).map((flag) => {
+      const entry = { name: flag.name, type: flag.type };
+      if (flag.alias) entry.alias = flag.alias;
+      if (flag.values) entry.values = [...flag.values];
+      if (flag.default !== undefined) entry.default = flag.default;
+      if (flag.min !== undefined) entry.min = flag.min;
+      entry.description = flag.description || "";
+      return entry;
+    }),
+  };
+}
+
+/**
+ * The registry entry for a command path such as `"quality run"`; null when
+ * there is none. Scripts parse their own argv against it.
+ */
+export function findCommand(commandPath) {
+  const [name, subName] = String(commandPath).split(" ");
+  const command = COMMANDS[name];
+  if (!command) return null;
+  if (!subName) return command;
+  return command.subcommands?.[subName] || null;
+}
+
+export function commandManifest() {
+  const commands = [];
+  for (const [name, command] of Object.entries(COMMANDS)) {
+    if (!command.subcommands) {
+      commands.push(manifestEntry(name, command));
+      continue;
+    }
+    for (const [subName, subcommand] of Object.entries(command.subcommands)) {
+      commands.push(manifestEntry(`${name} ${subName}`, subcommand));
+    }
+  }
+  return {
+    bin: "yws-toolkit",
+    globalFlags: [
+      {
+        name: "ci",
+        type: "boolean",
+        description: "Disable prompts (also enabled by CI=true).",
+      },
+      { name: "yes", type: "boolean", description: "Alias of --ci." },
+    ],
+    commands,
+  };
 }
 
 function runScript(scriptRelPath, args) {
@@ -114,58 +644,86 @@ function runFormat(args) {
   return result.status ?? 1;
 }
 
+function runCommand(commandPath, command, args) {
+  if (command.passthrough) {
+    if (args.includes("--help") || args.includes("-h")) {
+      console.log(formatCommandHelp(commandPath, command));
+      return 0;
+    }
+    return command.run(args.filter((arg) => arg !== "--"));
+  }
+
+  let parsed;
+  try {
+    parsed = parseCommandArgs(command, args);
+  } catch (err) {
+    if (!(err instanceof CliUsageError)) throw err;
+    console.error(err.message);
+    console.error(`Run yws-toolkit ${commandPath} --help for usage.`);
+    return 1;
+  }
+
+  if (parsed.help) {
+    console.log(formatCommandHelp(commandPath, command));
+    return 0;
+  }
+  if (command.run) {
+    return command.run(parsed);
+  }
+  return runScript(command.script, serializeCommandArgs(command, parsed));
+}
+
 export function runCli(argv = []) {
-  const [mainCommand, maybeSubCommand, ...rest] = argv;
+  if (hasCiFlag(argv)) {
+    process.env[CI_ENV_KEY] = "1";
+  }
+  const [mainCommand, maybeSubCommand, ...rest] = stripCiFlags(argv);
 
   if (!mainCommand || mainCommand === "-h" || mainCommand === "--help") {
     printHelp();
     return;
   }
 
-  if (mainCommand === "clean") {
-    const exitCode = runScript(
-      resolveScript("clean"),
-      [maybeSubCommand, ...rest].filter(Boolean),
-    );
-    if (exitCode !== 0) process.exit(exitCode);
-    return;
-  }
-
-  if (mainCommand === "format") {
-    const exitCode = runFormat([maybeSubCommand, ...rest].filter(Boolean));
-    if (exitCode !== 0) process.exit(exitCode);
+  const command = COMMANDS[mainCommand];
+  if (!command) {
+    console.error(`Unknown command: ${mainCommand}`);
+    printHelp(console.error);
+    process.exit(1);
     return;
   }
 
-  if (
-    mainCommand === "scaffold" ||
-    mainCommand === "quality" ||
-    mainCommand === "update"
-  ) {
+  let exitCode;
+  if (command.subcommands) {
     if (
       !maybeSubCommand ||
       maybeSubCommand === "-h" ||
       maybeSubCommand === "--help"
     ) {
       printHelp();
-      process.exit(1);
+      process.exit(maybeSubCommand ? 0 : 1);
       return;
     }
-    const scriptRelPath = resolveScript(mainCommand, maybeSubCommand);
-    if (!scriptRelPath) {
+    const subcommand = command.subcommands[maybeSubCommand];
+    if (!subcommand) {
       console.error(
         `Unknown subcommand for "${mainCommand}": ${maybeSubCommand}`,
       );
-      printHelp();
+      printHelp(console.error);
       process.exit(1);
       return;
     }
-    const exitCode = runScript(scriptRelPath, rest);
-    if (exitCode !== 0) process.exit(exitCode);
-    return;
+    exitCode = runCommand(
+      `${mainCommand} ${maybeSubCommand}`,
+      subcommand,
+      rest,
+    );
+  } else {
+    exitCode = runCommand(
+      mainCommand,
+      command,
+      [maybeSubCommand, ...rest].filter(Boolean),
+    );
   }
 
-  console.error(`Unknown command: ${mainCommand}`);
-  printHelp();
-  process.exit(1);
+  if (exitCode !== 0) process.exit(exitCode);
 }
@@ -0,0 +1,19 @@
+import { makeFinding } from "../../core/findings.mjs";
+
+// One finding per offending node when the run recorded their selectors.
+export function axeFindings(payload) {
+  const issues = Array.isArray(payload?.issues) ? payload.issues : [];
+  return issues.flatMap((issue) => {
+    const fields = {
+      ruleId: issue?.ruleId,
+      severity: "error",
+      pageUrl: issue?.pageUrl,
+      message: issue?.help,
+      helpUrl: issue?.helpUrl,
+    };
+    const selectors = Array.isArray(issue?.selectors) ? issue.selectors : [];
+    return selectors.length
+      ? selectors.map((selector) => makeFinding("axe", { ...fields, selector }))
+      : [makeFinding("axe", fields)];
+  });
+}
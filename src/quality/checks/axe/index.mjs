@@ -22,5 +22,6 @@ export const axeCheck = defineQualityCheck({
   capabilities: {
     supportsRemote: true,
     supportsLocalBuild: true,
+    usesBrowser: true,
   },
 });
@@ -1,3 +1,5 @@
+import { axeFindings } from "./findings.mjs";
+
 function toNumber(value) {
   const n = Number(value);
   return Number.isFinite(n) ? n : 0;
@@ -46,7 +48,7 @@ export function normalizeAxePayload(raw, options = {}) {
     return pageSummary;
   });
 
-  return {
+  const payload = {
     selected: options.selected !== false,
     failed:
       Boolean(options.failed) || violations > 0 || executionFailures.length > 0,
@@ -64,4 +66,5 @@ export function normalizeAxePayload(raw, options = {}) {
       pageSummaries,
     },
   };
+  return { ...payload, findings: axeFindings(payload) };
 }
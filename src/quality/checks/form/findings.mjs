@@ -0,0 +1,16 @@
+import { makeFinding } from "../../core/findings.mjs";
+
+export function formFindings(payload) {
+  const issues = Array.isArray(payload?.issues) ? payload.issues : [];
+  return issues.map((issue) =>
+    makeFinding("form", {
+      ruleId: `form-${issue?.type || "issue"}`,
+      pageUrl: issue?.pageUrl,
+      selector:
+        issue?.formIndex === "" || issue?.formIndex == null
+          ? null
+          : `form #${issue.formIndex}`,
+      message: issue?.message,
+    }),
+  );
+}
@@ -22,5 +22,7 @@ export const formCheck = defineQualityCheck({
   capabilities: {
     supportsRemote: true,
     supportsLocalBuild: true,
+    usesBrowser: true,
+    usesPageCache: true,
   },
 });
@@ -1,3 +1,5 @@
+import { formFindings } from "./findings.mjs";
+
 function toNumber(value) {
   const n = Number(value);
   return Number.isFinite(n) ? n : 0;
@@ -47,7 +49,7 @@ export function normalizeFormPayload(raw, options = {}) {
       ? toNumber(stats.failed) + toNumber(stats.preflightFailed)
       : issues.filter((issue) => issue?.status === "failed").length;
 
-  return {
+  const payload = {
     selected: options.selected !== false,
     failed: Boolean(options.failed) || failedCount > 0,
     stats,
@@ -66,4 +68,5 @@ export function normalizeFormPayload(raw, options = {}) {
       execution,
     },
   };
+  return { ...payload, findings: formFindings(payload) };
 }
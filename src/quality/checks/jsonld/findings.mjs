@@ -0,0 +1,14 @@
+import { makeFinding } from "../../core/findings.mjs";
+
+export function jsonldFindings(payload) {
+  const issues = Array.isArray(payload?.issues) ? payload.issues : [];
+  return issues.map((issue) =>
+    makeFinding("jsonld", {
+      ruleId: issue?.checker || "structured-data",
+      severity: issue?.severity,
+      pageUrl: issue?.url || issue?.pagePath || issue?.file,
+      selector: Array.isArray(issue?.path) ? issue.path.join(" > ") : null,
+      message: issue?.issueMessage || issue?.message,
+    }),
+  );
+}
@@ -22,5 +22,6 @@ export const jsonldCheck = defineQualityCheck({
   capabilities: {
     supportsRemote: false,
     supportsLocalBuild: true,
+    usesPageCache: true,
   },
 });
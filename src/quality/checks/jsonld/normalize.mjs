@@ -1,3 +1,5 @@
+import { jsonldFindings } from "./findings.mjs";
+
 function toNumber(value) {
   const n = Number(value);
   return Number.isFinite(n) ? n : 0;
@@ -10,7 +12,7 @@ export function normalizeJsonldPayload(raw, options = {}) {
   const warningCount = stats ? toNumber(stats.warningCount) : 0;
   const inferredFailed = errorCount > 0;
 
-  return {
+  const payload = {
     selected: options.selected !== false,
     failed: Boolean(options.failed) || inferredFailed,
     stats: stats || {
@@ -30,4 +32,5 @@ export function normalizeJsonldPayload(raw, options = {}) {
       pageSummaries: Array.isArray(raw?.pageSummaries) ? raw.pageSummaries : [],
     },
   };
+  return { ...payload, findings: jsonldFindings(payload) };
 }
@@ -0,0 +1,26 @@
+import { makeFinding } from "../../core/findings.mjs";
+
+export function lighthouseFindings(payload) {
+  const failures = Array.isArray(payload?.stats?.failures)
+    ? payload.stats.failures
+    : [];
+  const runFailureUrls = Array.isArray(payload?.stats?.runFailureUrls)
+    ? payload.stats.runFailureUrls
+    : [];
+  return [
+    ...failures.map((failure) =>
+      makeFinding("lighthouse", {
+        ruleId: `categories:${failure?.category}`,
+        pageUrl: failure?.url,
+        message: `${failure?.category} score ${failure?.score} is below ${failure?.minScore}.`,
+      }),
+    ),
+    ...runFailureUrls.map((url) =>
+      makeFinding("lighthouse", {
+        ruleId: "lighthouse-run-failed",
+        pageUrl: url,
+        message: "Lighthouse could not audit this page.",
+      }),
+    ),
+  ];
+}
@@ -22,5 +22,7 @@ export const lighthouseCheck = defineQualityCheck({
   capabilities: {
     supportsRemote: true,
     supportsLocalBuild: true,
+    resources: ["cpu-heavy"],
+    usesBrowser: true,
   },
 });
@@ -1,8 +1,30 @@
+import { lighthouseFindings } from "./findings.mjs";
+
 function toNumber(value) {
   const n = Number(value);
   return Number.isFinite(n) ? n : 0;
 }
 
+const CATEGORY_SCORE_KEYS = {
+  performance: "performance",
+  accessibility: "accessibility",
+  "best-practices": "bestPractices",
+  seo: "seo",
+  pwa: "pwa",
+};
+
+// Worst score per Lighthouse category across the audited pages.
+function worstScores(metrics) {
+  const scores = {};
+  for (const [category, key] of Object.entries(CATEGORY_SCORE_KEYS)) {
+    const values = (Array.isArray(metrics) ? metrics : [])
+      .map((entry) => entry?.scores?.[key])
+      .filter((value) => Number.isFinite(value));
+    scores[category] = values.length ? Math.min(...values) : null;
+  }
+  return scores;
+}
+
 export function normalizeLighthousePayload(raw, options = {}) {
   const stats = raw?.stats || null;
   const metrics = raw?.metrics || null;
@@ -10,15 +32,17 @@ export function normalizeLighthousePayload(raw, options = {}) {
   const runFailures = toNumber(stats?.runFailures);
   const inferredFailed = assertionFailures > 0 || runFailures > 0;
 
-  return {
+  const payload = {
     selected: options.selected !== false,
     failed: Boolean(options.failed) || inferredFailed,
     stats,
     metrics,
+    scores: worstScores(metrics),
     meta: {
       hasSummaryHtml: Boolean(raw?.hasSummaryHtml),
       logPath: raw?.logPath || null,
       htmlReports: Array.isArray(raw?.htmlReports) ? raw.htmlReports : [],
     },
   };
+  return { ...payload, findings: lighthouseFindings(payload) };
 }
@@ -0,0 +1,30 @@
+import { makeFinding } from "../../core/findings.mjs";
+
+function brokenMessage(linkUrl, reason) {
+  return `Broken link to ${linkUrl}${reason ? ` (${reason})` : ""}.`;
+}
+
+export function linksFindings(payload) {
+  const links = payload?.links || {};
+  const broken = Array.isArray(links.broken) ? links.broken : [];
+  const linkinator = Array.isArray(links.tools?.linkinator?.broken)
+    ? links.tools.linkinator.broken
+    : [];
+  return [
+    ...broken.map((entry) =>
+      makeFinding("links", {
+        ruleId: "broken-link",
+        pageUrl: entry?.pageUrl,
+        selector: entry?.selector,
+        message: brokenMessage(entry?.linkUrl, entry?.status || entry?.error),
+      }),
+    ),
+    ...linkinator.map((entry) =>
+      makeFinding("links", {
+        ruleId: "linkinator-broken-link",
+        pageUrl: entry?.parent,
+        message: brokenMessage(entry?.url, entry?.status),
+      }),
+    ),
+  ];
+}
@@ -22,5 +22,6 @@ export const linksCheck = defineQualityCheck({
   capabilities: {
     supportsRemote: true,
     supportsLocalBuild: true,
+    usesPageCache: true,
   },
 });
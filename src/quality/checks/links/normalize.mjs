@@ -1,3 +1,5 @@
+import { linksFindings } from "./findings.mjs";
+
 function toNumber(value) {
   const n = Number(value);
   return Number.isFinite(n) ? n : 0;
@@ -21,7 +23,7 @@ export function normalizeLinksPayload(raw, options = {}) {
   const skippedExternal = toNumber(links?.skippedExternal);
   const inferredFailed = combinedBroken > 0;
 
-  return {
+  const payload = {
     selected: options.selected !== false,
     failed: Boolean(options.failed) || inferredFailed,
     links,
@@ -41,4 +43,5 @@ export function normalizeLinksPayload(raw, options = {}) {
       pageSummaries: Array.isArray(raw?.pageSummaries) ? raw.pageSummaries : [],
     },
   };
+  return { ...payload, findings: linksFindings(payload) };
 }
@@ -42,6 +42,7 @@ function parsePageReportSummary(filePath) {
 
 export function collectPa11yFromReportDir(reportDir, options = {}) {
   const stats = readJsonIfExists(path.join(reportDir, "stats.json"));
+  const issues = readJsonIfExists(path.join(reportDir, "issues.json"));
   const reportHtml = path.join(reportDir, "report.html");
   const summaryMd = path.join(reportDir, "SUMMARY.md");
   const pageReportsDir = path.join(reportDir, "pages");
@@ -71,6 +72,7 @@ export function collectPa11yFromReportDir(reportDir, options = {}) {
     reportDir,
     logPath: options.logPath || null,
     stats,
+    issues: Array.isArray(issues) ? issues : [],
     reportHtmlPath: fs.existsSync(reportHtml) ? reportHtml : null,
     summaryMdPath: fs.existsSync(summaryMd) ? summaryMd : null,
     pageReports,
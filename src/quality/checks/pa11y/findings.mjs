@@ -0,0 +1,14 @@
+import { makeFinding } from "../../core/findings.mjs";
+
+export function pa11yFindings(payload) {
+  const issues = Array.isArray(payload?.issues) ? payload.issues : [];
+  return issues.map((issue) =>
+    makeFinding("pa11y", {
+      ruleId: issue?.code,
+      severity: issue?.type,
+      pageUrl: issue?.pageUrl,
+      selector: issue?.selector,
+      message: issue?.message,
+    }),
+  );
+}
@@ -22,5 +22,6 @@ export const pa11yCheck = defineQualityCheck({
   capabilities: {
     supportsRemote: true,
     supportsLocalBuild: true,
+    usesBrowser: true,
   },
 });
@@ -1,3 +1,5 @@
+import { pa11yFindings } from "./findings.mjs";
+
 function toNumber(value) {
   const n = Number(value);
   return Number.isFinite(n) ? n : 0;
@@ -9,10 +11,11 @@ export function normalizePa11yPayload(raw, options = {}) {
   const warnings = toNumber(stats?.warningCount);
   const inferredFailed = errors > 0;
 
-  return {
+  const payload = {
     selected: options.selected !== false,
     failed: Boolean(options.failed) || inferredFailed,
     stats,
+    issues: Array.isArray(raw?.issues) ? raw.issues : [],
     meta: {
       logPath: raw?.logPath || null,
       hasReportHtml: Boolean(raw?.hasReportHtml),
@@ -24,4 +27,5 @@ export function normalizePa11yPayload(raw, options = {}) {
       pageSummaries: Array.isArray(raw?.pageSummaries) ? raw.pageSummaries : [],
     },
   };
+  return { ...payload, findings: pa11yFindings(payload) };
 }
@@ -0,0 +1,39 @@
+import { makeFinding } from "../../core/findings.mjs";
+
+const TESTSSL_SEVERITIES = {
+  LOW: "warning",
+  MEDIUM: "error",
+  HIGH: "error",
+  CRITICAL: "error",
+};
+
+export function securityFindings(payload) {
+  const tools = payload?.stats?.tools || {};
+  const observatory = tools.observatory?.details || {};
+  const pageUrl =
+    observatory.diagnosticsFinalUrl || payload?.stats?.baseUrl || null;
+  const headers = Array.isArray(observatory.headerDiagnostics)
+    ? observatory.headerDiagnostics
+    : [];
+  const testssl = Array.isArray(tools.testssl?.details?.findings)
+    ? tools.testssl.details.findings
+    : [];
+  return [
+    ...headers.map((issue) =>
+      makeFinding("security", {
+        ruleId: issue?.code,
+        severity: "warning",
+        pageUrl,
+        message: issue?.message,
+      }),
+    ),
+    ...testssl.map((entry) =>
+      makeFinding("security", {
+        ruleId: `testssl:${entry?.id}`,
+        severity: TESTSSL_SEVERITIES[entry?.severity] || "info",
+        pageUrl: payload?.stats?.baseUrl,
+        message: entry?.finding,
+      }),
+    ),
+  ];
+}
@@ -1,3 +1,5 @@
+import { securityFindings } from "./findings.mjs";
+
 function toNumber(value) {
   const n = Number(value);
   return Number.isFinite(n) ? n : 0;
@@ -9,7 +11,7 @@ export function normalizeSecurityPayload(raw, options = {}) {
   const statsFailed = Boolean(stats?.failed);
   const inferredFailed = statsFailed || findings > 0;
 
-  return {
+  const payload = {
     selected: options.selected !== false,
     failed: Boolean(options.failed) || inferredFailed,
     stats,
@@ -23,4 +25,5 @@ export function normalizeSecurityPayload(raw, options = {}) {
       testsslJsonPath: raw?.testsslJsonPath || null,
     },
   };
+  return { ...payload, findings: securityFindings(payload) };
 }
@@ -0,0 +1,13 @@
+import { makeFinding } from "../../core/findings.mjs";
+
+export function seoFindings(payload) {
+  const issues = Array.isArray(payload?.issues) ? payload.issues : [];
+  return issues.map((issue) =>
+    makeFinding("seo", {
+      ruleId: issue?.code,
+      severity: issue?.severity,
+      pageUrl: issue?.pageUrl,
+      message: issue?.message,
+    }),
+  );
+}
@@ -22,5 +22,6 @@ export const seoCheck = defineQualityCheck({
   capabilities: {
     supportsRemote: true,
     supportsLocalBuild: true,
+    usesPageCache: true,
   },
 });
@@ -1,3 +1,5 @@
+import { seoFindings } from "./findings.mjs";
+
 function toNumber(value) {
   const n = Number(value);
   return Number.isFinite(n) ? n : 0;
@@ -18,7 +20,7 @@ export function normalizeSeoPayload(raw, options = {}) {
     : countSeverity(issues, "warn");
   const inferredFailed = errorCount > 0;
 
-  return {
+  const payload = {
     selected: options.selected !== false,
     failed: Boolean(options.failed) || inferredFailed,
     stats: stats || {
@@ -36,4 +38,5 @@ export function normalizeSeoPayload(raw, options = {}) {
       pageSummaries: Array.isArray(raw?.pageSummaries) ? raw.pageSummaries : [],
     },
   };
+  return { ...payload, findings: seoFindings(payload) };
 }
@@ -0,0 +1,11 @@
+import { makeFinding } from "../../core/findings.mjs";
+
+export function sitespeedFindings(payload) {
+  if (!Number(payload?.stats?.runFailures)) return [];
+  return [
+    makeFinding("sitespeed", {
+      ruleId: "sitespeed-run-failed",
+      message: payload.stats.errorMessage || "Sitespeed.io run failed.",
+    }),
+  ];
+}
@@ -22,5 +22,6 @@ export const sitespeedCheck = defineQualityCheck({
   capabilities: {
     supportsRemote: true,
     supportsLocalBuild: true,
+    resources: ["cpu-heavy"],
   },
 });
@@ -1,3 +1,5 @@
+import { sitespeedFindings } from "./findings.mjs";
+
 function toNumber(value) {
   const n = Number(value);
   return Number.isFinite(n) ? n : 0;
@@ -7,7 +9,7 @@ export function normalizeSitespeedPayload(raw, options = {}) {
   const stats = raw?.stats || null;
   const runFailures = toNumber(stats?.runFailures);
   const inferredFailed = runFailures > 0;
-  return {
+  const payload = {
     selected: options.selected !== false,
     failed: Boolean(options.failed) || inferredFailed,
     stats: stats || {
@@ -24,4 +26,5 @@ export function normalizeSitespeedPayload(raw, options = {}) {
       summaryMdPath: raw?.summaryMdPath || null,
     },
   };
+  return { ...payload, findings: sitespeedFindings(payload) };
 }
@@ -0,0 +1,15 @@
+import { makeFinding } from "../../core/findings.mjs";
+
+// Line and column change with every content edit, so they stay in `issues`
+// and the message identifies the finding.
+export function vnuFindings(payload) {
+  const issues = Array.isArray(payload?.issues) ? payload.issues : [];
+  return issues.map((issue) =>
+    makeFinding("vnu", {
+      ruleId: [issue?.type, issue?.subType].filter(Boolean).join(":"),
+      severity: issue?.severity,
+      pageUrl: issue?.url,
+      message: issue?.message,
+    }),
+  );
+}
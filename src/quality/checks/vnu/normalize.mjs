@@ -1,3 +1,5 @@
+import { vnuFindings } from "./findings.mjs";
+
 function toNumber(value) {
   const n = Number(value);
   return Number.isFinite(n) ? n : 0;
@@ -36,7 +38,7 @@ export function normalizeVnuPayload(raw, options = {}) {
     },
   );
 
-  return {
+  const payload = {
     selected: options.selected !== false,
     failed: Boolean(options.failed) || inferredFailed,
     stats,
@@ -50,4 +52,5 @@ export function normalizeVnuPayload(raw, options = {}) {
       pageSummaries,
     },
   };
+  return { ...payload, findings: vnuFindings(payload) };
 }
@@ -0,0 +1,5 @@
+import { findingsFromIssues } from "../../core/findings.mjs";
+
+export function wappalyzerFindings(payload) {
+  return findingsFromIssues("wappalyzer", payload?.issues);
+}
@@ -1,3 +1,5 @@
+import { wappalyzerFindings } from "./findings.mjs";
+
 function toNumber(value) {
   const n = Number(value);
   return Number.isFinite(n) ? n : 0;
@@ -31,7 +33,7 @@ export function normalizeWappalyzerPayload(raw, options = {}) {
   const failed =
     Boolean(options.failed) || (pagesTested > 0 && pagesFailed >= pagesTested);
 
-  return {
+  const payload = {
     selected: options.selected !== false,
     failed,
     stats: {
@@ -67,4 +69,5 @@ export function normalizeWappalyzerPayload(raw, options = {}) {
       errors,
     },
   };
+  return { ...payload, findings: wappalyzerFindings(payload) };
 }
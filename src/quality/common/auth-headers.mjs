@@ -0,0 +1,49 @@
+// Check scripts read the target's auth headers from this variable, as JSON
+// `{ origin, headers }`; without it they send none.
+export const AUTH_HEADERS_ENV = "YWS_AUTH_HEADERS";
+
+/**
+ * Env for a check process that should authenticate against `baseUrl`.
+ */
+export function authHeadersEnv(baseUrl, headers = {}) {
+  if (!headers || !Object.keys(headers).length) return {};
+  return {
+    [AUTH_HEADERS_ENV]: JSON.stringify({
+      origin: new URL(baseUrl).origin,
+      headers,
+    }),
+  };
+}
+
+function readAuth(env) {
+  try {
+    const parsed = JSON.parse(env[AUTH_HEADERS_ENV] || "null");
+    return parsed?.headers && typeof parsed.headers === "object"
+      ? parsed
+      : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * The target's auth headers, whatever the URL, to tell whether the target
+ * is protected; `{}` otherwise. Requests get them from `authHeadersFor`.
+ */
+export function readAuthHeaders(env = process.env) {
+  return readAuth(env)?.headers || {};
+}
+
+/**
+ * The target's auth headers when `url` is on the target's origin, so
+ * credentials never go to other hosts; `{}` otherwise.
+ */
+export function authHeadersFor(url, env = process.env) {
+  const auth = readAuth(env);
+  if (!auth) return {};
+  try {
+    return new URL(String(url)).origin === auth.origin ? auth.headers : {};
+  } catch {
+    return {};
+  }
+}
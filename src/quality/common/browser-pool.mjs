@@ -0,0 +1,246 @@
+import net from "node:net";
+import { authHeadersFor, readAuthHeaders } from "./auth-headers.mjs";
+
+// Check scripts find their pooled browser here: an http://127.0.0.1:<port>
+// DevTools URL that resolves to the browser's WebSocket endpoint. The port
+// survives a relaunch, so a check can reconnect after a crash.
+export const BROWSER_URL_ENV = "YWS_BROWSER_URL";
+
+const BROWSER_ARGS = [
+  "--no-sandbox",
+  "--disable-setuid-sandbox",
+  "--disable-dev-shm-usage",
+];
+const MAX_RESTARTS = 3;
+const CONNECT_ATTEMPTS = 10;
+const CONNECT_RETRY_MS = 500;
+
+function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.unref();
+    server.on("error", reject);
+    server.listen(0, "127.0.0.1", () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+async function importPuppeteer() {
+  const { default: puppeteer } = await import("puppeteer");
+  return puppeteer;
+}
+
+/**
+ * Launch `size` headless Chromium instances for the checks of one run.
+ * `lease()` hands out the least-used browser as `{ browserURL, env,
+ * release() }`; pass `env` to the check process. A browser that crashes is
+ * relaunched on the same port (up to 3 times per browser) so the checks
+ * using it can reconnect.
+ */
+export async function startBrowserPool({
+  size = 1,
+  logger = console,
+  puppeteer = null,
+  getPort = freePort,
+} = {}) {
+  const launcher = puppeteer || (await importPuppeteer());
+  let closing = false;
+
+  const launch = async (slot) => {
+    slot.browser = await launcher.launch({
+      headless: true,
+      args: [
+        ...BROWSER_ARGS,
+        `--remote-debugging-port=${slot.port}`,
+        "--remote-debugging-address=127.0.0.1",
+      ],
+    });
+    slot.browser.on("disconnected", () => {
+      if (closing) return;
+      if (slot.restarts >= MAX_RESTARTS) {
+        logger.error(
+          `❌ Pooled browser ${slot.index + 1} crashed ${slot.restarts + 1} times; not relaunching.`,
+        );
+        slot.browser = null;
+        return;
+      }
+      slot.restarts += 1;
+      logger.log(`⚠️  Pooled browser ${slot.index + 1} crashed; relaunching.`);
+      slot.relaunching = launch(slot).catch((error) => {
+        logger.error(
+          `❌ Could not relaunch pooled browser ${slot.index + 1}: ${error?.message || error}`,
+        );
+        slot.browser = null;
+      });
+    });
+  };
+
+  const slots = [];
+  try {
+    for (let index = 0; index < Math.max(1, size); index += 1) {
+      const slot = {
+        index,
+        port: await getPort(),
+        browser: null,
+        leases: 0,
+        restarts: 0,
+        relaunching: null,
+      };
+      slots.push(slot);
+      await launch(slot);
+    }
+  } catch (error) {
+    closing = true;
+    await Promise.all(
+      slots.map((slot) => slot.browser?.close().catch(() => {})),
+    );
+    throw error;
+  }
+  logger.log(
+    `🧭 Browser pool ready (${slots.length} browser${slots.length === 1 ? "" : "s"})`,
+  );
+
+  return {
+    size: slots.length,
+    browserURLs: slots.map((slot) => `http://127.0.0.1:${slot.port}`),
+    lease() {
+      const slot = slots
+        .filter((candidate) => candidate.browser)
+        .reduce(
+          (best, candidate) =>
+            !best || candidate.leases < best.leases ? candidate : best,
+          null,
+        );
+      if (!slot) return null;
+      slot.leases += 1;
+      const browserURL = `http://127.0.0.1:${slot.port}`;
+      let released = false;
+      return {
+        browserURL,
+        env: { [BROWSER_URL_ENV]: browserURL },
+        release() {
+          if (released) return;
+          released = true;
+          slot.leases -= 1;
+        },
+      };
+    },
+    async close() {
+      closing = true;
+      await Promise.all(slots.map((slot) => slot.relaunching));
+      await Promise.all(
+        slots.map((slot) => slot.browser?.close().catch(() => {})),
+      );
+    },
+  };
+}
+
+export function pooledBrowserUrl(env = process.env) {
+  return env[BROWSER_URL_ENV] || null;
+}
+
+/**
+ * Port of the pooled browser, for tools that attach by port (Lighthouse's
+ * `--port`).
+ */
+export function pooledBrowserPort(env = process.env) {
+  const url = pooledBrowserUrl(env);
+  if (!url) return null;
+  const port = Number(new URL(url).port);
+  return Number.isInteger(port) && port > 0 ? port : null;
+}
+
+async function connectWithRetry(puppeteer, browserURL) {
+  let lastError;
+  for (let attempt = 1; attempt <= CONNECT_ATTEMPTS; attempt += 1) {
+    try {
+      return await puppeteer.connect({ browserURL });
+    } catch (error) {
+      lastError = error;
+      await delay(CONNECT_RETRY_MS);
+    }
+  }
+  throw lastError;
+}
+
+/**
+ * A browser for one check script. Inside a run with a browser pool it
+ * attaches to the pooled browser and works in its own browser context, so
+ * cookies and storage never leak between checks; otherwise it launches
+ * Chromium as before. `page()` returns a reusable page and reconnects when
+ * the pooled browser was relaunched after a crash. Pages add the target's
+ * auth headers, if any, to requests for the target's origin only, so
+ * third-party requests (CDNs, analytics, fonts) never carry them.
+ */
+export async function openBrowserSession(
+  puppeteer,
+  { env = process.env, launchOptions = { headless: "new" } } = {},
+) {
+  const browserURL = pooledBrowserUrl(env);
+  let browser = null;
+  let context = null;
+  let page = null;
+  const hasAuth = Object.keys(readAuthHeaders(env)).length > 0;
+  const openPage = async () => {
+    const created = await context.newPage();
+    if (!hasAuth) return created;
+    await created.setRequestInterception(true);
+    created.on("request", (request) => {
+      if (request.isInterceptResolutionHandled?.()) return;
+      const headers = authHeadersFor(request.url(), env);
+      request
+        .continue(
+          Object.keys(headers).length
+            ? { headers: { ...request.headers(), ...headers } }
+            : undefined,
+        )
+        .catch(() => {});
+    });
+    return created;
+  };
+
+  const connect = async () => {
+    if (browserURL) {
+      browser = await connectWithRetry(puppeteer, browserURL);
+      context = await browser.createBrowserContext();
+    } else {
+      browser = await puppeteer.launch(launchOptions);
+      context = browser.defaultBrowserContext();
+    }
+    page = null;
+  };
+  const ensureConnected = async () => {
+    if (!browser || !browser.connected) await connect();
+    return context;
+  };
+  await connect();
+
+  return {
+    pooled: Boolean(browserURL),
+    ensureConnected,
+    async newPage() {
+      await ensureConnected();
+      return openPage();
+    },
+    async page() {
+      await ensureConnected();
+      if (!page || page.isClosed()) page = await openPage();
+      return page;
+    },
+    async close() {
+      if (!browser?.connected) return;
+      if (browserURL) {
+        await context.close().catch(() => {});
+        await browser.disconnect();
+      } else {
+        await browser.close();
+      }
+    },
+  };
+}
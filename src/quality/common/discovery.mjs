@@ -0,0 +1,347 @@
+import fs from "node:fs";
+import path from "node:path";
+import { parse } from "node-html-parser";
+import { normalizeUrl } from "./url.mjs";
+import { slugify } from "./slug.mjs";
+
+function fileExistsForPath(buildDir, pathname) {
+  const clean = pathname.replace(/^\/+/, "").replace(/\/$/, "");
+  const dirPath = path.join(buildDir, clean);
+  const indexPath = path.join(dirPath, "index.html");
+  const directHtml = path.join(buildDir, `${clean}.html`);
+  return fs.existsSync(indexPath) || fs.existsSync(directHtml);
+}
+
+function loadLocationSlugs(cwd) {
+  const file = path.join(
+    cwd,
+    "public/cms-content/seo/location-specific-content.json",
+  );
+  if (!fs.existsSync(file)) return [];
+  try {
+    const raw = JSON.parse(fs.readFileSync(file, "utf8"));
+    const names = Array.isArray(raw?.locations)
+      ? raw.locations.map((entry) => entry?.name).filter(Boolean)
+      : [];
+    return names.map(slugify).filter(Boolean);
+  } catch {
+    return [];
+  }
+}
+
+export function filterLocationPages(
+  urls,
+  { cwd = process.cwd(), logger = console } = {},
+) {
+  const locationSlugs = loadLocationSlugs(cwd);
+  if (!locationSlugs.length) return urls;
+
+  const keep = new Set();
+  const firstPerLocale = new Map();
+
+  for (const url of urls) {
+    let pathname;
+    try {
+      pathname = new URL(url).pathname;
+    } catch {
+      keep.add(url);
+      continue;
+    }
+
+    const match = pathname.match(/^\/(en|fr)\/([^/]+)\/?$/);
+    if (!match) {
+      keep.add(url);
+      continue;
+    }
+
+    const locale = match[1];
+    const slug = match[2];
+    const isLocation = locationSlugs.includes(slug);
+
+    if (!isLocation) {
+      keep.add(url);
+      continue;
+    }
+
+    if (!firstPerLocale.has(locale)) {
+      firstPerLocale.set(locale, url);
+      keep.add(url);
+    }
+  }
+
+  const filtered = urls.filter((u) => keep.has(u));
+  const dropped = urls.length - filtered.length;
+  if (dropped > 0) {
+    logger.log(
+      `ℹ️  Collapsed location pages: kept 1 per locale, dropped ${dropped} duplicates.`,
+    );
+  }
+  return filtered;
+}
+
+export function getUrlsFromSitemap(
+  baseUrl,
+  { cwd = process.cwd(), logger = console } = {},
+) {
+  const buildDir = path.join(cwd, "build");
+  const sitemapPath = path.join(buildDir, "sitemap-0.xml");
+  if (!fs.existsSync(sitemapPath)) {
+    logger.warn(
+      "⚠️  No sitemap found at build/sitemap.xml; falling back to crawl.",
+    );
+    return [];
+  }
+
+  const xml = fs.readFileSync(sitemapPath, "utf8");
+  const urls = new Set();
+  for (const loc of extractLocValuesFromXml(xml)) {
+    let pathname;
+    try {
+      pathname = new URL(loc).pathname;
+    } catch {
+      continue;
+    }
+    if (!fileExistsForPath(buildDir, pathname)) continue;
+    const target = new URL(pathname, baseUrl).toString();
+    urls.add(normalizeUrl(target));
+  }
+
+  return Array.from(urls).sort();
+}
+
+function extractLocValuesFromXml(xml) {
+  const values = [];
+  const matches = xml.matchAll(/<loc>([\s\S]*?)<\/loc>/gi);
+  for (const match of matches) {
+    const loc = (match[1] || "").replaceAll("&amp;", "&").trim();
+    if (loc) values.push(loc);
+  }
+  return values;
+}
+
+function isSameOrigin(candidate, baseUrl) {
+  try {
+    const a = new URL(candidate);
+    const b = new URL(baseUrl);
+    return a.origin === b.origin;
+  } catch {
+    return false;
+  }
+}
+
+async function fetchText(url, headers = {}) {
+  const res = await fetch(url, { headers });
+  const contentType = res.headers.get("content-type") || "";
+  const body = await res.text();
+  return {
+    ok: res.ok,
+    status: res.status,
+    statusText: res.statusText,
+    contentType,
+    body,
+  };
+}
+
+function isLikelyBotChallengeResponse(fetchResult) {
+  const status = Number(fetchResult?.status || 0);
+  const body = String(fetchResult?.body || "").toLowerCase();
+  if ([401, 403, 406, 415, 429, 503].includes(status)) return true;
+  return (
+    body.includes("one moment, please") ||
+    body.includes("cf-challenge") ||
+    body.includes("cloudflare")
+  );
+}
+
+function reportSitemapFetchFailure(sitemapUrl, fetchResult, diagnostics) {
+  const logger = diagnostics?.logger || console;
+  const key = `${sitemapUrl}|${fetchResult?.status || "error"}`;
+  if (diagnostics?.reported?.has(key)) return;
+  diagnostics?.reported?.add(key);
+
+  if (fetchResult?.error) {
+    logger.warn(
+      `⚠️  Could not fetch sitemap ${sitemapUrl}: ${fetchResult.error}`,
+    );
+    return;
+  }
+
+  const contentType = fetchResult?.contentType
+    ? ` (${fetchResult.contentType})`
+    : "";
+  logger.warn(
+    `⚠️  Sitemap fetch failed: ${sitemapUrl} -> HTTP ${fetchResult?.status || "unknown"}${contentType}`,
+  );
+  if (isLikelyBotChallengeResponse(fetchResult)) {
+    logger.warn(
+      "ℹ️  Remote server may be blocking automated requests (CDN/WAF challenge).",
+    );
+  }
+}
+
+async function loadRemoteSitemapUrls(
+  sitemapUrl,
+  baseUrl,
+  seen = new Set(),
+  depth = 0,
+  diagnostics = { reported: new Set() },
+  headers = {},
+) {
+  if (seen.has(sitemapUrl) || depth > 3) return [];
+  seen.add(sitemapUrl);
+
+  let response;
+  try {
+    response = await fetchText(sitemapUrl, headers);
+  } catch (error) {
+    reportSitemapFetchFailure(
+      sitemapUrl,
+      { error: error?.message || String(error) },
+      diagnostics,
+    );
+    return [];
+  }
+  if (!response?.ok) {
+    reportSitemapFetchFailure(sitemapUrl, response, diagnostics);
+    return [];
+  }
+
+  const xml = response.body;
+
+  const locValues = extractLocValuesFromXml(xml);
+  const pageUrls = [];
+  for (const loc of locValues) {
+    let absolute;
+    try {
+      absolute = new URL(loc, baseUrl).toString();
+    } catch {
+      continue;
+    }
+    if (!isSameOrigin(absolute, baseUrl)) continue;
+
+    const pathname = new URL(absolute).pathname.toLowerCase();
+    if (pathname.endsWith(".xml")) {
+      const nested = await loadRemoteSitemapUrls(
+        absolute,
+        baseUrl,
+        seen,
+        depth + 1,
+        diagnostics,
+        headers,
+      );
+      pageUrls.push(...nested);
+      continue;
+    }
+    pageUrls.push(normalizeUrl(absolute));
+  }
+
+  return pageUrls;
+}
+
+export async function getUrlsFromRemoteSitemap(
+  baseUrl,
+  { logger = console, headers = {} } = {},
+) {
+  const candidates = ["sitemap-0.xml", "sitemap.xml", "sitemap-index.xml"].map(
+    (s) => new URL(s, baseUrl).toString(),
+  );
+  const collected = new Set();
+  const seenSitemaps = new Set();
+  const diagnostics = { reported: new Set(), logger };
+
+  for (const sitemapUrl of candidates) {
+    const urls = await loadRemoteSitemapUrls(
+      sitemapUrl,
+      baseUrl,
+      seenSitemaps,
+      0,
+      diagnostics,
+      headers,
+    );
+    for (const url of urls) {
+      collected.add(normalizeUrl(url));
+    }
+  }
+
+  return Array.from(collected).sort();
+}
+
+export async function crawlAllPages(
+  startUrl,
+  { logger = console, headers = {}, pageCache = null } = {},
+) {
+  const visited = new Set();
+  const toVisit = new Set([startUrl]);
+  const base = normalizeUrl(startUrl);
+
+  while (toVisit.size > 0) {
+    const [url] = toVisit;
+    toVisit.delete(url);
+    visited.add(url);
+
+    let res;
+    try {
+      res = await fetch(url, { headers });
+    } catch (err) {
+      logger.error(`❌ Failed to fetch ${url}: ${err.message}`);
+      continue;
+    }
+
+    const contentType = res.headers.get("content-type") || "";
+    if (!contentType.includes("text/html")) continue;
+
+    // Crawled pages go to the run's page cache, so they are fetched once.
+    const html = pageCache
+      ? await pageCache.remember(url, res)
+      : await res.text();
+    const root = parse(html);
+
+    for (const anchor of root.querySelectorAll("a[href]")) {
+      const href = anchor.getAttribute("href");
+      if (
+        !href ||
+        href.startsWith("#") ||
+        href.startsWith("mailto:") ||
+        href.startsWith("tel:")
+      )
+        continue;
+      let absolute;
+      try {
+        absolute = href.startsWith("http")
+          ? href
+          : new URL(href, url).toString();
+      } catch {
+        continue;
+      }
+      const normalized = normalizeUrl(absolute);
+      if (!normalized.startsWith(base)) continue;
+      if (!visited.has(normalized) && !toVisit.has(normalized)) {
+        toVisit.add(normalized);
+      }
+    }
+  }
+
+  return Array.from(visited).sort();
+}
+
+export async function discoverSiteUrls({
+  cwd = process.cwd(),
+  baseUrl,
+  usesLocalBuild,
+  logger = console,
+  headers = {},
+  pageCache = null,
+}) {
+  let urls = usesLocalBuild
+    ? getUrlsFromSitemap(baseUrl, { cwd, logger })
+    : await getUrlsFromRemoteSitemap(baseUrl, { logger, headers });
+  if (!urls.length) {
+    logger.log(
+      usesLocalBuild
+        ? "ℹ️  Sitemap empty or missing, falling back to crawl of built site."
+        : "ℹ️  Remote sitemap empty or missing, falling back to crawl of target site.",
+    );
+    urls = await crawlAllPages(baseUrl, { logger, headers, pageCache });
+  }
+  return filterLocationPages(urls, { cwd, logger });
+}
@@ -0,0 +1,68 @@
+export const EVENT_PROTOCOL_VERSION = 1;
+
+export const EVENT_TYPES = [
+  "run.started",
+  "check.started",
+  "check.progress",
+  "page.completed",
+  "check.finished",
+  "run.finished",
+];
+
+// Check scripts write events to stdout behind this prefix when the suite
+// sets EVENTS_ENV; the runner strips them from the echoed output.
+export const EVENT_LINE_PREFIX = "__YWS_EVENT__";
+export const EVENTS_ENV = "YWS_QUALITY_EVENTS";
+
+/**
+ * Stamp `event` with the protocol version and time. Every event has
+ * `v`, `type` and `time`; the rest depends on the type (see README).
+ */
+export function createQualityEvent(type, data = {}) {
+  return {
+    v: EVENT_PROTOCOL_VERSION,
+    type,
+    time: new Date().toISOString(),
+    ...data,
+  };
+}
+
+export function parseEventLine(line) {
+  const text = String(line || "");
+  if (!text.startsWith(EVENT_LINE_PREFIX)) return null;
+  try {
+    const event = JSON.parse(text.slice(EVENT_LINE_PREFIX.length));
+    return EVENT_TYPES.includes(event?.type) ? event : null;
+  } catch {
+    return null;
+  }
+}
+
+export function isEventLine(line) {
+  return String(line || "").startsWith(EVENT_LINE_PREFIX);
+}
+
+/**
+ * Event emitter for check scripts. Events are only written when the suite
+ * asked for them, so running a script by hand prints nothing extra.
+ * `pageStarted` reports `check.progress`; `pageCompleted` reports
+ * `page.completed` with optional `issues` and `failed`.
+ */
+export function createCheckEventEmitter({ env = process.env, total = 0 } = {}) {
+  const enabled = env[EVENTS_ENV] === "1";
+  const emit = (type, data) => {
+    if (!enabled) return;
+    process.stdout.write(
+      `${EVENT_LINE_PREFIX}${JSON.stringify({ type, ...data })}\n`,
+    );
+  };
+  return {
+    enabled,
+    pageStarted(url, current) {
+      emit("check.progress", { current, total, url });
+    },
+    pageCompleted(url, current, data = {}) {
+      emit("page.completed", { current, total, url, ...data });
+    },
+  };
+}
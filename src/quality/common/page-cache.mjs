@@ -0,0 +1,164 @@
+import fs from "node:fs";
+import path from "node:path";
+import { slugify } from "./slug.mjs";
+import { authHeadersFor } from "./auth-headers.mjs";
+
+// Check scripts read the run's page cache from this directory; without it
+// they fetch pages live.
+export const PAGE_CACHE_ENV = "YWS_PAGE_CACHE";
+export const PAGE_CACHE_INDEX = "index.json";
+
+// The cached body is already decoded text.
+const DROPPED_HEADERS = new Set([
+  "content-encoding",
+  "content-length",
+  "transfer-encoding",
+]);
+const NULL_BODY_STATUSES = new Set([101, 204, 205, 304]);
+const FETCH_TIMEOUT_MS = 20000;
+
+async function snapshotResponse(url, response) {
+  return {
+    url,
+    finalUrl: response.url || url,
+    status: response.status,
+    headers: Object.fromEntries(
+      [...response.headers].filter(([name]) => !DROPPED_HEADERS.has(name)),
+    ),
+    body: await response.text(),
+    error: null,
+    fetchedAt: new Date().toISOString(),
+  };
+}
+
+/**
+ * Fetches each page of a run once. Pages seen while crawling for URLs can
+ * be handed over with `remember`; `fill` fetches the remaining selected URLs
+ * and writes them to `dir` (`index.json` plus one HTML file per page), which
+ * the run archives as `raw/pages/`.
+ */
+export function createPageCache({ dir, headers = {}, fetchImpl = fetch }) {
+  const pages = new Map();
+
+  const fetchLive = async (url) => {
+    try {
+      const response = await fetchImpl(url, {
+        headers,
+        redirect: "follow",
+        signal: AbortSignal.timeout(FETCH_TIMEOUT_MS),
+      });
+      return await snapshotResponse(url, response);
+    } catch (error) {
+      return {
+        url,
+        finalUrl: url,
+        status: 0,
+        headers: {},
+        body: null,
+        error: error?.message || String(error),
+        fetchedAt: new Date().toISOString(),
+      };
+    }
+  };
+
+  return {
+    dir,
+    async remember(url, response) {
+      const page = await snapshotResponse(url, response);
+      pages.set(url, page);
+      return page.body;
+    },
+    async fill(urls, { signal = null } = {}) {
+      fs.rmSync(dir, { recursive: true, force: true });
+      fs.mkdirSync(dir, { recursive: true });
+      const index = {};
+      let fetched = 0;
+      for (const [position, url] of urls.entries()) {
+        if (signal?.aborted) break;
+        let page = pages.get(url);
+        if (!page) {
+          page = await fetchLive(url);
+          fetched += 1;
+        }
+        const { body, ...entry } = page;
+        const file =
+          body === null
+            ? null
+            : `${String(position + 1).padStart(3, "0")}-${slugify(new URL(url).pathname) || "root"}.html`;
+        if (file) fs.writeFileSync(path.join(dir, file), body, "utf8");
+        index[url] = { ...entry, file };
+      }
+      fs.writeFileSync(
+        path.join(dir, PAGE_CACHE_INDEX),
+        `${JSON.stringify({ version: 1, pages: index }, null, 2)}\n`,
+        "utf8",
+      );
+      const entries = Object.values(index);
+      return {
+        pages: entries.length,
+        fetched,
+        failed: entries.filter((entry) => entry.error).length,
+      };
+    },
+  };
+}
+
+function readCacheIndex(dir) {
+  try {
+    const parsed = JSON.parse(
+      fs.readFileSync(path.join(dir, PAGE_CACHE_INDEX), "utf8"),
+    );
+    return parsed?.pages && typeof parsed.pages === "object"
+      ? parsed.pages
+      : {};
+  } catch {
+    return {};
+  }
+}
+
+function cachedResponse(dir, entry) {
+  if (entry.error) throw new Error(entry.error);
+  const body =
+    entry.file && !NULL_BODY_STATUSES.has(entry.status)
+      ? fs.readFileSync(path.join(dir, entry.file), "utf8")
+      : null;
+  const response = new Response(body, {
+    status: entry.status,
+    headers: entry.headers,
+  });
+  Object.defineProperty(response, "url", { value: entry.finalUrl });
+  return response;
+}
+
+function withAuthHeaders(url, init, env) {
+  const auth = authHeadersFor(url, env);
+  if (!Object.keys(auth).length) return init;
+  const headers = new Headers(init.headers);
+  for (const [name, value] of Object.entries(auth)) {
+    if (!headers.has(name)) headers.set(name, value);
+  }
+  return { ...init, headers };
+}
+
+/**
+ * `fetch` for check scripts: GET requests for pages in the run's page
+ * cache are answered from it (a page that failed to fetch rejects with the
+ * stored error, like `fetch` would); everything else goes to the network,
+ * with the target's auth headers when it is on the target's origin.
+ */
+export function createPageFetcher({
+  env = process.env,
+  fetchImpl = fetch,
+} = {}) {
+  const dir = env[PAGE_CACHE_ENV] || null;
+  let index = null;
+  return async function fetchPage(url, init = {}) {
+    const method = String(init.method || "GET").toUpperCase();
+    if (dir && method === "GET") {
+      index ??= readCacheIndex(dir);
+      const entry = index[String(url)];
+      if (entry) return cachedResponse(dir, entry);
+    }
+    return fetchImpl(url, withAuthHeaders(url, init, env));
+  };
+}
@@ -0,0 +1,264 @@
+import fs from "node:fs";
+import path from "node:path";
+import { spawn } from "node:child_process";
+import waitOn from "wait-on";
+import { slugify } from "./slug.mjs";
+
+export function resolveCommandForSpawn(cmd) {
+  if (process.platform !== "win32") return cmd;
+  const name = String(cmd || "").toLowerCase();
+  if (name === "npm" || name === "npx") {
+    return `${cmd}.cmd`;
+  }
+  return cmd;
+}
+
+const KILL_GRACE_MS = 3000;
+
+/**
+ * Stop a child and everything it spawned. On POSIX the child must have been
+ * spawned `detached` so it leads its own process group; the group gets
+ * SIGTERM, then SIGKILL if it is still alive after `graceMs`.
+ */
+export function killProcessTree(child, { graceMs = KILL_GRACE_MS } = {}) {
+  if (!child?.pid || child.exitCode !== null || child.signalCode !== null) {
+    return;
+  }
+  if (process.platform === "win32") {
+    spawn("taskkill", ["/pid", String(child.pid), "/T", "/F"], {
+      stdio: "ignore",
+    });
+    return;
+  }
+  const signalGroup = (signal) => {
+    try {
+      process.kill(-child.pid, signal);
+    } catch {
+      // The group already exited.
+    }
+  };
+  signalGroup("SIGTERM");
+  const timer = setTimeout(() => {
+    if (child.exitCode === null && child.signalCode === null) {
+      signalGroup("SIGKILL");
+    }
+  }, graceMs);
+  timer.unref();
+}
+
+// Settle a command stopped through its AbortSignal as a rejection, whatever
+// exit code the killed process reported.
+function abortedError(commandLabel, signal) {
+  const err = new Error(`${commandLabel} was stopped`);
+  err.aborted = true;
+  err.reason = signal.reason;
+  return err;
+}
+
+export async function runCommand(cmd, args, options = {}) {
+  const {
+    label = cmd,
+    logName,
+    logRoot,
+    quiet = false,
+    forceLog = false,
+    allowFailure = false,
+    env: customEnv,
+    onLine,
+    prefix,
+    hideLine,
+    signal,
+    ...spawnOverrides
+  } = options;
+  const commandLabel = label || cmd;
+  const resolvedCmd = resolveCommandForSpawn(cmd);
+  const spawnOptions = {
+    shell: false,
+    ...spawnOverrides,
+    env: { ...process.env, ...customEnv },
+  };
+  if (signal) {
+    if (signal.aborted) throw abortedError(commandLabel, signal);
+    spawnOptions.detached = process.platform !== "win32";
+  }
+  const watchAbort = (child) => {
+    if (!signal) return () => {};
+    const onAbort = () => killProcessTree(child);
+    signal.addEventListener("abort", onAbort, { once: true });
+    return () => signal.removeEventListener("abort", onAbort);
+  };
+
+  const shouldLogToFile =
+    quiet || forceLog || Boolean(onLine) || Boolean(prefix);
+  const logFile =
+    logRoot && logName && shouldLogToFile
+      ? path.join(
+          logRoot,
+          `${logName || slugify(commandLabel) || "command"}.log`,
+        )
+      : null;
+  if (logFile) {
+    fs.mkdirSync(path.dirname(logFile), { recursive: true });
+  }
+
+  if (!shouldLogToFile && !onLine) {
+    spawnOptions.stdio = "inherit";
+    return new Promise((resolve, reject) => {
+      const child = spawn(resolvedCmd, args, spawnOptions);
+      const unwatch = watchAbort(child);
+      child.on("exit", (code) => {
+        unwatch();
+        if (signal?.aborted) return reject(abortedError(commandLabel, signal));
+        if (code === 0 || allowFailure)
+          return resolve({ logPath: null, exitCode: code });
+        reject(new Error(`${commandLabel} exited with code ${code}`));
+      });
+    });
+  }
+
+  const tailLimit = 4000;
+  let tail = "";
+  const appendTail = (chunk) => {
+    tail += chunk.toString();
+    if (tail.length > tailLimit) {
+      tail = tail.slice(-tailLimit);
+    }
+  };
+
+  spawnOptions.stdio = ["ignore", "pipe", "pipe"];
+
+  let stdoutBuffer = "";
+  let stderrBuffer = "";
+  const flushBuffer = (buffer, type) => {
+    const lines = buffer.split("\n");
+    buffer = lines.pop() ?? "";
+    for (const line of lines) {
+      if (onLine) {
+        onLine({ type, line });
+      }
+    }
+    return buffer;
+  };
+
+  // Parallel checks share the console, so streamed output is written
+  // line by line behind the check's prefix; `hideLine` drops lines meant
+  // for `onLine` only.
+  const pendingEcho = { stdout: "", stderr: "" };
+  const echo = (chunk, type, { flush = false } = {}) => {
+    const stream = process[type === "stderr" ? "stderr" : "stdout"];
+    if (!prefix && !hideLine) {
+      stream.write(chunk);
+      return;
+    }
+    const lines = (pendingEcho[type] + chunk.toString()).split("\n");
+    pendingEcho[type] = flush ? "" : (lines.pop() ?? "");
+    for (const line of lines) {
+      if (flush && !line) continue;
+      if (hideLine?.(line)) continue;
+      stream.write(prefix ? `${prefix} ${line}\n` : `${line}\n`);
+    }
+  };
+
+  return new Promise((resolve, reject) => {
+    const outStream = logFile ? fs.createWriteStream(logFile) : null;
+    const child = spawn(resolvedCmd, args, spawnOptions);
+    const unwatch = watchAbort(child);
+
+    const handleChunk = (chunk, type) => {
+      if (outStream) outStream.write(chunk);
+      appendTail(chunk);
+      if (!quiet) {
+        echo(chunk, type);
+      }
+      if (onLine) {
+        if (type === "stderr") {
+          stderrBuffer += chunk.toString();
+          stderrBuffer = flushBuffer(stderrBuffer, "stderr");
+        } else {
+          stdoutBuffer += chunk.toString();
+          stdoutBuffer = flushBuffer(stdoutBuffer, "stdout");
+        }
+      }
+    };
+
+    child.stdout.on("data", (chunk) => handleChunk(chunk, "stdout"));
+    child.stderr.on("data", (chunk) => handleChunk(chunk, "stderr"));
+
+    child.on("exit", (code) => {
+      unwatch();
+      if (outStream) outStream.end();
+      if (!quiet && (prefix || hideLine)) {
+        echo("", "stdout", { flush: true });
+        echo("", "stderr", { flush: true });
+      }
+      if (stdoutBuffer && onLine) flushBuffer(`${stdoutBuffer}\n`, "stdout");
+      if (stderrBuffer && onLine) flushBuffer(`${stderrBuffer}\n`, "stderr");
+      if (signal?.aborted) {
+        const err = abortedError(commandLabel, signal);
+        err.logPath = logFile;
+        err.tail = tail;
+        return reject(err);
+      }
+      if (code === 0 || allowFailure)
+        return resolve({ logPath: logFile, exitCode: code, tail });
+      const err = new Error(`${commandLabel} exited with code ${code}`);
+      err.logPath = logFile;
+      err.tail = tail;
+      reject(err);
+    });
+  });
+}
+
+export function startStaticServer(
+  dir,
+  port,
+  label,
+  { quiet = false, logRoot, logName, logger = console } = {},
+) {
+  const serveArgs = [
+    "serve",
+    "-l",
+    `tcp://127.0.0.1:${port}`,
+    "--no-port-switching",
+    dir,
+  ];
+  // Own process group, so killProcessTree also stops the server npx starts.
+  const spawnOpts = { shell: false, detached: process.platform !== "win32" };
+  let logStream;
+  let logFile = null;
+
+  if (quiet && logRoot) {
+    logFile = path.join(
+      logRoot,
+      `${logName || `${slugify(label)}-server`}.log`,
+    );
+    fs.mkdirSync(path.dirname(logFile), { recursive: true });
+    logStream = fs.createWriteStream(logFile);
+    spawnOpts.stdio = ["ignore", "pipe", "pipe"];
+    spawnOpts.env = { ...process.env, SERVE_SILENT: "true" };
+  } else {
+    spawnOpts.stdio = "inherit";
+  }
+
+  const child = spawn(resolveCommandForSpawn("npx"), serveArgs, spawnOpts);
+  child.logFile = logFile;
+  if (logStream) {
+    child.stdout.on("data", (chunk) => logStream.write(chunk));
+    child.stderr.on("data", (chunk) => logStream.write(chunk));
+    child.on("exit", () => logStream.end());
+  }
+
+  child.on("exit", (code) => {
+    if (code !== null && code !== 0) {
+      logger.error(`⚠️  ${label} server exited with code ${code}`);
+    }
+  });
+  return child;
+}
+
+export async function waitForServer(
+  url,
+  { timeout = 30000, headers = {} } = {},
+) {
+  await waitOn({ resources: [url], timeout, headers });
+}
@@ -0,0 +1,7 @@
+export function slugify(value) {
+  return (value ?? "")
+    .toString()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+}
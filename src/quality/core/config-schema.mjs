@@ -0,0 +1,197 @@
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+const here = path.dirname(fileURLToPath(import.meta.url));
+
+export const QUALITY_CONFIG_SCHEMA_PATH = path.resolve(
+  here,
+  "..",
+  "contracts",
+  "quality-config-schema-v1.json",
+);
+
+let cachedSchema = null;
+
+export function qualityConfigSchema() {
+  cachedSchema ??= JSON.parse(
+    fs.readFileSync(QUALITY_CONFIG_SCHEMA_PATH, "utf8"),
+  );
+  return cachedSchema;
+}
+
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i += 1) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j += 1) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1),
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+export function suggestClosest(value, candidates = []) {
+  const input = String(value).toLowerCase();
+  let best = null;
+  let bestDistance = Infinity;
+  for (const candidate of candidates) {
+    const distance = editDistance(input, String(candidate).toLowerCase());
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+  const limit = Math.max(2, Math.floor(input.length / 3));
+  return best !== null && bestDistance <= limit ? best : null;
+}
+
+export function jsonPathChild(parent, key) {
+  if (typeof key === "number") return `${parent}[${key}]`;
+  return /^[A-Za-z_$][\w$]*$/.test(key)
+    ? `${parent}.${key}`
+    : `${parent}[${JSON.stringify(key)}]`;
+}
+
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  if (type === "integer") return Number.isInteger(value);
+  if (type === "number") return Number.isFinite(value);
+  return typeOf(value) === type;
+}
+
+function resolveRef(ref, root) {
+  return ref
+    .replace(/^#\//, "")
+    .split("/")
+    .reduce((node, key) => node?.[key], root);
+}
+
+function validateNode(value, schema, pointer, root, issues) {
+  if (schema.$ref) {
+    validateNode(value, resolveRef(schema.$ref, root), pointer, root, issues);
+    return;
+  }
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some((type) => matchesType(value, type))) {
+      issues.push({
+        path: pointer,
+        value,
+        message: `expected ${types.join(" or ")}`,
+      });
+      return;
+    }
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    issues.push({
+      path: pointer,
+      value,
+      message: `expected one of ${schema.enum.join(", ")}`,
+      suggestion: suggestClosest(value, schema.enum),
+    });
+  }
+  if (
+    typeof value === "string" &&
+    schema.pattern &&
+    !new RegExp(schema.pattern).test(value)
+  ) {
+    issues.push({
+      path: pointer,
+      value,
+      message: `must match ${schema.pattern}`,
+    });
+  }
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      issues.push({
+        path: pointer,
+        value,
+        message: `must be >= ${schema.minimum}`,
+      });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      issues.push({
+        path: pointer,
+        value,
+        message: `must be <= ${schema.maximum}`,
+      });
+    }
+  }
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) =>
+      validateNode(
+        item,
+        schema.items,
+        jsonPathChild(pointer, index),
+        root,
+        issues,
+      ),
+    );
+  }
+  if (typeOf(value) === "object") {
+    const properties = schema.properties || {};
+    for (const key of schema.required || []) {
+      if (!(key in value)) {
+        issues.push({ path: jsonPathChild(pointer, key), message: "required" });
+      }
+    }
+    for (const [key, child] of Object.entries(value)) {
+      const keyPath = jsonPathChild(pointer, key);
+      if (schema.propertyNames) {
+        validateNode(key, schema.propertyNames, keyPath, root, issues);
+      }
+      if (key in properties) {
+        validateNode(child, properties[key], keyPath, root, issues);
+      } else if (schema.additionalProperties === false) {
+        issues.push({
+          path: keyPath,
+          message: "unknown key",
+          suggestion: suggestClosest(key, Object.keys(properties)),
+        });
+      } else if (typeOf(schema.additionalProperties) === "object") {
+        validateNode(child, schema.additionalProperties, keyPath, root, issues);
+      }
+    }
+  }
+}
+
+/**
+ * Validate `value` against the JSON Schema subset the toolkit contracts use
+ * (`type`, `$ref`, `enum`, `pattern`, `minimum`/`maximum`, `items`,
+ * `properties`, `required`, `propertyNames`, `additionalProperties`).
+ *
+ * @returns {Array<{ path: string, message: string, value?: unknown, suggestion?: string|null }>}
+ */
+export function validateJsonSchema(
+  value,
+  schema,
+  { root = schema, path = "$" } = {},
+) {
+  const issues = [];
+  validateNode(value, schema, path, root, issues);
+  return issues;
+}
+
+function formatValue(value) {
+  if (typeof value === "function") return "a function";
+  const text = JSON.stringify(value);
+  if (text === undefined) return String(value);
+  return text.length > 60 ? `${text.slice(0, 57)}...` : text;
+}
+
+export function formatSchemaIssue(issue) {
+  const got = "value" in issue ? ` (got ${formatValue(issue.value)})` : "";
+  const hint = issue.suggestion ? ` Did you mean "${issue.suggestion}"?` : "";
+  return `${issue.path}: ${issue.message}${got}.${hint}`;
+}
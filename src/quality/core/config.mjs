@@ -1,8 +1,20 @@
 import fs from "node:fs";
 import path from "node:path";
-import { pathToFileURL } from "node:url";
+import { createRequire } from "node:module";
+import { fileURLToPath, pathToFileURL } from "node:url";
+import {
+  formatSchemaIssue,
+  jsonPathChild,
+  qualityConfigSchema,
+  suggestClosest,
+  validateJsonSchema,
+} from "./config-schema.mjs";
+import { QualityConfigError } from "./errors.mjs";
+import { parseGateRule } from "./gate.mjs";
+import { loadQualityPlugins } from "./plugins.mjs";
+import { normalizeBaseUrlInput } from "./targets.mjs";
 
-const CHECK_IDS = [
+export const CHECK_IDS = [
   "lighthouse",
   "pa11y",
   "axe",
@@ -16,21 +28,63 @@ const CHECK_IDS = [
   "wappalyzer",
 ];
 
+export const BUILTIN_PRESETS = ["recommended", "strict", "production-safe"];
+
+const PRESET_PREFIX = "yws:";
+const PRESET_DIR = path.resolve(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "..",
+  "presets",
+);
+
+export const OPTIONAL_BY_DEFAULT_CHECKS = new Set(["wappalyzer"]);
+
+export const HOOK_NAMES = [
+  "beforeRun",
+  "beforeCheck",
+  "afterCheck",
+  "afterRun",
+  "onFailure",
+];
+
+const CHECK_NAME_BY_ID = {
+  lighthouse: "Lighthouse",
+  pa11y: "Pa11y",
+  axe: "aXe",
+  form: "Form tests",
+  seo: "SEO audit",
+  links: "Link check",
+  jsonld: "JSON-LD validation",
+  security: "Security audit",
+  sitespeed: "Sitespeed.io",
+  vnu: "Nu HTML Checker (vnu)",
+  wappalyzer: "Wappalyzer stack detection",
+};
+
+export function checkDisplayName(checkId, config) {
+  const plugin = (config?.plugins || []).find((check) => check.id === checkId);
+  return CHECK_NAME_BY_ID[checkId] || plugin?.name || checkId;
+}
+
+export function qualityCheckIds(config) {
+  return [...CHECK_IDS, ...(config?.plugins || []).map((check) => check.id)];
+}
+
 function asArray(value) {
   if (!Array.isArray(value)) return [];
   return value.filter((item) => typeof item === "string");
 }
 
-function normalizeChecks(raw) {
+function normalizeChecks(raw, checkIds) {
   const checks = raw && typeof raw === "object" ? raw : {};
   const enabled =
     Array.isArray(checks.enabled) && checks.enabled.length
-      ? asArray(checks.enabled).filter((id) => CHECK_IDS.includes(id))
+      ? asArray(checks.enabled).filter((id) => checkIds.includes(id))
       : null;
   const disabled = asArray(checks.disabled).filter((id) =>
-    CHECK_IDS.includes(id),
+    checkIds.includes(id),
   );
-  const order = asArray(checks.order).filter((id) => CHECK_IDS.includes(id));
+  const order = asArray(checks.order).filter((id) => checkIds.includes(id));
 
   const rawThresholds =
     checks.thresholds && typeof checks.thresholds === "object"
@@ -38,7 +92,7 @@ function normalizeChecks(raw) {
       : {};
   const thresholds = {};
   for (const [checkId, value] of Object.entries(rawThresholds)) {
-    if (!CHECK_IDS.includes(checkId)) continue;
+    if (!checkIds.includes(checkId)) continue;
     if (!value || typeof value !== "object") continue;
     const normalized = {};
     for (const [metric, metricValue] of Object.entries(value)) {
@@ -52,18 +106,471 @@ function normalizeChecks(raw) {
     checks.options && typeof checks.options === "object" ? checks.options : {};
   const options = {};
   for (const [checkId, value] of Object.entries(rawOptions)) {
-    if (!CHECK_IDS.includes(checkId)) continue;
+    if (!checkIds.includes(checkId)) continue;
     if (!value || typeof value !== "object") continue;
     options[checkId] = value;
   }
 
-  return { enabled, disabled, order, thresholds, options };
+  const exclusive = asArray(checks.exclusive).filter((id) =>
+    checkIds.includes(id),
+  );
+  const resources = {};
+  for (const [checkId, value] of Object.entries(
+    isPlainObject(checks.resources) ? checks.resources : {},
+  )) {
+    if (!checkIds.includes(checkId)) continue;
+    resources[checkId] = asArray(value);
+  }
+
+  const integers = (value, minimum) => {
+    const result = {};
+    for (const [checkId, entry] of Object.entries(
+      isPlainObject(value) ? value : {},
+    )) {
+      if (!checkIds.includes(checkId)) continue;
+      if (!Number.isInteger(entry) || entry < minimum) continue;
+      result[checkId] = entry;
+    }
+    return result;
+  };
+
+  return {
+    enabled,
+    disabled,
+    order,
+    thresholds,
+    options,
+    exclusive,
+    resources,
+    timeoutMs: integers(checks.timeoutMs, 1),
+    retries: integers(checks.retries, 0),
+  };
 }
 
-function normalizeConfig(raw) {
+export function normalizeQualityConfig(raw, { plugins = [] } = {}) {
   const config = raw && typeof raw === "object" ? raw : {};
   return {
-    checks: normalizeChecks(config.checks),
+    checks: normalizeChecks(config.checks, qualityCheckIds({ plugins })),
+    concurrency: Number.isInteger(config.concurrency)
+      ? Math.max(1, config.concurrency)
+      : 1,
+    gate: {
+      rules: asArray(config.gate?.rules).map(parseGateRule).filter(Boolean),
+    },
+    targets: normalizeTargets(config.targets),
+    hooks: normalizeHooks(config.hooks),
+    browserPool: {
+      enabled: config.browserPool?.enabled !== false,
+      size: Number.isInteger(config.browserPool?.size)
+        ? Math.max(1, config.browserPool.size)
+        : 1,
+    },
+    pageCache: { enabled: config.pageCache?.enabled !== false },
+    plugins,
+  };
+}
+
+export function hookLabel(entry) {
+  return typeof entry === "function"
+    ? `function ${entry.name || "(anonymous)"}`
+    : entry;
+}
+
+function isHookEntry(entry) {
+  return typeof entry === "function" || (typeof entry === "string" && entry);
+}
+
+// Each hook becomes a list of shell commands and functions.
+function normalizeHooks(raw) {
+  const hooks = {};
+  for (const name of HOOK_NAMES) {
+    const entries = [].concat(raw?.[name] ?? []).filter(isHookEntry);
+    if (entries.length) hooks[name] = entries;
+  }
+  return hooks;
+}
+
+function normalizeTargets(raw) {
+  const targets = {};
+  for (const [key, value] of Object.entries(isPlainObject(raw) ? raw : {})) {
+    if (!isPlainObject(value)) continue;
+    targets[key] = {
+      name: value.name || key,
+      baseUrl: value.baseUrl || null,
+      baseUrlEnv: value.baseUrlEnv || null,
+      usesLocalBuild: Boolean(value.usesLocalBuild),
+      auth: isPlainObject(value.auth) ? { ...value.auth } : null,
+      checks: isPlainObject(value.checks) ? { ...value.checks } : {},
+    };
+  }
+  return targets;
+}
+
+function checkIdIssues(checks = {}, pointer, checkIds) {
+  const issues = [];
+  const report = (pointer, id) => {
+    if (checkIds.includes(id)) return;
+    issues.push({
+      path: pointer,
+      value: id,
+      message: "unknown check id",
+      suggestion: suggestClosest(id, checkIds),
+    });
+  };
+  for (const key of ["enabled", "disabled", "order", "exclusive"]) {
+    (checks[key] || []).forEach((id, index) =>
+      report(jsonPathChild(`${pointer}.${key}`, index), id),
+    );
+  }
+  for (const key of [
+    "thresholds",
+    "options",
+    "resources",
+    "timeoutMs",
+    "retries",
+  ]) {
+    for (const id of Object.keys(checks[key] || {})) {
+      report(jsonPathChild(`${pointer}.${key}`, id), id);
+    }
+  }
+  return issues;
+}
+
+function gateRuleIssues(gate = {}, pointer, checkIds) {
+  const issues = [];
+  (gate.rules || []).forEach((text, index) => {
+    const rulePath = jsonPathChild(`${pointer}.rules`, index);
+    const rule = parseGateRule(text);
+    if (!rule) {
+      issues.push({
+        path: rulePath,
+        value: text,
+        message: 'expected "<check>.<metric> <op> <number>"',
+      });
+    } else if (!checkIds.includes(rule.check)) {
+      issues.push({
+        path: rulePath,
+        value: text,
+        message: `unknown check id "${rule.check}"`,
+        suggestion: suggestClosest(rule.check, checkIds),
+      });
+    }
+  });
+  return issues;
+}
+
+function hookIssues(hooks = {}) {
+  const issues = [];
+  for (const [name, value] of Object.entries(hooks)) {
+    const pointer = jsonPathChild("$.hooks", name);
+    const entries = Array.isArray(value) ? value : [value];
+    entries.forEach((entry, index) => {
+      if (isHookEntry(entry)) return;
+      issues.push({
+        path: Array.isArray(value) ? jsonPathChild(pointer, index) : pointer,
+        value: entry,
+        message: "expected a shell command or a function",
+      });
+    });
+  }
+  return issues;
+}
+
+function unknownCheckIdIssues(raw, checkIds) {
+  const issues = [
+    ...checkIdIssues(raw.checks, "$.checks", checkIds),
+    ...gateRuleIssues(raw.gate, "$.gate", checkIds),
+  ];
+  for (const [key, profile] of Object.entries(raw.profiles || {})) {
+    const pointer = jsonPathChild("$.profiles", key);
+    issues.push(
+      ...checkIdIssues(profile.checks, `${pointer}.checks`, checkIds),
+      ...gateRuleIssues(profile.gate, `${pointer}.gate`, checkIds),
+    );
+  }
+  for (const [key, target] of Object.entries(raw.targets || {})) {
+    for (const id of Object.keys(target.checks || {})) {
+      if (checkIds.includes(id)) continue;
+      issues.push({
+        path: jsonPathChild(`${jsonPathChild("$.targets", key)}.checks`, id),
+        value: id,
+        message: "unknown check id",
+        suggestion: suggestClosest(id, checkIds),
+      });
+    }
+  }
+  return issues;
+}
+
+function targetIssues(targets = {}) {
+  const issues = [];
+  for (const [key, target] of Object.entries(targets)) {
+    const pointer = jsonPathChild("$.targets", key);
+    if (key === "custom") {
+      issues.push({ path: pointer, message: "reserved for --base <url>" });
+    }
+    if (!target.baseUrl && !target.baseUrlEnv) {
+      issues.push({ path: pointer, message: "needs baseUrl or baseUrlEnv" });
+    }
+    if (target.baseUrl && !normalizeBaseUrlInput(target.baseUrl)) {
+      issues.push({
+        path: `${pointer}.baseUrl`,
+        value: target.baseUrl,
+        message: "expected an absolute http(s) URL",
+      });
+    }
+    const auth = target.auth;
+    const required =
+      auth?.type === "basic" ? ["usernameEnv", "passwordEnv"] : ["valueEnv"];
+    for (const field of auth ? required : []) {
+      if (!auth[field]) {
+        issues.push({
+          path: `${pointer}.auth.${field}`,
+          message: `required for ${auth.type} auth`,
+        });
+      }
+    }
+  }
+  return issues;
+}
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === "object" && !Array.isArray(value);
+}
+
+// Objects merge key by key; arrays and scalars from the profile replace.
+function deepMerge(base, override) {
+  if (!isPlainObject(base) || !isPlainObject(override)) return override;
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(override)) {
+    merged[key] = key in merged ? deepMerge(merged[key], value) : value;
+  }
+  return merged;
+}
+
+function applyProfile(raw, target) {
+  const { profiles = {}, ...base } = raw;
+  if (!target || !isPlainObject(profiles[target])) {
+    return { config: base, profile: null };
+  }
+  return { config: deepMerge(base, profiles[target]), profile: target };
+}
+
+// Plugin lists accumulate across layers; everything else follows deepMerge.
+function mergeLayers(base, override) {
+  const merged = deepMerge(base, override);
+  if (Array.isArray(base.plugins) && Array.isArray(override.plugins)) {
+    merged.plugins = [...new Set([...base.plugins, ...override.plugins])];
+  }
+  return merged;
+}
+
+function resolveExtendsEntry(specifier, { baseDir, cwd, from }) {
+  if (specifier.startsWith(PRESET_PREFIX)) {
+    const name = specifier.slice(PRESET_PREFIX.length);
+    if (!BUILTIN_PRESETS.includes(name)) {
+      const suggestion = suggestClosest(name, BUILTIN_PRESETS);
+      throw new QualityConfigError(
+        `Unknown preset "${specifier}" in ${from}. Use one of: ${BUILTIN_PRESETS.map((preset) => PRESET_PREFIX + preset).join(", ")}.${suggestion ? ` Did you mean "${PRESET_PREFIX}${suggestion}"?` : ""}`,
+      );
+    }
+    const file = path.join(PRESET_DIR, `${name}.json`);
+    return { id: file, file, label: specifier };
+  }
+  if (specifier.startsWith(".") || path.isAbsolute(specifier)) {
+    const file = path.resolve(baseDir, specifier);
+    return { id: file, file, label: path.relative(cwd, file) || file };
+  }
+  try {
+    const file = createRequire(path.join(baseDir, "package.json")).resolve(
+      specifier,
+    );
+    return { id: file, file, label: specifier };
+  } catch (error) {
+    throw new QualityConfigError(
+      `Cannot resolve "${specifier}" extended from ${from}: ${error?.message || String(error)}`,
+      { cause: error },
+    );
+  }
+}
+
+// Relative plugin paths in a shared config point next to that config.
+function rebasePlugins(raw, dir) {
+  if (!Array.isArray(raw.plugins)) return raw;
+  return {
+    ...raw,
+    plugins: raw.plugins.map((entry) =>
+      typeof entry === "string" && entry.startsWith(".")
+        ? path.resolve(dir, entry)
+        : entry,
+    ),
+  };
+}
+
+async function expandExtends(raw, { baseDir, cwd, from, chain }) {
+  const { extends: parents, ...own } = raw;
+  let config = {};
+  const layers = [];
+  for (const specifier of parents === undefined ? [] : [].concat(parents)) {
+    const entry = resolveExtendsEntry(specifier, { baseDir, cwd, from });
+    const cycle = chain.findIndex((link) => link.id === entry.id);
+    if (cycle !== -1) {
+      throw new QualityConfigError(
+        `Circular extends: ${[...chain.slice(cycle), entry].map((link) => link.label).join(" → ")}`,
+      );
+    }
+    let value;
+    try {
+      value = await readConfigFile(entry.file);
+    } catch (error) {
+      throw new QualityConfigError(
+        `Failed to load ${entry.label}: ${error?.message || String(error)}`,
+        { cause: error },
+      );
+    }
+    if (!isPlainObject(value)) {
+      throw new QualityConfigError(
+        `${entry.label} (extended from ${from}) does not export a quality config.`,
+      );
+    }
+    assertNoIssues(
+      validateJsonSchema(value, qualityConfigSchema()),
+      entry.label,
+    );
+    const parent = await expandExtends(
+      rebasePlugins(value, path.dirname(entry.file)),
+      {
+        baseDir: path.dirname(entry.file),
+        cwd,
+        from: entry.label,
+        chain: [...chain, entry],
+      },
+    );
+    config = mergeLayers(config, parent.config);
+    layers.push(...parent.layers, entry.label);
+  }
+  return { config: mergeLayers(config, own), layers: [...new Set(layers)] };
+}
+
+function assertNoIssues(issues, label) {
+  if (!issues.length) return;
+  throw new QualityConfigError(
+    `Invalid ${label}:\n${issues.map((issue) => `  - ${formatSchemaIssue(issue)}`).join("\n")}`,
+    { details: issues },
+  );
+}
+
+/**
+ * Validate a raw config against the published JSON Schema, layer it over
+ * the configs named in `extends`, load its plugins, then reject check ids
+ * that are neither built in nor provided by a plugin. Every problem is
+ * reported at once with its JSON path. The result still holds every
+ * profile; `applyQualityProfile` turns it into a config for one target.
+ */
+export async function resolveLayeredQualityConfig(
+  raw,
+  { cwd = process.cwd(), path: configPath = null } = {},
+) {
+  const label = configPath ? path.basename(configPath) : "quality config";
+  assertNoIssues(validateJsonSchema(raw, qualityConfigSchema()), label);
+  const { config: layered, layers } = await expandExtends(raw, {
+    baseDir: configPath ? path.dirname(configPath) : cwd,
+    cwd,
+    from: label,
+    chain: [{ id: configPath || label, label }],
+  });
+  assertNoIssues(
+    [...targetIssues(layered.targets), ...hookIssues(layered.hooks)],
+    label,
+  );
+  const plugins = await loadQualityPlugins(layered.plugins, {
+    cwd,
+    reservedIds: CHECK_IDS,
+  });
+  assertNoIssues(
+    unknownCheckIdIssues(layered, qualityCheckIds({ plugins })),
+    label,
+  );
+  return { path: configPath, raw, extends: layers, layered, plugins };
+}
+
+/**
+ * The config of a `resolveLayeredQualityConfig` result for `target`: when
+ * it has an entry in `profiles`, that is deep-merged over the base config
+ * and its key is returned as `profile`. The applied `extends` chain is
+ * returned as `extends` and the unresolved input as `raw`.
+ */
+export function applyQualityProfile(resolved, target = null) {
+  const { config, profile } = applyProfile(resolved.layered, target);
+  return {
+    path: resolved.path,
+    raw: resolved.raw,
+    extends: resolved.extends,
+    profile,
+    ...normalizeQualityConfig(config, { plugins: resolved.plugins }),
+  };
+}
+
+/**
+ * `resolveLayeredQualityConfig` and `applyQualityProfile` in one step.
+ */
+export async function resolveQualityConfig(
+  raw,
+  { cwd = process.cwd(), path: configPath = null, target = null } = {},
+) {
+  return applyQualityProfile(
+    await resolveLayeredQualityConfig(raw, { cwd, path: configPath }),
+    target,
+  );
+}
+
+/**
+ * The configuration a run would use: the resolved check order after
+ * defaults, `enabled` and `disabled` are applied, plus plugin sources.
+ */
+export function effectiveQualityConfig(config) {
+  const checks = config?.checks || {};
+  const selection = {};
+  for (const id of qualityCheckIds(config)) {
+    selection[id] = !OPTIONAL_BY_DEFAULT_CHECKS.has(id);
+  }
+  return {
+    path: config?.path || null,
+    extends: config?.extends || [],
+    profile: config?.profile || null,
+    targets: config?.targets || {},
+    concurrency: config?.concurrency || 1,
+    browserPool: config?.browserPool || { enabled: true, size: 1 },
+    pageCache: config?.pageCache || { enabled: true },
+    gate: {
+      rules: (config?.gate?.rules || []).map((rule) => rule.rule),
+    },
+    hooks: Object.fromEntries(
+      Object.entries(config?.hooks || {}).map(([name, entries]) => [
+        name,
+        entries.map(hookLabel),
+      ]),
+    ),
+    plugins: (config?.plugins || []).map((check) => ({
+      id: check.id,
+      name: check.name,
+      source: check.source,
+      capabilities: check.capabilities || {},
+    })),
+    checks: {
+      enabled: orderedSelectedChecks(
+        applyQualityConfigToSelection(selection, config),
+        config,
+      ),
+      disabled: checks.disabled || [],
+      order: checks.order || [],
+      thresholds: checks.thresholds || {},
+      options: checks.options || {},
+      exclusive: checks.exclusive || [],
+      resources: checks.resources || {},
+      timeoutMs: checks.timeoutMs || {},
+      retries: checks.retries || {},
+    },
   };
 }
 
@@ -77,7 +584,11 @@ async function readConfigFile(filePath) {
   return module?.default || module?.config || null;
 }
 
-export async function loadQualityConfig(cwd = process.cwd()) {
+/**
+ * The project's quality.config (json, mjs or cjs) resolved with
+ * `resolveLayeredQualityConfig`; an empty config when there is none.
+ */
+export async function loadLayeredQualityConfig(cwd = process.cwd()) {
   const files = [
     "quality.config.json",
     "quality.config.mjs",
@@ -86,17 +597,26 @@ export async function loadQualityConfig(cwd = process.cwd()) {
 
   for (const name of files) {
     const fullPath = path.join(cwd, name);
+    let value;
     try {
-      const value = await readConfigFile(fullPath);
-      if (!value) continue;
-      return { path: fullPath, ...normalizeConfig(value) };
+      value = await readConfigFile(fullPath);
     } catch (error) {
-      throw new Error(
+      throw new QualityConfigError(
         `Failed to load ${name}: ${error?.message || String(error)}`,
+        { cause: error },
       );
     }
+    if (!value) continue;
+    return resolveLayeredQualityConfig(value, { cwd, path: fullPath });
   }
-  return { path: null, ...normalizeConfig({}) };
+  return { path: null, raw: {}, extends: [], layered: {}, plugins: [] };
+}
+
+export async function loadQualityConfig(
+  cwd = process.cwd(),
+  { target = null } = {},
+) {
+  return applyQualityProfile(await loadLayeredQualityConfig(cwd), target);
 }
 
 export function applyQualityConfigToSelection(
@@ -109,8 +629,10 @@ export function applyQualityConfigToSelection(
   const enabled = checks.enabled;
   const disabled = new Set(checks.disabled || []);
 
+  const checkIds = qualityCheckIds(config);
+
   if (enabled && enabled.length) {
-    for (const id of CHECK_IDS) {
+    for (const id of checkIds) {
       selection[id] = enabled.includes(id);
     }
   }
@@ -120,7 +642,7 @@ export function applyQualityConfigToSelection(
   }
 
   // Never allow checks that are unavailable for the selected target.
-  for (const id of CHECK_IDS) {
+  for (const id of checkIds) {
     if (availability?.[id]?.enabled === false) {
       selection[id] = false;
     }
@@ -132,7 +654,9 @@ export function applyQualityConfigToSelection(
 export function orderedSelectedChecks(selectedChecks, config) {
   const checks = config?.checks || {};
   const preferred = Array.isArray(checks.order) ? checks.order : [];
-  const selected = CHECK_IDS.filter((id) => Boolean(selectedChecks?.[id]));
+  const selected = qualityCheckIds(config).filter((id) =>
+    Boolean(selectedChecks?.[id]),
+  );
   const ordered = [];
   for (const id of preferred) {
     if (selected.includes(id)) ordered.push(id);
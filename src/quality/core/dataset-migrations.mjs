@@ -0,0 +1,95 @@
+import { DATASET_SCHEMA_VERSION, checkFindings } from "./dataset.mjs";
+import { QualityDatasetError } from "./errors.mjs";
+import { buildPagesIndex } from "./pages.mjs";
+
+// v2 added `findings` to every check payload (see checks/<id>/findings.mjs).
+function addCheckFindings(dataset) {
+  const checks = Object.fromEntries(
+    Object.entries(dataset.checks || {}).map(([checkId, payload]) => [
+      checkId,
+      payload && typeof payload === "object" && !Array.isArray(payload.findings)
+        ? { ...payload, findings: checkFindings(checkId, payload) }
+        : payload,
+    ]),
+  );
+  return { ...dataset, checks };
+}
+
+// v2.1 added the `pages` index built from the check payloads.
+function addPagesIndex(dataset) {
+  return { ...dataset, pages: buildPagesIndex(dataset.checks) };
+}
+
+// Each migration upgrades a dataset whose `schemaVersion` is at least `from`
+// and below `to` to `to`, in order, and must not mutate its input.
+const MIGRATIONS = [
+  { from: "1.0.0", to: "2.0.0", migrate: addCheckFindings },
+  { from: "2.0.0", to: "2.1.0", migrate: addPagesIndex },
+];
+
+function parseVersion(value) {
+  const match = /^(\d+)(?:\.(\d+))?(?:\.(\d+))?/.exec(String(value ?? ""));
+  return match ? match.slice(1).map((part) => Number(part || 0)) : null;
+}
+
+function compareVersions(a, b) {
+  const left = parseVersion(a);
+  const right = parseVersion(b);
+  for (let i = 0; i < 3; i += 1) {
+    if (left[i] !== right[i]) return left[i] - right[i];
+  }
+  return 0;
+}
+
+export function datasetMajorVersion(dataset) {
+  return parseVersion(dataset?.schemaVersion)?.[0] ?? null;
+}
+
+/**
+ * Upgrade a dataset to the current schema (`DATASET_SCHEMA_VERSION`) by
+ * applying each migration from its `schemaVersion` onwards. Datasets that
+ * are current, newer or without a version are returned as they are.
+ *
+ * @returns {{ dataset: object, from: string|null, to: string|null, migrated: boolean }}
+ */
+export function migrateDataset(dataset) {
+  const from = dataset?.schemaVersion ?? null;
+  if (
+    !parseVersion(from) ||
+    compareVersions(from, DATASET_SCHEMA_VERSION) >= 0
+  ) {
+    return { dataset, from, to: from, migrated: false };
+  }
+  let migrated = dataset;
+  let version = from;
+  for (const step of MIGRATIONS) {
+    if (compareVersions(version, step.to) >= 0) continue;
+    if (compareVersions(version, step.from) < 0) {
+      throw new QualityDatasetError(
+        `No dataset migration from schema version ${version} to ${step.to}.`,
+        { details: { schemaVersion: from } },
+      );
+    }
+    migrated = step.migrate(migrated);
+    version = step.to;
+  }
+  migrated = { ...migrated, schemaVersion: DATASET_SCHEMA_VERSION };
+  return {
+    dataset: migrated,
+    from,
+    to: DATASET_SCHEMA_VERSION,
+    migrated: true,
+  };
+}
+
+/**
+ * Schema issue for a stored dataset `migrateDataset` rejected, so readers
+ * can report it alongside the run schema issues instead of throwing.
+ */
+export function migrationIssue(dataset) {
+  return {
+    path: "$.schemaVersion",
+    message: `has no migration to schema ${DATASET_SCHEMA_VERSION}`,
+    value: dataset?.schemaVersion ?? null,
+  };
+}
@@ -1,43 +1,83 @@
 import path from "node:path";
+import { findingsFromIssues } from "./findings.mjs";
+import { buildPagesIndex } from "./pages.mjs";
 import { collectLighthouseFromReportDir } from "../checks/lighthouse/collect.mjs";
 import { normalizeLighthousePayload } from "../checks/lighthouse/normalize.mjs";
+import { lighthouseFindings } from "../checks/lighthouse/findings.mjs";
 import { collectPa11yFromReportDir } from "../checks/pa11y/collect.mjs";
 import { normalizePa11yPayload } from "../checks/pa11y/normalize.mjs";
+import { pa11yFindings } from "../checks/pa11y/findings.mjs";
 import { collectAxeFromReportDir } from "../checks/axe/collect.mjs";
 import { normalizeAxePayload } from "../checks/axe/normalize.mjs";
+import { axeFindings } from "../checks/axe/findings.mjs";
 import { collectFormFromReportDir } from "../checks/form/collect.mjs";
 import { normalizeFormPayload } from "../checks/form/normalize.mjs";
+import { formFindings } from "../checks/form/findings.mjs";
 import { collectSeoFromReportDir } from "../checks/seo/collect.mjs";
 import { normalizeSeoPayload } from "../checks/seo/normalize.mjs";
+import { seoFindings } from "../checks/seo/findings.mjs";
 import { collectLinksFromReportDir } from "../checks/links/collect.mjs";
 import { normalizeLinksPayload } from "../checks/links/normalize.mjs";
+import { linksFindings } from "../checks/links/findings.mjs";
 import { collectJsonldFromReportDir } from "../checks/jsonld/collect.mjs";
 import { normalizeJsonldPayload } from "../checks/jsonld/normalize.mjs";
+import { jsonldFindings } from "../checks/jsonld/findings.mjs";
 import { collectSecurityFromReportDir } from "../checks/security/collect.mjs";
 import { normalizeSecurityPayload } from "../checks/security/normalize.mjs";
+import { securityFindings } from "../checks/security/findings.mjs";
 import { collectSitespeedFromReportDir } from "../checks/sitespeed/collect.mjs";
 import { normalizeSitespeedPayload } from "../checks/sitespeed/normalize.mjs";
+import { sitespeedFindings } from "../checks/sitespeed/findings.mjs";
 import { collectVnuFromReportDir } from "../checks/vnu/collect.mjs";
 import { normalizeVnuPayload } from "../checks/vnu/normalize.mjs";
+import { vnuFindings } from "../checks/vnu/findings.mjs";
 import { collectWappalyzerFromReportDir } from "../checks/wappalyzer/collect.mjs";
 import { normalizeWappalyzerPayload } from "../checks/wappalyzer/normalize.mjs";
+import { wappalyzerFindings } from "../checks/wappalyzer/findings.mjs";
 
-const CHECK_KEYS = [
-  "lighthouse",
-  "pa11y",
-  "axe",
-  "form",
-  "seo",
-  "links",
-  "jsonld",
-  "security",
-  "sitespeed",
-  "vnu",
-  "wappalyzer",
-];
+// Built-in checks collect raw results from reports/<id>/ and logs/<id>.log;
+// the last entry maps a normalized payload to its findings.
+const BUILTIN_PAYLOADS = {
+  lighthouse: [
+    collectLighthouseFromReportDir,
+    normalizeLighthousePayload,
+    lighthouseFindings,
+  ],
+  pa11y: [collectPa11yFromReportDir, normalizePa11yPayload, pa11yFindings],
+  axe: [collectAxeFromReportDir, normalizeAxePayload, axeFindings],
+  form: [collectFormFromReportDir, normalizeFormPayload, formFindings],
+  seo: [collectSeoFromReportDir, normalizeSeoPayload, seoFindings],
+  links: [collectLinksFromReportDir, normalizeLinksPayload, linksFindings],
+  jsonld: [collectJsonldFromReportDir, normalizeJsonldPayload, jsonldFindings],
+  security: [
+    collectSecurityFromReportDir,
+    normalizeSecurityPayload,
+    securityFindings,
+  ],
+  sitespeed: [
+    collectSitespeedFromReportDir,
+    normalizeSitespeedPayload,
+    sitespeedFindings,
+  ],
+  vnu: [collectVnuFromReportDir, normalizeVnuPayload, vnuFindings],
+  wappalyzer: [
+    collectWappalyzerFromReportDir,
+    normalizeWappalyzerPayload,
+    wappalyzerFindings,
+  ],
+};
+
+const CHECK_KEYS = Object.keys(BUILTIN_PAYLOADS);
+
+export const DATASET_SCHEMA_VERSION = "2.1.0";
 
 export function selectedCheckIds(selectedChecks) {
-  return CHECK_KEYS.filter((key) => Boolean(selectedChecks?.[key]));
+  const extraKeys = Object.keys(selectedChecks || {}).filter(
+    (key) => !CHECK_KEYS.includes(key),
+  );
+  return [...CHECK_KEYS, ...extraKeys].filter((key) =>
+    Boolean(selectedChecks?.[key]),
+  );
 }
 
 function checkFailedMap(failures = []) {
@@ -57,135 +97,82 @@ function checkFailedMap(failures = []) {
   };
 }
 
+/**
+ * Normalized payload of a built-in check from its report folder and log;
+ * null for plugin checks, which return their payload directly.
+ */
+export function buildCheckPayload(checkId, { reportRoot, logRoot, failed }) {
+  const entry = BUILTIN_PAYLOADS[checkId];
+  if (!entry) return null;
+  const [collect, normalize] = entry;
+  const raw = collect(path.join(reportRoot, checkId), {
+    logPath: path.join(logRoot, `${checkId}.log`),
+  });
+  return normalize(raw, { selected: true, failed: Boolean(failed) });
+}
+
+/**
+ * Findings of a stored check payload: the built-in mapping for the check,
+ * or one finding per issue for plugin checks.
+ */
+export function checkFindings(checkId, payload) {
+  const mapFindings = BUILTIN_PAYLOADS[checkId]?.[2];
+  return mapFindings
+    ? mapFindings(payload)
+    : findingsFromIssues(checkId, payload?.issues);
+}
+
 export function buildCanonicalDataset({
   runId,
   createdAt,
+  status = "completed",
   selectedTarget,
   baseUrl,
   selectedChecks,
   failures = [],
   reportRoot,
   logRoot,
+  pluginChecks = {},
+  execution = {},
 }) {
   const failed = checkFailedMap(failures);
   const checks = {};
 
-  if (selectedChecks?.lighthouse) {
-    const raw = collectLighthouseFromReportDir(
-      path.join(reportRoot, "lighthouse"),
-      {
-        logPath: path.join(logRoot, "lighthouse.log"),
-      },
-    );
-    checks.lighthouse = normalizeLighthousePayload(raw, {
-      selected: true,
-      failed: failed.lighthouse,
-    });
-  }
-  if (selectedChecks?.pa11y) {
-    const raw = collectPa11yFromReportDir(path.join(reportRoot, "pa11y"), {
-      logPath: path.join(logRoot, "pa11y.log"),
-    });
-    checks.pa11y = normalizePa11yPayload(raw, {
-      selected: true,
-      failed: failed.pa11y,
-    });
-  }
-  if (selectedChecks?.axe) {
-    const raw = collectAxeFromReportDir(path.join(reportRoot, "axe"), {
-      logPath: path.join(logRoot, "axe.log"),
-    });
-    checks.axe = normalizeAxePayload(raw, {
-      selected: true,
-      failed: failed.axe,
-    });
-  }
-  if (selectedChecks?.form) {
-    const raw = collectFormFromReportDir(path.join(reportRoot, "form"), {
-      logPath: path.join(logRoot, "form.log"),
-    });
-    checks.form = normalizeFormPayload(raw, {
-      selected: true,
-      failed: failed.form,
-    });
-  }
-  if (selectedChecks?.seo) {
-    const raw = collectSeoFromReportDir(path.join(reportRoot, "seo"), {
-      logPath: path.join(logRoot, "seo.log"),
-    });
-    checks.seo = normalizeSeoPayload(raw, {
-      selected: true,
-      failed: failed.seo,
+  for (const checkId of CHECK_KEYS) {
+    if (!selectedChecks?.[checkId]) continue;
+    checks[checkId] = buildCheckPayload(checkId, {
+      reportRoot,
+      logRoot,
+      failed: failed[checkId],
     });
   }
-  if (selectedChecks?.links) {
-    const raw = collectLinksFromReportDir(path.join(reportRoot, "links"), {
-      logPath: path.join(logRoot, "links.log"),
-    });
-    checks.links = normalizeLinksPayload(raw, {
+  for (const [checkId, payload] of Object.entries(pluginChecks)) {
+    if (!selectedChecks?.[checkId]) continue;
+    // A plugin that crashed has no payload; record it as a failed check.
+    checks[checkId] = payload || {
       selected: true,
-      failed: failed.links,
-    });
-  }
-  if (selectedChecks?.jsonld) {
-    const raw = collectJsonldFromReportDir(path.join(reportRoot, "jsonld"), {
-      logPath: path.join(logRoot, "jsonld.log"),
-    });
-    checks.jsonld = normalizeJsonldPayload(raw, {
-      selected: true,
-      failed: failed.jsonld,
-    });
-  }
-  if (selectedChecks?.security) {
-    const raw = collectSecurityFromReportDir(
-      path.join(reportRoot, "security"),
-      {
-        logPath: path.join(logRoot, "security.log"),
-      },
-    );
-    checks.security = normalizeSecurityPayload(raw, {
-      selected: true,
-      failed: failed.security,
-    });
+      failed: true,
+      stats: {},
+      issues: [],
+      meta: {},
+      findings: [],
+    };
   }
-  if (selectedChecks?.sitespeed) {
-    const raw = collectSitespeedFromReportDir(
-      path.join(reportRoot, "sitespeed"),
-      {
-        logPath: path.join(logRoot, "sitespeed.log"),
-      },
-    );
-    checks.sitespeed = normalizeSitespeedPayload(raw, {
-      selected: true,
-      failed: failed.sitespeed,
-    });
-  }
-  if (selectedChecks?.vnu) {
-    const raw = collectVnuFromReportDir(path.join(reportRoot, "vnu"), {
-      logPath: path.join(logRoot, "vnu.log"),
-    });
-    checks.vnu = normalizeVnuPayload(raw, {
-      selected: true,
-      failed: failed.vnu,
-    });
-  }
-  if (selectedChecks?.wappalyzer) {
-    const raw = collectWappalyzerFromReportDir(
-      path.join(reportRoot, "wappalyzer"),
-      {
-        logPath: path.join(logRoot, "wappalyzer.log"),
-      },
-    );
-    checks.wappalyzer = normalizeWappalyzerPayload(raw, {
-      selected: true,
-      failed: failed.wappalyzer,
-    });
+
+  for (const [checkId, entry] of Object.entries(execution)) {
+    if (!checks[checkId]) continue;
+    checks[checkId] = {
+      ...checks[checkId],
+      attempts: entry.attempts,
+      timedOut: entry.timedOut,
+    };
   }
 
   return {
-    schemaVersion: "1.0.0",
+    schemaVersion: DATASET_SCHEMA_VERSION,
     runId,
     createdAt,
+    status,
     target: {
       key: selectedTarget?.key || null,
       name: selectedTarget?.name || null,
@@ -195,6 +182,7 @@ export function buildCanonicalDataset({
     selectedChecks: selectedCheckIds(selectedChecks),
     failures,
     checks,
+    pages: buildPagesIndex(checks),
   };
 }
 
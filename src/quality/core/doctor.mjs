@@ -0,0 +1,416 @@
+import fs from "node:fs";
+import path from "node:path";
+import { spawnSync } from "node:child_process";
+import { createRequire } from "node:module";
+import { fileURLToPath } from "node:url";
+import {
+  OPTIONAL_BY_DEFAULT_CHECKS,
+  loadQualityConfig,
+  qualityCheckIds,
+} from "./config.mjs";
+import {
+  getTargetChoices,
+  loadProjectEnvValues,
+  normalizeBaseUrlInput,
+} from "./targets.mjs";
+
+const here = path.dirname(fileURLToPath(import.meta.url));
+const toolkitRoot = path.resolve(here, "..", "..", "..");
+const requireFromToolkit = createRequire(import.meta.url);
+
+const REQUIRED_NODE = [22, 12, 0];
+
+const CHECK_PACKAGES = {
+  lighthouse: ["lighthouse"],
+  pa11y: ["pa11y"],
+  axe: ["puppeteer"],
+  form: ["puppeteer", "node-html-parser"],
+  seo: ["node-html-parser"],
+  links: ["node-html-parser"],
+  jsonld: ["@adobe/structured-data-validator", "@marbec/web-auto-extractor"],
+  security: [],
+  sitespeed: [],
+  vnu: [],
+  wappalyzer: ["wapalyzer-core", "node-html-parser"],
+};
+
+const BROWSER_CHECKS = new Set(["lighthouse", "pa11y", "axe", "form"]);
+
+function result(id, label, status, message, fix = null) {
+  return { id, label, status, message, fix };
+}
+
+function defaultCommandVersion(cmd, args = ["--version"]) {
+  const run = spawnSync(cmd, args, {
+    encoding: "utf8",
+    timeout: 10000,
+    shell: process.platform === "win32",
+  });
+  if (run.error || run.status !== 0) return null;
+  const output = `${run.stdout || ""}${run.stderr || ""}`.trim();
+  return output.split("\n")[0] || "available";
+}
+
+function defaultResolvePackage(name) {
+  try {
+    return requireFromToolkit.resolve(`${name}/package.json`);
+  } catch {
+    try {
+      return requireFromToolkit.resolve(name);
+    } catch {
+      return null;
+    }
+  }
+}
+
+async function defaultChromiumPath(env) {
+  if (env.PUPPETEER_EXECUTABLE_PATH) return env.PUPPETEER_EXECUTABLE_PATH;
+  try {
+    const { default: puppeteer } = await import("puppeteer");
+    return puppeteer.executablePath();
+  } catch {
+    return null;
+  }
+}
+
+function isVersionAtLeast(version, minimum) {
+  const parts = String(version)
+    .replace(/^v/, "")
+    .split(".")
+    .map((part) => Number.parseInt(part, 10) || 0);
+  for (let i = 0; i < minimum.length; i += 1) {
+    if ((parts[i] || 0) > minimum[i]) return true;
+    if ((parts[i] || 0) < minimum[i]) return false;
+  }
+  return true;
+}
+
+export function enabledChecksFromConfig(config) {
+  const checks = config?.checks || {};
+  const disabled = new Set(checks.disabled || []);
+  const base = checks.enabled?.length
+    ? checks.enabled
+    : qualityCheckIds(config).filter(
+        (id) => !OPTIONAL_BY_DEFAULT_CHECKS.has(id),
+      );
+  return base.filter((id) => !disabled.has(id));
+}
+
+function probeTargets(cwd, env) {
+  const envValues = loadProjectEnvValues(cwd);
+  const entries = [
+    ["BASE_URL", "development"],
+    ["STAGING_URL", "staging"],
+    ["SITE_URL", "production"],
+  ];
+  return entries.map(([key, target]) => {
+    const raw = env[key] || envValues[key] || "";
+    const id = `env:${key}`;
+    const label = `${key} (${target})`;
+    if (!raw) {
+      if (key === "BASE_URL") {
+        return result(
+          id,
+          label,
+          "pass",
+          "Not set, using http://localhost:4321",
+        );
+      }
+      return result(
+        id,
+        label,
+        "warn",
+        `Not set; --target ${target} is unavailable.`,
+        `Add ${key}=https://... to .env or the environment.`,
+      );
+    }
+    const normalized = normalizeBaseUrlInput(raw);
+    if (!normalized) {
+      return result(
+        id,
+        label,
+        "fail",
+        `Invalid URL: ${raw}`,
+        `Set ${key} to an absolute http(s) URL.`,
+      );
+    }
+    return result(id, label, "pass", normalized);
+  });
+}
+
+function probeConfigTargets(cwd, env, targets = {}) {
+  const keys = new Set(Object.keys(targets));
+  return getTargetChoices(loadProjectEnvValues(cwd), env, targets)
+    .filter((target) => keys.has(target.key))
+    .map((target) => {
+      const definition = targets[target.key];
+      const label = `target ${target.key}`;
+      if (target.disabled) {
+        return result(
+          `target:${target.key}`,
+          label,
+          "warn",
+          `${target.name}; --target ${target.key} is unavailable.`,
+          definition.baseUrlEnv
+            ? `Add ${definition.baseUrlEnv}=https://... to .env or the environment.`
+            : `Set targets.${target.key}.baseUrl in quality.config.`,
+        );
+      }
+      return result(`target:${target.key}`, label, "pass", target.baseUrl);
+    });
+}
+
+function probeBuild(cwd) {
+  const buildDir = path.join(cwd, "build");
+  if (fs.existsSync(path.join(buildDir, "index.html"))) {
+    return result("build", "build/ output", "pass", buildDir);
+  }
+  return result(
+    "build",
+    "build/ output",
+    "warn",
+    fs.existsSync(buildDir)
+      ? "build/ exists but has no index.html."
+      : "build/ not found.",
+    "Run npm run build (quality run builds automatically for development).",
+  );
+}
+
+// Checks that reports/ could be written without creating it: an existing
+// directory gets a probe file, otherwise its nearest existing parent must be
+// writable.
+function probeReports(cwd) {
+  const reportsDir = path.join(cwd, "reports");
+  let dir = reportsDir;
+  while (!fs.existsSync(dir) && path.dirname(dir) !== dir) {
+    dir = path.dirname(dir);
+  }
+  try {
+    if (!fs.statSync(dir).isDirectory()) {
+      throw new Error(`${dir} is not a directory`);
+    }
+    if (dir === reportsDir) {
+      const probeFile = path.join(reportsDir, `.doctor-${process.pid}`);
+      fs.writeFileSync(probeFile, "ok");
+      fs.rmSync(probeFile, { force: true });
+    } else {
+      fs.accessSync(dir, fs.constants.W_OK | fs.constants.X_OK);
+    }
+    return result("reports", "reports/ writable", "pass", reportsDir);
+  } catch (error) {
+    return result(
+      "reports",
+      "reports/ writable",
+      "fail",
+      error?.message || String(error),
+      `Make ${dir} writable by the current user.`,
+    );
+  }
+}
+
+async function probeCheck(checkId, { cwd, env, probes }) {
+  const results = [];
+  const id = `check:${checkId}`;
+  const missing = (CHECK_PACKAGES[checkId] || []).filter(
+    (name) => !probes.resolvePackage(name),
+  );
+  if (missing.length) {
+    results.push(
+      result(
+        id,
+        `${checkId}: packages`,
+        "fail",
+        `Missing ${missing.join(", ")}.`,
+        "Reinstall dependencies (npm install).",
+      ),
+    );
+  }
+
+  if (BROWSER_CHECKS.has(checkId)) {
+    const chromium = await probes.chromiumPath(env);
+    if (!chromium || !fs.existsSync(chromium)) {
+      results.push(
+        result(
+          id,
+          `${checkId}: Chromium`,
+          "fail",
+          chromium ? `Not found at ${chromium}.` : "No Chromium found.",
+          "Run npx puppeteer browsers install chrome or set PUPPETEER_EXECUTABLE_PATH.",
+        ),
+      );
+    }
+  }
+
+  if (checkId === "axe") {
+    const axeSource = path.join(cwd, "node_modules", "axe-core", "axe.min.js");
+    if (!fs.existsSync(axeSource)) {
+      results.push(
+        result(
+          id,
+          "axe: axe-core",
+          "fail",
+          `Missing ${axeSource}.`,
+          "Install axe-core in the project (npm install -D axe-core).",
+        ),
+      );
+    }
+  }
+
+  if (checkId === "vnu") {
+    const java = probes.commandVersion("java", ["-version"]);
+    if (!java) {
+      results.push(
+        result(
+          id,
+          "vnu: Java",
+          "fail",
+          "java is not on PATH.",
+          "Install a Java runtime (JRE 11+) for the Nu HTML Checker.",
+        ),
+      );
+    }
+  }
+
+  if (checkId === "security") {
+    const useTestssl = !["0", "false", "no", "off"].includes(
+      String(env.SECURITY_USE_TESTSSL ?? "1").toLowerCase(),
+    );
+    if (useTestssl) {
+      const bundled = path.join(
+        toolkitRoot,
+        "tools",
+        "testssl.sh",
+        "testssl.sh",
+      );
+      const testsslBin =
+        env.TESTSSL_BIN || (fs.existsSync(bundled) ? bundled : null);
+      if (!testsslBin && !probes.commandVersion("testssl.sh")) {
+        results.push(
+          result(
+            id,
+            "security: testssl.sh",
+            "fail",
+            "testssl.sh not found (bundled copy missing and not on PATH).",
+            "Set TESTSSL_BIN or SECURITY_USE_TESTSSL=0.",
+          ),
+        );
+      }
+      if (!probes.commandVersion("openssl", ["version"])) {
+        results.push(
+          result(
+            id,
+            "security: OpenSSL",
+            "fail",
+            "openssl is not on PATH (required by testssl.sh).",
+            "Install OpenSSL or set SECURITY_USE_TESTSSL=0.",
+          ),
+        );
+      }
+    }
+  }
+
+  if (checkId === "sitespeed") {
+    if (
+      !probes.resolvePackage("sitespeed.io") &&
+      !probes.commandVersion("sitespeed.io")
+    ) {
+      results.push(
+        result(
+          id,
+          "sitespeed: binary",
+          "warn",
+          "sitespeed.io is not installed; npx downloads it on each run.",
+          "Install it once with npm install -g sitespeed.io.",
+        ),
+      );
+    }
+  }
+
+  if (!results.length) {
+    results.push(result(id, checkId, "pass", "Dependencies found."));
+  }
+  return results;
+}
+
+/**
+ * Probe the tooling that the enabled quality checks, target URLs and report
+ * store rely on. `probes` can override how commands, packages and Chromium
+ * are looked up.
+ *
+ * @returns {Promise<{ results: Array<{ id: string, label: string, status: "pass"|"warn"|"fail", message: string, fix: string|null }>, checks: string[], configPath: string|null }>}
+ */
+export async function runDoctor({
+  cwd = process.cwd(),
+  env = process.env,
+  nodeVersion = process.version,
+  probes = {},
+} = {}) {
+  const resolvedProbes = {
+    commandVersion: defaultCommandVersion,
+    resolvePackage: defaultResolvePackage,
+    chromiumPath: defaultChromiumPath,
+    ...probes,
+  };
+  const results = [];
+
+  results.push(
+    isVersionAtLeast(nodeVersion, REQUIRED_NODE)
+      ? result("node", "Node.js", "pass", nodeVersion)
+      : result(
+          "node",
+          "Node.js",
+          "fail",
+          `${nodeVersion} is older than ${REQUIRED_NODE.join(".")}.`,
+          `Install Node.js ${REQUIRED_NODE.join(".")} or newer.`,
+        ),
+  );
+
+  let config = null;
+  try {
+    config = await loadQualityConfig(cwd);
+    results.push(
+      result(
+        "config",
+        "quality.config",
+        "pass",
+        config.path || "Not found, using defaults.",
+      ),
+    );
+  } catch (error) {
+    results.push(
+      result(
+        "config",
+        "quality.config",
+        "fail",
+        error?.message || String(error),
+        "Fix the reported keys; yws-toolkit quality config re-checks them.",
+      ),
+    );
+  }
+
+  const checks = enabledChecksFromConfig(config);
+  for (const checkId of checks) {
+    const plugin = config?.plugins?.find((check) => check.id === checkId);
+    if (plugin) {
+      results.push(
+        result(
+          `check:${checkId}`,
+          checkId,
+          "pass",
+          `Plugin loaded from ${plugin.source}.`,
+        ),
+      );
+      continue;
+    }
+    results.push(
+      ...(await probeCheck(checkId, { cwd, env, probes: resolvedProbes })),
+    );
+  }
+
+  results.push(...probeTargets(cwd, env));
+  results.push(...probeConfigTargets(cwd, env, config?.targets));
+  results.push(probeBuild(cwd));
+  results.push(probeReports(cwd));
+
+  return { results, checks, configPath: config?.path || null };
+}
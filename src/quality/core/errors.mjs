@@ -0,0 +1,68 @@
+export class QualityError extends Error {
+  constructor(message, { code = "E_QUALITY", cause, details } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = "QualityError";
+    this.code = code;
+    if (details !== undefined) {
+      this.details = details;
+    }
+  }
+}
+
+export class QualityConfigError extends QualityError {
+  constructor(message, options = {}) {
+    super(message, { code: "E_QUALITY_CONFIG", ...options });
+    this.name = "QualityConfigError";
+  }
+}
+
+export class QualityTargetError extends QualityError {
+  constructor(message, options = {}) {
+    super(message, { code: "E_QUALITY_TARGET", ...options });
+    this.name = "QualityTargetError";
+  }
+}
+
+export class QualityBuildError extends QualityError {
+  constructor(message, { logPath = null, tail = "", ...options } = {}) {
+    super(message, { code: "E_QUALITY_BUILD", ...options });
+    this.name = "QualityBuildError";
+    this.logPath = logPath;
+    this.tail = tail;
+  }
+}
+
+export class QualityServerError extends QualityError {
+  constructor(message, options = {}) {
+    super(message, { code: "E_QUALITY_SERVER", ...options });
+    this.name = "QualityServerError";
+  }
+}
+
+export class QualityUrlError extends QualityError {
+  constructor(message, options = {}) {
+    super(message, { code: "E_QUALITY_URLS", ...options });
+    this.name = "QualityUrlError";
+  }
+}
+
+export class QualityInterruptedError extends QualityError {
+  constructor(message, options = {}) {
+    super(message, { code: "E_QUALITY_INTERRUPTED", ...options });
+    this.name = "QualityInterruptedError";
+  }
+}
+
+export class QualityRunError extends QualityError {
+  constructor(message, options = {}) {
+    super(message, { code: "E_QUALITY_RUN", ...options });
+    this.name = "QualityRunError";
+  }
+}
+
+export class QualityDatasetError extends QualityError {
+  constructor(message, options = {}) {
+    super(message, { code: "E_QUALITY_DATASET", ...options });
+    this.name = "QualityDatasetError";
+  }
+}
@@ -0,0 +1,134 @@
+import { listRuns, readRun } from "../store/index.mjs";
+
+function payloadFindings(payload) {
+  return Array.isArray(payload?.findings) ? payload.findings : [];
+}
+
+function findingsByFingerprint(findings) {
+  const byFingerprint = new Map();
+  for (const finding of findings) {
+    if (finding?.fingerprint && !byFingerprint.has(finding.fingerprint)) {
+      byFingerprint.set(finding.fingerprint, finding);
+    }
+  }
+  return byFingerprint;
+}
+
+/**
+ * Per check id, the findings `dataset` recorded for it with the run they
+ * came from: `{ runId, createdAt, findings }`. Checks the run did not
+ * select, or that have no findings array, are left out.
+ */
+export function datasetFindingBaselines(dataset) {
+  const selected = new Set(dataset?.selectedChecks || []);
+  const baselines = {};
+  for (const [checkId, payload] of Object.entries(dataset?.checks || {})) {
+    if (!selected.has(checkId) || !Array.isArray(payload?.findings)) continue;
+    baselines[checkId] = {
+      runId: dataset.runId,
+      createdAt: dataset.createdAt,
+      findings: payload.findings,
+    };
+  }
+  return baselines;
+}
+
+/**
+ * Finding baselines for `checkIds` (see `datasetFindingBaselines`), each
+ * from the most recent completed run of the same target created before
+ * `before` that ran that check. Checks no such run ran are left out.
+ */
+export function readFindingBaselines(
+  cwd,
+  { target, before, exclude = null, checkIds = [] },
+) {
+  const cutoff = Date.parse(before);
+  const missing = new Set(checkIds);
+  const baselines = {};
+  const runs = listRuns(cwd).filter(
+    (run) =>
+      run.runId !== exclude &&
+      run.hasDataset &&
+      run.status === "completed" &&
+      run.target === target &&
+      Date.parse(run.createdAt) < cutoff,
+  );
+  for (const run of runs) {
+    if (!missing.size) break;
+    const stored = readRun(run.runId, cwd, { logger: { warn() {} } });
+    const found = datasetFindingBaselines(stored?.dataset);
+    for (const checkId of missing) {
+      if (!found[checkId]) continue;
+      baselines[checkId] = found[checkId];
+      missing.delete(checkId);
+    }
+  }
+  return baselines;
+}
+
+/**
+ * Stamp every finding of `dataset` with `firstSeen` and `lastSeen`
+ * (`{ runId, createdAt }`). A finding whose fingerprint is in its check's
+ * entry of `baselines` keeps that finding's `firstSeen` (or the baseline
+ * run when it has none); any other finding is first seen in `run`.
+ * `lastSeen` is always `run`, the latest run that reported the finding.
+ */
+export function applyFindingHistory(dataset, baselines, run) {
+  const seen = { runId: run.runId, createdAt: run.createdAt };
+  const checks = Object.fromEntries(
+    Object.entries(dataset.checks || {}).map(([checkId, payload]) => {
+      if (!Array.isArray(payload?.findings)) return [checkId, payload];
+      const baseline = baselines?.[checkId];
+      const known = findingsByFingerprint(baseline?.findings || []);
+      const findings = payload.findings.map((finding) => {
+        const previous = known.get(finding.fingerprint);
+        return {
+          ...finding,
+          firstSeen: previous
+            ? previous.firstSeen || {
+                runId: baseline.runId,
+                createdAt: baseline.createdAt,
+              }
+            : seen,
+          lastSeen: seen,
+        };
+      });
+      return [checkId, { ...payload, findings }];
+    }),
+  );
+  return { ...dataset, checks };
+}
+
+/**
+ * Findings of `head` split into `new` (not in `base`) and `open` (also in
+ * `base`), and the findings of `base` that are gone from `head` as `fixed`.
+ * Only checks with findings in both runs are compared; keyed by check id.
+ */
+export function diffRunFindings(base, head) {
+  const result = {};
+  for (const [checkId, headPayload] of Object.entries(head?.checks || {})) {
+    const basePayload = base?.checks?.[checkId];
+    if (
+      !Array.isArray(basePayload?.findings) ||
+      !Array.isArray(headPayload?.findings)
+    ) {
+      continue;
+    }
+    const baseFindings = payloadFindings(basePayload);
+    const headFindings = payloadFindings(headPayload);
+    const baseKeys = new Set(
+      baseFindings.map((finding) => finding.fingerprint),
+    );
+    const headKeys = new Set(
+      headFindings.map((finding) => finding.fingerprint),
+    );
+    result[checkId] = {
+      new: headFindings.filter((finding) => !baseKeys.has(finding.fingerprint)),
+      open: headFindings.filter((finding) => baseKeys.has(finding.fingerprint)),
+      fixed: baseFindings.filter(
+        (finding) => !headKeys.has(finding.fingerprint),
+      ),
+    };
+  }
+  return result;
+}
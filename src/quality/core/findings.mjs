@@ -0,0 +1,154 @@
+import { createHash } from "node:crypto";
+
+export const FINDING_SEVERITIES = ["error", "warning", "info"];
+
+const SEVERITY_ALIASES = {
+  error: "error",
+  err: "error",
+  fatal: "error",
+  critical: "error",
+  warning: "warning",
+  warn: "warning",
+  info: "info",
+  notice: "info",
+};
+
+export function normalizeFindingSeverity(value, fallback = "error") {
+  return SEVERITY_ALIASES[String(value || "").toLowerCase()] || fallback;
+}
+
+function text(value) {
+  const normalized = String(value ?? "").trim();
+  return normalized || null;
+}
+
+const RUN_ID_PATTERN =
+  /\b\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z-[a-z0-9]{1,8}\b/gi;
+const TIMESTAMP_PATTERN =
+  /\b\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})?\b/g;
+const UUID_PATTERN =
+  /\b[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\b/gi;
+const HEX_ID_PATTERN = /\b(?=[0-9a-f]*\d)[0-9a-f]{12,}\b/gi;
+// Framework-generated style scopes: Astro, Vue and Angular.
+const SCOPED_STYLE_PATTERN =
+  /\b(data-astro-cid|astro|data-v|_ngcontent|_nghost)-[a-z0-9-]+/gi;
+const URL_PATTERN = /\bhttps?:\/\/[^\s"'<>()]+/gi;
+// Numbers that stand alone (scores, counts, status codes), not the ones
+// inside paths or identifiers.
+const NUMBER_PATTERN = /(?<![\w/.:#-])\d+(?:\.\d+)?(?![\w/-])/g;
+
+function stripQuery(url) {
+  return url.replace(/[?#].*$/, "");
+}
+
+/**
+ * Path of a page URL without origin, query string, hash or trailing
+ * `index.html`/slash, so the same page matches across targets and reruns.
+ */
+export function normalizeFindingUrl(pageUrl) {
+  const value = text(pageUrl);
+  if (!value) return "";
+  let pathname;
+  try {
+    pathname = new URL(value, "http://finding.local").pathname;
+  } catch {
+    pathname = stripQuery(value);
+  }
+  const normalized = pathname
+    .replace(/\/index\.html?$/i, "/")
+    .replace(/\/{2,}/g, "/")
+    .replace(/(.)\/$/, "$1");
+  return normalized || "/";
+}
+
+/**
+ * Selector without attribute values (`a[href="/?utm=1"]` → `a[href]`),
+ * framework style scopes and generated ids.
+ */
+export function normalizeFindingSelector(selector) {
+  return (text(selector) || "")
+    .replace(/\[\s*([^\]=~|^$*\s]+)\s*[~|^$*]?=[^\]]*\]/g, "[$1]")
+    .replace(SCOPED_STYLE_PATTERN, "$1-*")
+    .replace(UUID_PATTERN, "*")
+    .replace(HEX_ID_PATTERN, "*")
+    .replace(/\s+/g, " ");
+}
+
+/**
+ * Message without run ids, timestamps, generated ids, query strings and
+ * standalone numbers such as scores.
+ */
+export function normalizeFindingMessage(message) {
+  return (text(message) || "")
+    .replace(RUN_ID_PATTERN, "<run>")
+    .replace(TIMESTAMP_PATTERN, "<time>")
+    .replace(UUID_PATTERN, "<id>")
+    .replace(HEX_ID_PATTERN, "<id>")
+    .replace(URL_PATTERN, stripQuery)
+    .replace(NUMBER_PATTERN, "<n>")
+    .replace(/\s+/g, " ");
+}
+
+/**
+ * Identity of a finding across runs: check, rule, normalized page path and
+ * the normalized selector (or message when there is none).
+ */
+export function findingFingerprint({
+  checkId,
+  ruleId,
+  pageUrl,
+  selector,
+  message,
+}) {
+  const location = text(selector)
+    ? `selector:${normalizeFindingSelector(selector)}`
+    : `message:${normalizeFindingMessage(message)}`;
+  return createHash("sha1")
+    .update(
+      [checkId, ruleId, normalizeFindingUrl(pageUrl), location].join("\n"),
+    )
+    .digest("hex")
+    .slice(0, 16);
+}
+
+/**
+ * One finding in the shape every check payload shares:
+ * `{ checkId, ruleId, severity, pageUrl, selector, message, helpUrl,
+ * fingerprint }`. Missing fields are `null`; `severity` is one of
+ * `FINDING_SEVERITIES`.
+ */
+export function makeFinding(checkId, fields = {}) {
+  const finding = {
+    checkId,
+    ruleId: text(fields.ruleId) || checkId,
+    severity: normalizeFindingSeverity(fields.severity),
+    pageUrl: text(fields.pageUrl),
+    selector: text(fields.selector),
+    message: text(fields.message) || "",
+    helpUrl: text(fields.helpUrl),
+  };
+  return { ...finding, fingerprint: findingFingerprint(finding) };
+}
+
+/**
+ * Findings for a check without its own mapping (plugins): each issue
+ * object contributes `ruleId`/`code`/`id`, `severity`/`type`,
+ * `pageUrl`/`url`, `selector`, `message` and `helpUrl`; string issues
+ * become the message.
+ */
+export function findingsFromIssues(checkId, issues = []) {
+  return (Array.isArray(issues) ? issues : [])
+    .filter((issue) => issue && ["object", "string"].includes(typeof issue))
+    .map((issue) =>
+      typeof issue === "string"
+        ? makeFinding(checkId, { message: issue })
+        : makeFinding(checkId, {
+            ruleId: issue.ruleId || issue.code || issue.id,
+            severity: issue.severity || issue.type,
+            pageUrl: issue.pageUrl || issue.url,
+            selector: issue.selector,
+            message: issue.message,
+            helpUrl: issue.helpUrl,
+          }),
+    );
+}
@@ -0,0 +1,94 @@
+const RULE_PATTERN =
+  /^\s*([a-z][a-z0-9-]*)\.([A-Za-z0-9_-]+(?:\.[A-Za-z0-9_-]+)*)\s*(<=|>=|==|!=|<|>)\s*(-?\d+(?:\.\d+)?)\s*$/;
+
+const COMPARATORS = {
+  "<=": (actual, expected) => actual <= expected,
+  ">=": (actual, expected) => actual >= expected,
+  "<": (actual, expected) => actual < expected,
+  ">": (actual, expected) => actual > expected,
+  "==": (actual, expected) => actual === expected,
+  "!=": (actual, expected) => actual !== expected,
+};
+
+/**
+ * Parse `"<check>.<metric> <op> <number>"` (e.g. `"seo.errorCount <= 0"`).
+ * Returns null when the text is not a rule.
+ */
+export function parseGateRule(text) {
+  const match = typeof text === "string" ? RULE_PATTERN.exec(text) : null;
+  if (!match) return null;
+  const [, check, metric, operator, value] = match;
+  return {
+    rule: `${check}.${metric} ${operator} ${value}`,
+    check,
+    metric,
+    operator,
+    expected: Number(value),
+  };
+}
+
+function readPath(source, metric) {
+  const value = metric
+    .split(".")
+    .reduce(
+      (node, key) => (node && typeof node === "object" ? node[key] : undefined),
+      source,
+    );
+  return typeof value === "number" && Number.isFinite(value) ? value : null;
+}
+
+// `stats` holds the counts every check reports; `scores` and object
+// `metrics` carry the check-specific numbers (e.g. Lighthouse categories).
+function readMetric(payload, metric) {
+  for (const source of [payload?.stats, payload?.scores, payload?.metrics]) {
+    if (!source || typeof source !== "object" || Array.isArray(source)) {
+      continue;
+    }
+    const value = readPath(source, metric);
+    if (value !== null) return value;
+  }
+  return null;
+}
+
+function evaluateRule(rule, dataset) {
+  const payload = dataset?.checks?.[rule.check];
+  if (!payload || payload.selected === false) {
+    return { ...rule, actual: null, status: "skipped" };
+  }
+  const actual = readMetric(payload, rule.metric);
+  if (actual === null) {
+    return { ...rule, actual: null, status: "missing" };
+  }
+  const passed = COMPARATORS[rule.operator](actual, rule.expected);
+  return { ...rule, actual, status: passed ? "passed" : "failed" };
+}
+
+/**
+ * Evaluate the configured gate rules against the normalized check payloads
+ * in `dataset`. A rule on a check that did not run is skipped; a rule whose
+ * metric the check did not report fails as `missing`. Without rules the
+ * gate is `skipped` and the run verdict falls back to check failures.
+ *
+ * @returns {{ status: "passed"|"failed"|"skipped", failed: number, rules: Array<object> }}
+ */
+export function evaluateQualityGate(dataset, rules = []) {
+  const results = rules.map((rule) => evaluateRule(rule, dataset));
+  const failed = results.filter(
+    (result) => result.status === "failed" || result.status === "missing",
+  ).length;
+  return {
+    status: !results.length ? "skipped" : failed ? "failed" : "passed",
+    failed,
+    rules: results,
+  };
+}
+
+export function formatGateResult(result) {
+  if (result.status === "missing") {
+    return `${result.rule} (metric not reported)`;
+  }
+  if (result.status === "skipped") {
+    return `${result.rule} (check not run)`;
+  }
+  return `${result.rule} (got ${result.actual})`;
+}
@@ -0,0 +1,96 @@
+import { runCommand } from "../common/process.mjs";
+import { hookLabel } from "./config.mjs";
+
+// Shell hooks see the run context through environment variables; function
+// hooks get the full context object, including the check payload.
+function hookEnv(name, context) {
+  const env = {
+    QUALITY_HOOK: name,
+    QUALITY_TARGET: context.target?.key || "",
+    QUALITY_BASE_URL: context.baseUrl || "",
+    QUALITY_CHECKS: (context.checks || []).join(","),
+  };
+  if (context.check) {
+    env.QUALITY_CHECK_ID = context.check.id;
+    env.QUALITY_CHECK_FAILED = context.failed ? "1" : "0";
+  }
+  if (context.runId) {
+    env.QUALITY_RUN_ID = context.runId;
+    env.QUALITY_RUN_DIR = context.runDir;
+    env.QUALITY_RUN_STATUS = context.status;
+  }
+  return env;
+}
+
+/**
+ * Runs the `hooks` from quality.config. A hook that throws or exits non-zero
+ * is logged and recorded in `results` (stored as `hooks` in the dataset); it
+ * never fails the check or the run.
+ */
+export function createHookRunner(
+  hooks = {},
+  {
+    cwd = process.cwd(),
+    quiet = true,
+    logRoot,
+    signal = null,
+    logger = console,
+  } = {},
+) {
+  const results = [];
+  let counter = 0;
+
+  async function runEntry(name, entry, context) {
+    if (typeof entry === "function") {
+      await entry(context);
+      return;
+    }
+    counter += 1;
+    await runCommand(entry, [], {
+      label: `${name} hook`,
+      shell: true,
+      cwd,
+      quiet,
+      logRoot,
+      logName: `hook-${counter}-${name}`,
+      env: hookEnv(name, context),
+      signal,
+    });
+  }
+
+  return {
+    results,
+    has(name) {
+      return Boolean(hooks[name]?.length);
+    },
+    async run(name, context = {}) {
+      for (const entry of hooks[name] || []) {
+        const label = hookLabel(entry);
+        const checkId = context.check?.id || null;
+        const startedAt = Date.now();
+        logger.log(`🪝 ${name}${checkId ? ` (${checkId})` : ""}: ${label}`);
+        try {
+          await runEntry(name, entry, { ...context, hook: name });
+          results.push({
+            hook: name,
+            check: checkId,
+            entry: label,
+            status: "passed",
+            durationMs: Date.now() - startedAt,
+          });
+        } catch (error) {
+          const message = error?.message || String(error);
+          logger.log(`⚠️  ${name} hook failed: ${message}`);
+          results.push({
+            hook: name,
+            check: checkId,
+            entry: label,
+            status: "failed",
+            durationMs: Date.now() - startedAt,
+            error: message,
+          });
+        }
+      }
+    },
+  };
+}
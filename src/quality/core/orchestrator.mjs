@@ -1,5 +1,12 @@
+import { createQualityEvent } from "../common/events.mjs";
 import { orderedSelectedChecks } from "./config.mjs";
 
+const TIMED_OUT = Symbol("timed-out");
+const INTERRUPTED = Symbol("interrupted");
+
+// How long a stopped check gets to wind down after its abort signal fires.
+const ABORT_GRACE_MS = 5000;
+
 export function resolveCheckExecutionPlan({
   selectedChecks,
   qualityConfig,
@@ -17,77 +24,334 @@ export function resolveCheckExecutionPlan({
   }
 
   const plan = [];
+  const checks = qualityConfig?.checks || {};
   for (const id of orderedIds) {
     const handler = byId.get(id);
     if (!handler) continue;
     const run = typeof handler.run === "function" ? handler.run : null;
+    const capabilities = handler.capabilities || null;
     plan.push({
       id,
       name: handler.name || id,
       run,
       enabled: Boolean(handler.enabled),
-      capabilities: handler.capabilities || null,
+      capabilities,
       check: handler.check || null,
+      exclusive:
+        Boolean(capabilities?.exclusive) ||
+        (checks.exclusive || []).includes(id),
+      resources: checks.resources?.[id] || capabilities?.resources || [],
+      timeoutMs: checks.timeoutMs?.[id] || null,
+      retries: checks.retries?.[id] || 0,
     });
   }
   return plan;
 }
 
+function canStart(check, running, concurrency) {
+  if (running.length >= concurrency) return false;
+  if (check.exclusive) return running.length === 0;
+  return running.every(
+    (other) =>
+      !other.exclusive &&
+      !(other.resources || []).some((tag) =>
+        (check.resources || []).includes(tag),
+      ),
+  );
+}
+
+function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * One attempt of a check. With `timeoutMs` or a run-level `signal` the
+ * runner gets an AbortSignal that fires on timeout or interruption (runners
+ * kill their process tree on it); the attempt then settles once the runner
+ * stops or the grace period ends, so a runner that ignores the signal
+ * cannot block the suite. `prepare` (the retry callback) runs first; if it
+ * throws, the attempt fails with its error.
+ */
+async function runAttempt(check, attempt, { abortGraceMs, signal, prepare }) {
+  try {
+    await prepare?.();
+  } catch (error) {
+    return { error };
+  }
+  if (!check.timeoutMs && !signal) {
+    try {
+      return { result: await check.run({ attempt }) };
+    } catch (error) {
+      return { error };
+    }
+  }
+  const controller = new AbortController();
+  const attemptSignal = signal
+    ? AbortSignal.any([signal, controller.signal])
+    : controller.signal;
+  const running = Promise.resolve().then(() =>
+    check.run({ attempt, signal: attemptSignal }),
+  );
+  let timer;
+  let onInterrupt;
+  const stopped = new Promise((resolve) => {
+    if (check.timeoutMs) {
+      timer = setTimeout(() => resolve(TIMED_OUT), check.timeoutMs);
+    }
+    onInterrupt = () => resolve(INTERRUPTED);
+    signal?.addEventListener("abort", onInterrupt, { once: true });
+  });
+  let reason;
+  try {
+    reason = await Promise.race([running, stopped]);
+    if (reason !== TIMED_OUT && reason !== INTERRUPTED) {
+      return { result: reason };
+    }
+  } catch (error) {
+    return signal?.aborted ? { error, interrupted: true } : { error };
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener("abort", onInterrupt);
+  }
+  if (reason === TIMED_OUT) {
+    controller.abort(new Error(`timed out after ${check.timeoutMs}ms`));
+  }
+  await Promise.race([running.catch(() => {}), delay(abortGraceMs)]);
+  return reason === TIMED_OUT
+    ? { error: controller.signal.reason, timedOut: true }
+    : { error: signal.reason, interrupted: true };
+}
+
+/**
+ * Run the planned checks, up to `concurrency` at a time. A check marked
+ * `exclusive` runs alone, and checks sharing a `resources` tag (for example
+ * `cpu-heavy`) never overlap. Checks start in plan order; a later check may
+ * start first when the one ahead of it is blocked by a resource, but never
+ * overtakes a waiting exclusive check. `failures` keeps plan order.
+ *
+ * A check that throws or exceeds its `timeoutMs` is retried up to
+ * `retries` times (a failing result is not retried); `onRetry` runs before
+ * each retry so the previous attempt's artifacts can be set aside, and an
+ * error it throws fails that attempt. Attempt counts and timeouts are
+ * returned per check id in `execution`.
+ *
+ * When `signal` aborts, no further checks start, running ones are stopped,
+ * and the ids of every check that did not finish are returned in
+ * `interrupted`; they count neither as results nor as failures.
+ *
+ * `hooks.beforeCheck(check)` runs before the first attempt;
+ * `hooks.afterCheck(check, outcome)` and, for failed checks,
+ * `hooks.onFailure(check, outcome)` run once the check settles (not when it
+ * was interrupted). A hook that throws is logged and ignored.
+ *
+ * `onEvent` receives a `check.started` event when a check starts and a
+ * `check.finished` event once it settles.
+ */
 export async function runQualityChecks({
   checks = [],
+  concurrency = 1,
   quietMode = false,
   logger = console,
+  onRetry = null,
+  hooks = null,
+  onEvent = null,
+  abortGraceMs = ABORT_GRACE_MS,
+  signal = null,
   buildDataset = null,
   datasetContext = null,
 }) {
-  const failures = [];
+  const failed = new Set();
+  const interrupted = new Set();
   const summaries = {};
   const checkResults = {};
+  const execution = {};
 
-  for (const check of checks) {
-    const { id, name, run, enabled } = check;
-    if (!enabled) {
-      logger.log(`⏭️  ${name} (skipped)`);
-      checkResults[id] = null;
-      continue;
-    }
-    if (typeof run !== "function") {
-      logger.log(`⏭️  ${name} (no runner configured)`);
-      checkResults[id] = null;
-      continue;
+  const callHook = async (hook, check, outcome) => {
+    if (typeof hook !== "function") return;
+    try {
+      await hook({ id: check.id, name: check.name }, outcome);
+    } catch (error) {
+      logger.error(
+        `⚠️  Hook for ${check.name} failed: ${error?.message || error}`,
+      );
     }
+  };
+  const settleHooks = async (check, outcome) => {
+    await callHook(hooks?.afterCheck, check, outcome);
+    if (outcome.failed) await callHook(hooks?.onFailure, check, outcome);
+  };
+
+  const emitFinished = (check, status, startedAt) =>
+    onEvent?.(
+      createQualityEvent("check.finished", {
+        check: check.id,
+        name: check.name,
+        status,
+        failed: status === "failed",
+        ...execution[check.id],
+        summary: summaries[check.id] || "",
+        durationMs: Date.now() - startedAt,
+      }),
+    );
+
+  const runCheck = async (check) => {
+    const { id, name } = check;
+    const maxAttempts = 1 + Math.max(0, check.retries || 0);
+    const startedAt = Date.now();
     logger.log(`➡️  ${name}${quietMode ? " (quiet logging)" : ""}`);
-    try {
-      const result = await run();
-      checkResults[id] = result || null;
-      summaries[id] = result?.summary || "";
-      if (result?.summary) {
-        logger.log(result.summary);
-      } else {
-        logger.log(`✅ ${name} completed`);
+    onEvent?.(createQualityEvent("check.started", { check: id, name }));
+    await callHook(hooks?.beforeCheck, check);
+    let attempt = 0;
+    let outcome;
+    do {
+      attempt += 1;
+      const retry = attempt > 1 ? { id, attempt: attempt - 1 } : null;
+      if (retry) {
+        logger.log(`🔁 ${name}: retry ${retry.attempt}/${maxAttempts - 1}`);
       }
-      if (result?.failed) {
-        failures.push(name);
+      outcome = await runAttempt(check, attempt, {
+        abortGraceMs,
+        signal,
+        prepare: retry && onRetry ? () => onRetry(retry) : null,
+      });
+      if (outcome.timedOut) {
+        logger.error(`⏱️  ${name} timed out after ${check.timeoutMs}ms`);
       }
-    } catch (error) {
-      failures.push(name);
+    } while (outcome.error && !outcome.interrupted && attempt < maxAttempts);
+    execution[id] = { attempts: attempt, timedOut: Boolean(outcome.timedOut) };
+
+    if (outcome.interrupted) {
+      interrupted.add(id);
+      checkResults[id] = null;
+      logger.log(`⏹️  ${name} interrupted`);
+      emitFinished(check, "interrupted", startedAt);
+      return;
+    }
+
+    if (outcome.error) {
+      failed.add(id);
       checkResults[id] = null;
       summaries[id] = "";
-      logger.error(`❌ ${name} crashed: ${error?.message || error}`);
+      if (!outcome.timedOut) {
+        logger.error(
+          `❌ ${name} crashed: ${outcome.error?.message || outcome.error}`,
+        );
+      }
+      emitFinished(check, "failed", startedAt);
+      await settleHooks(check, {
+        failed: true,
+        result: null,
+        error: outcome.error,
+        ...execution[id],
+      });
+      return;
+    }
+    const { result } = outcome;
+    checkResults[id] = result || null;
+    summaries[id] = result?.summary || "";
+    if (result?.summary) {
+      logger.log(result.summary);
+    } else {
+      logger.log(`✅ ${name} completed`);
+    }
+    if (result?.failed) {
+      failed.add(id);
+    }
+    emitFinished(check, result?.failed ? "failed" : "passed", startedAt);
+    await settleHooks(check, {
+      failed: Boolean(result?.failed),
+      result: result || null,
+      error: null,
+      ...execution[id],
+    });
+  };
+
+  const pending = [];
+  for (const check of checks) {
+    if (!check.enabled) {
+      logger.log(`⏭️  ${check.name} (skipped)`);
+      checkResults[check.id] = null;
+    } else if (typeof check.run !== "function") {
+      logger.log(`⏭️  ${check.name} (no runner configured)`);
+      checkResults[check.id] = null;
+    } else {
+      pending.push(check);
     }
   }
 
+  const limit = Math.max(1, Math.floor(concurrency) || 1);
+  const running = [];
+  await new Promise((resolve) => {
+    // Whatever runCheck throws (a retry or event callback, say) fails that
+    // check only; its slot is always released so the run can finish.
+    const startCheck = async (check) => {
+      try {
+        await runCheck(check);
+      } catch (error) {
+        failed.add(check.id);
+        checkResults[check.id] = null;
+        summaries[check.id] = "";
+        execution[check.id] ??= { attempts: 1, timedOut: false };
+        logger.error(`❌ ${check.name} crashed: ${error?.message || error}`);
+      } finally {
+        running.splice(running.indexOf(check), 1);
+        schedule();
+      }
+    };
+    const schedule = () => {
+      if (signal?.aborted && pending.length) {
+        for (const check of pending.splice(0)) {
+          interrupted.add(check.id);
+          checkResults[check.id] = null;
+          logger.log(`⏭️  ${check.name} (not started, run interrupted)`);
+        }
+      }
+      if (!pending.length && !running.length) {
+        resolve();
+        return;
+      }
+      for (let index = 0; index < pending.length;) {
+        const check = pending[index];
+        if (!canStart(check, running, limit)) {
+          if (check.exclusive) break;
+          index += 1;
+          continue;
+        }
+        pending.splice(index, 1);
+        running.push(check);
+        startCheck(check);
+      }
+    };
+    schedule();
+  });
+
+  const failures = checks
+    .filter((check) => failed.has(check.id))
+    .map((check) => check.name);
+  const interruptedIds = checks
+    .filter((check) => interrupted.has(check.id))
+    .map((check) => check.id);
+
   const dataset =
     typeof buildDataset === "function"
       ? await buildDataset({
           checks: checkResults,
           failures,
           summaries,
+          execution,
+          interrupted: interruptedIds,
           context: datasetContext || {},
         })
       : null;
 
-  return { checks: checkResults, failures, summaries, dataset };
+  return {
+    checks: checkResults,
+    failures,
+    summaries,
+    execution,
+    interrupted: interruptedIds,
+    dataset,
+  };
 }
 
 export function buildChecksPlanFromRunners({
@@ -101,10 +365,14 @@ export function buildChecksPlanFromRunners({
       id: entry.id,
       name: entry.name,
       enabled,
-      run: async () => {
+      exclusive: Boolean(entry.exclusive),
+      resources: entry.resources || [],
+      timeoutMs: entry.timeoutMs || null,
+      retries: entry.retries || 0,
+      run: async (context) => {
         const runner = runners[entry.id];
         if (typeof runner !== "function") return null;
-        return runner();
+        return runner(context);
       },
     };
   });
@@ -115,8 +383,13 @@ export async function runPlannedQualityChecks({
   runners = {},
   targetUsesLocalBuild = true,
   selectedChecks = {},
+  concurrency = 1,
   quietMode = false,
   logger = console,
+  onRetry = null,
+  hooks = null,
+  onEvent = null,
+  signal = null,
   buildDataset = null,
   datasetContext = null,
 }) {
@@ -128,8 +401,13 @@ export async function runPlannedQualityChecks({
 
   return runQualityChecks({
     checks,
+    concurrency,
     quietMode,
     logger,
+    onRetry,
+    hooks,
+    onEvent,
+    signal,
     buildDataset,
     datasetContext,
   });
@@ -0,0 +1,128 @@
+import { normalizeFindingUrl } from "./findings.mjs";
+
+// Checks whose page-level reports the HTML view copies or renders to
+// `<checkId>/pages/<name>`.
+const PAGE_REPORT_CHECKS = ["pa11y", "axe", "seo", "links", "jsonld", "vnu"];
+
+// Lighthouse category keys in `metrics[].scores`.
+const LIGHTHOUSE_SCORE_KEYS = [
+  "performance",
+  "accessibility",
+  "bestPractices",
+  "seo",
+  "pwa",
+];
+
+function pageUrlOf(value) {
+  const url = String(value ?? "").trim();
+  return /^(https?:\/\/|\/)/i.test(url) ? url : null;
+}
+
+function emptyCheckEntry() {
+  return {
+    status: "passed",
+    score: null,
+    scores: null,
+    findings: { error: 0, warning: 0, info: 0 },
+    artifacts: [],
+  };
+}
+
+function lighthouseScores(scores) {
+  const picked = Object.fromEntries(
+    LIGHTHOUSE_SCORE_KEYS.filter((key) => Number.isFinite(scores?.[key])).map(
+      (key) => [key, scores[key]],
+    ),
+  );
+  const values = Object.values(picked);
+  return values.length
+    ? { score: Math.min(...values), scores: picked }
+    : { score: null, scores: null };
+}
+
+/**
+ * Pages of a check's payload with what the check knows about them beyond
+ * its findings: Lighthouse scores, execution failures and report files.
+ */
+function checkPages(checkId, payload) {
+  if (checkId === "lighthouse") {
+    const metrics = Array.isArray(payload?.metrics) ? payload.metrics : [];
+    return metrics
+      .filter((item) => pageUrlOf(item?.url))
+      .map((item) => ({
+        url: item.url,
+        ...lighthouseScores(item.scores),
+        failed: false,
+        artifact: item.htmlReport
+          ? {
+              label: "Lighthouse report",
+              path: `lighthouse/reports/${item.htmlReport}`,
+            }
+          : null,
+      }));
+  }
+  if (!PAGE_REPORT_CHECKS.includes(checkId)) return [];
+  const summaries = Array.isArray(payload?.meta?.pageSummaries)
+    ? payload.meta.pageSummaries
+    : [];
+  return summaries
+    .map((page) => ({ page, url: pageUrlOf(page?.url || page?.label) }))
+    .filter(({ url }) => url)
+    .map(({ page, url }) => ({
+      url,
+      score: null,
+      scores: null,
+      failed: String(page?.status || "").toLowerCase() === "failed",
+      artifact: page?.name
+        ? { label: "Page report", path: `${checkId}/pages/${page.name}` }
+        : null,
+    }));
+}
+
+/**
+ * Page-centric view of a run's check payloads, keyed by normalized page
+ * path (see `normalizeFindingUrl`). Each entry holds the first full `url`
+ * seen and, per check that reported on the page, its `status` (`failed`,
+ * `warn` or `passed`), Lighthouse `score` (lowest category) and `scores`,
+ * `findings` counts by severity and `artifacts` (paths relative to the
+ * run's HTML view). Site-wide findings without a page are left out.
+ */
+export function buildPagesIndex(checks = {}) {
+  const pages = {};
+  const entryFor = (url, checkId) => {
+    const key = normalizeFindingUrl(url);
+    pages[key] ??= { url, checks: {} };
+    pages[key].checks[checkId] ??= emptyCheckEntry();
+    return pages[key].checks[checkId];
+  };
+
+  for (const [checkId, payload] of Object.entries(checks || {})) {
+    for (const page of checkPages(checkId, payload)) {
+      const entry = entryFor(page.url, checkId);
+      entry.score = page.score;
+      entry.scores = page.scores;
+      if (page.failed) entry.status = "failed";
+      if (page.artifact) entry.artifacts.push(page.artifact);
+    }
+    const findings = Array.isArray(payload?.findings) ? payload.findings : [];
+    for (const finding of findings) {
+      if (!finding?.pageUrl) continue;
+      const entry = entryFor(finding.pageUrl, checkId);
+      if (finding.severity in entry.findings) {
+        entry.findings[finding.severity] += 1;
+      }
+    }
+  }
+
+  for (const page of Object.values(pages)) {
+    for (const entry of Object.values(page.checks)) {
+      if (entry.findings.error > 0) entry.status = "failed";
+      else if (entry.status !== "failed" && entry.findings.warning > 0) {
+        entry.status = "warn";
+      }
+    }
+  }
+  return Object.fromEntries(
+    Object.entries(pages).sort(([a], [b]) => a.localeCompare(b)),
+  );
+}
@@ -0,0 +1,152 @@
+import fs from "node:fs";
+import path from "node:path";
+import { createRequire } from "node:module";
+import { pathToFileURL } from "node:url";
+import { QualityConfigError } from "./errors.mjs";
+import { findingsFromIssues, makeFinding } from "./findings.mjs";
+import { defineQualityCheck } from "./quality-check.mjs";
+
+const PLUGIN_ID_PATTERN = /^[a-z][a-z0-9-]*$/;
+
+// Directories under reports/ that belong to the suite and the run store,
+// and names the HTML view writes next to `<checkId>.html` (its summary is
+// `index.html`).
+const RESERVED_IDS = [
+  "index",
+  "suite",
+  "logs",
+  "attempts",
+  "pages",
+  "runs",
+  "views",
+  "latest",
+];
+
+function resolvePluginPath(specifier, cwd) {
+  if (specifier.startsWith(".") || path.isAbsolute(specifier)) {
+    return path.resolve(cwd, specifier);
+  }
+  return createRequire(path.join(cwd, "package.json")).resolve(specifier);
+}
+
+async function importPlugin(specifier, cwd) {
+  try {
+    const module = await import(
+      pathToFileURL(resolvePluginPath(specifier, cwd)).href
+    );
+    return module.default ?? module.checks ?? module.check;
+  } catch (error) {
+    throw new QualityConfigError(
+      `Failed to load plugin ${specifier}: ${error?.message || String(error)}`,
+      { cause: error },
+    );
+  }
+}
+
+function definePluginCheck(candidate, source) {
+  let check;
+  try {
+    check = defineQualityCheck(candidate);
+  } catch (error) {
+    throw new QualityConfigError(
+      `Invalid check in plugin ${source}: ${error.message}`,
+      { cause: error },
+    );
+  }
+  if (!PLUGIN_ID_PATTERN.test(check.id)) {
+    throw new QualityConfigError(
+      `Plugin check id "${check.id}" in ${source} must be lowercase letters, digits and dashes.`,
+    );
+  }
+  if (check.name !== undefined && typeof check.name !== "string") {
+    throw new QualityConfigError(
+      `Plugin check "${check.id}" in ${source} has a non-string name.`,
+    );
+  }
+  return Object.freeze({ ...check, name: check.name || check.id, source });
+}
+
+/**
+ * Load the checks listed in `quality.config` `plugins`. Entries are module
+ * paths (relative to `cwd`), package names, or check objects; a module
+ * exports one check or an array as `default`, `checks` or `check`.
+ *
+ * @returns {Promise<Array<import("./quality-check.mjs").QualityCheck & { name: string, source: string }>>}
+ */
+export async function loadQualityPlugins(
+  entries,
+  { cwd = process.cwd(), reservedIds = [] } = {},
+) {
+  if (entries === undefined || entries === null) return [];
+  if (!Array.isArray(entries)) {
+    throw new QualityConfigError(
+      "plugins must be an array of module paths or check objects.",
+    );
+  }
+
+  const owners = new Map(
+    [...reservedIds, ...RESERVED_IDS].map((id) => [id, "the toolkit"]),
+  );
+  const checks = [];
+  for (const entry of entries) {
+    const source = typeof entry === "string" ? entry : "quality.config";
+    const exported =
+      typeof entry === "string" ? await importPlugin(entry, cwd) : entry;
+    const candidates = Array.isArray(exported) ? exported : [exported];
+    if (!candidates.length || !candidates[0]) {
+      throw new QualityConfigError(
+        `Plugin ${source} does not export a quality check (default, checks or check).`,
+      );
+    }
+    for (const candidate of candidates) {
+      const check = definePluginCheck(candidate, source);
+      if (owners.has(check.id)) {
+        throw new QualityConfigError(
+          `Plugin check id "${check.id}" in ${source} is already used by ${owners.get(check.id)}.`,
+        );
+      }
+      owners.set(check.id, source);
+      checks.push(check);
+    }
+  }
+  return checks;
+}
+
+function asObject(value) {
+  return value && typeof value === "object" && !Array.isArray(value)
+    ? value
+    : {};
+}
+
+/**
+ * Run a plugin check through collect → normalize → summarize and coerce the
+ * result into the canonical `{ selected, failed, stats, issues, meta,
+ * findings }` payload stored in the dataset. `findings` returned by
+ * `normalize` are completed with the shared fields; without them each
+ * issue becomes a finding.
+ */
+export async function runPluginCheck(check, context) {
+  fs.mkdirSync(context.reportDir, { recursive: true });
+  const raw = await check.collect(context);
+  const normalized = await check.normalize(raw, { ...context, selected: true });
+  const summarized = await check.summarize(normalized, context);
+  const failed = Boolean(summarized?.failed ?? normalized?.failed);
+  const issues = Array.isArray(normalized?.issues) ? normalized.issues : [];
+  return {
+    summary:
+      typeof summarized === "string" ? summarized : summarized?.summary || "",
+    failed,
+    payload: {
+      selected: true,
+      failed,
+      stats: asObject(normalized?.stats),
+      issues,
+      meta: asObject(normalized?.meta),
+      findings: Array.isArray(normalized?.findings)
+        ? normalized.findings.map((finding) =>
+            makeFinding(check.id, asObject(finding)),
+          )
+        : findingsFromIssues(check.id, issues),
+    },
+  };
+}
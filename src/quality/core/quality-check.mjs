@@ -4,7 +4,7 @@
  * @property {(context: object) => Promise<object>} collect Produces raw check artifacts.
  * @property {(raw: object, context: object) => Promise<object>} normalize Maps raw output to canonical dataset payload.
  * @property {(normalized: object, context: object) => Promise<object>} summarize Produces compact summary for CLI/index usage.
- * @property {Object<string, unknown>} [capabilities] Optional capability flags used by orchestrator selection logic.
+ * @property {Object<string, unknown>} [capabilities] Optional capability flags used by orchestrator selection logic (`supportsRemote`, `supportsLocalBuild`), scheduling (`exclusive`, `resources`), the browser pool (`usesBrowser`) and the page cache (`usesPageCache`).
  */
 
 export function defineQualityCheck(check) {
@@ -0,0 +1,141 @@
+import path from "node:path";
+import { readRun } from "../store/index.mjs";
+import { safeReadJson } from "../store/helpers.mjs";
+import { selectedCheckIds } from "./dataset.mjs";
+import { buildPagesIndex } from "./pages.mjs";
+import { QualityRunError } from "./errors.mjs";
+
+function isJsonSafe(value) {
+  if (value === null) return true;
+  if (["string", "number", "boolean"].includes(typeof value)) return true;
+  if (Array.isArray(value)) return value.every(isJsonSafe);
+  if (typeof value === "object" && value.constructor === Object) {
+    return Object.values(value).every(isJsonSafe);
+  }
+  return false;
+}
+
+/**
+ * The config a run can be resumed with. Configs holding inline plugin
+ * objects (only possible in quality.config.mjs) cannot be stored, so
+ * `raw` is null and a resume reloads quality.config from disk.
+ */
+export function runConfigSnapshot(qualityConfig, cwd) {
+  return {
+    path: qualityConfig.path ? path.relative(cwd, qualityConfig.path) : null,
+    raw: isJsonSafe(qualityConfig.raw) ? qualityConfig.raw : null,
+  };
+}
+
+/**
+ * Read what a resume needs from a stored run: its meta, dataset and the
+ * URL lists copied to `raw/suite/`.
+ */
+export function readResumableRun(runId, cwd) {
+  const run = readRun(runId, cwd);
+  if (!run?.meta || !run?.dataset) {
+    throw new QualityRunError(
+      `Run ${runId} not found or unreadable in ${path.join("reports", "runs")}.`,
+    );
+  }
+  const selectedUrls = safeReadJson(
+    path.join(run.runDir, "raw", "suite", "urls.json"),
+  );
+  if (!Array.isArray(selectedUrls) || !selectedUrls.length) {
+    throw new QualityRunError(
+      `Run ${runId} has no stored URL list (raw/suite/urls.json); start a new run instead.`,
+    );
+  }
+  const allUrls = safeReadJson(
+    path.join(run.runDir, "raw", "suite", "suite", "sitemap-urls.json"),
+  );
+  return {
+    ...run,
+    urls: {
+      selectedUrls,
+      allUrls: Array.isArray(allUrls) ? allUrls : selectedUrls,
+    },
+  };
+}
+
+/**
+ * The run's target as it was resolved, with `auth` and per-target `checks`
+ * picked up again from the config's `targets` entry of the same key.
+ */
+export function resumedTarget(run, configTargets = {}) {
+  const stored = run.dataset.target || {};
+  const configured = configTargets[stored.key] || {};
+  return {
+    ...configured,
+    key: stored.key || "custom",
+    name: stored.name || stored.key || "Resumed target",
+    baseUrl: stored.baseUrl,
+    usesLocalBuild: Boolean(stored.usesLocalBuild),
+  };
+}
+
+/**
+ * Check ids to re-run. Explicit `checks` win; `onlyFailed` picks failed
+ * and unfinished checks; otherwise only the checks an interrupted run did
+ * not finish.
+ */
+export function resumeCheckIds(run, { checks, onlyFailed = false } = {}) {
+  if (Array.isArray(checks) && checks.length) return checks;
+  const unfinished = run.meta.interrupted || [];
+  if (!onlyFailed) return unfinished;
+  const failed = (run.dataset.selectedChecks || []).filter(
+    (id) => run.dataset.checks?.[id]?.failed,
+  );
+  return [...new Set([...failed, ...unfinished])];
+}
+
+/**
+ * Merge the payloads of re-run checks into the stored dataset. A check
+ * that finished again replaces its payload and failure entry; one that was
+ * interrupted keeps its earlier result.
+ */
+export function mergeResumedDataset(
+  previous,
+  rerun,
+  { unfinished = [], checkName = (id) => id } = {},
+) {
+  const replaced = Object.keys(rerun.checks || {});
+  const checks = { ...previous.checks, ...rerun.checks };
+  const replacedNames = new Set(replaced.map(checkName));
+  const selection = Object.fromEntries(
+    [...(previous.selectedChecks || []), ...replaced].map((id) => [id, true]),
+  );
+  return {
+    ...previous,
+    status:
+      rerun.status === "interrupted" || unfinished.length
+        ? "interrupted"
+        : "completed",
+    selectedChecks: selectedCheckIds(selection),
+    failures: [
+      ...(previous.failures || []).filter((name) => !replacedNames.has(name)),
+      ...(rerun.failures || []),
+    ],
+    checks,
+    pages: buildPagesIndex(checks),
+  };
+}
+
+/**
+ * Meta history: one entry per run or resume. Runs written before history
+ * existed get an entry rebuilt from their meta.
+ */
+export function appendRunHistory(meta, entry) {
+  const history = Array.isArray(meta?.history)
+    ? meta.history
+    : [
+        {
+          at: meta?.createdAt || null,
+          mode: "run",
+          checks: meta?.checks || [],
+          failures: meta?.failures || [],
+          status: meta?.status || "completed",
+        },
+      ];
+  return [...history, entry];
+}
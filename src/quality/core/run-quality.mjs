@@ -0,0 +1,904 @@
+import fs from "node:fs";
+import path from "node:path";
+import {
+  generateRunId,
+  updateRunSnapshot,
+  writeRunDataset,
+  writeRunSnapshot,
+} from "../store/index.mjs";
+import { registerDefaultQualityChecks } from "../checks/index.mjs";
+import { preferIpv4Loopback } from "../common/url.mjs";
+import { createQualityEvent } from "../common/events.mjs";
+import { startBrowserPool } from "../common/browser-pool.mjs";
+import { createPageCache } from "../common/page-cache.mjs";
+import { discoverSiteUrls } from "../common/discovery.mjs";
+import {
+  killProcessTree,
+  runCommand,
+  startStaticServer,
+  waitForServer,
+} from "../common/process.mjs";
+import { renderHtmlRun } from "../renderers/html/render-run.mjs";
+import {
+  CHECK_IDS,
+  OPTIONAL_BY_DEFAULT_CHECKS,
+  applyQualityConfigToSelection,
+  applyQualityProfile,
+  checkDisplayName,
+  loadLayeredQualityConfig,
+  qualityCheckIds,
+  resolveLayeredQualityConfig,
+} from "./config.mjs";
+import {
+  assignDatasetRunId,
+  buildCanonicalDataset,
+  buildCheckPayload,
+} from "./dataset.mjs";
+import {
+  QualityBuildError,
+  QualityConfigError,
+  QualityInterruptedError,
+  QualityRunError,
+  QualityServerError,
+  QualityTargetError,
+  QualityUrlError,
+} from "./errors.mjs";
+import {
+  resolveCheckExecutionPlan,
+  runPlannedQualityChecks,
+} from "./orchestrator.mjs";
+import {
+  applyFindingHistory,
+  datasetFindingBaselines,
+  readFindingBaselines,
+} from "./finding-history.mjs";
+import { evaluateQualityGate, formatGateResult } from "./gate.mjs";
+import { formatDatasetIssues } from "./run-schema.mjs";
+import { createHookRunner } from "./hooks.mjs";
+import {
+  appendRunHistory,
+  mergeResumedDataset,
+  readResumableRun,
+  resumeCheckIds,
+  resumedTarget,
+  runConfigSnapshot,
+} from "./resume.mjs";
+import { createCheckRunners } from "./runners.mjs";
+import {
+  AUTH_UNSUPPORTED_REASON,
+  buildCheckAvailability,
+  loadProjectEnvValues,
+  resolveTarget,
+  targetAuthHeaders,
+} from "./targets.mjs";
+
+const DEFAULT_SITE_PORT = 4321;
+
+const REPORT_TARGETS = [
+  "index.html",
+  "urls.json",
+  "suite",
+  "logs",
+  "attempts",
+  "pages",
+];
+
+export function ensureCleanReports(cwd = process.cwd(), checkIds = CHECK_IDS) {
+  const reportRoot = path.join(cwd, "reports");
+  const legacy = [".lighthouseci", "lhci-report", "pa11y-report", "seo-report"];
+  for (const dir of legacy) {
+    const full = path.join(cwd, dir);
+    if (fs.existsSync(full)) {
+      fs.rmSync(full, { recursive: true, force: true });
+    }
+  }
+  fs.mkdirSync(reportRoot, { recursive: true });
+  for (const target of [...REPORT_TARGETS, ...checkIds]) {
+    const full = path.join(reportRoot, target);
+    if (fs.existsSync(full)) {
+      fs.rmSync(full, { recursive: true, force: true });
+    }
+  }
+}
+
+// Before a retry, the failed attempt's report folder and log move to
+// reports/attempts/<id>/<n>/ so the snapshot keeps them under raw/<id>/.
+function archiveAttempt({ reportRoot, logRoot }, { id, attempt }) {
+  const attemptDir = path.join(reportRoot, "attempts", id, String(attempt));
+  fs.mkdirSync(attemptDir, { recursive: true });
+  const moves = [
+    [path.join(reportRoot, id), path.join(attemptDir, "report")],
+    [path.join(logRoot, `${id}.log`), path.join(attemptDir, `${id}.log`)],
+  ];
+  for (const [from, to] of moves) {
+    if (fs.existsSync(from)) fs.renameSync(from, to);
+  }
+}
+
+export function collectRawSources(reportRoot, checkIds = CHECK_IDS) {
+  const direct = [
+    {
+      checkId: "suite",
+      path: path.join(reportRoot, "urls.json"),
+      name: "urls.json",
+    },
+    { checkId: "suite", path: path.join(reportRoot, "suite"), name: "suite" },
+    { checkId: "suite", path: path.join(reportRoot, "logs"), name: "logs" },
+    { checkId: "pages", path: path.join(reportRoot, "pages"), name: "." },
+    {
+      checkId: "lighthouse",
+      path: path.join(reportRoot, "lighthouse"),
+      name: ".",
+    },
+    ...checkIds
+      .filter((id) => id !== "lighthouse")
+      .map((id) => ({
+        checkId: id,
+        path: path.join(reportRoot, id),
+        name: id,
+      })),
+    ...checkIds.map((id) => ({
+      checkId: id,
+      path: path.join(reportRoot, "attempts", id),
+      name: "attempts",
+    })),
+  ];
+  return direct.filter((entry) => fs.existsSync(entry.path));
+}
+
+function writeUrlList(reportRoot, urls, relativePath = "urls.json") {
+  const file = path.join(reportRoot, relativePath);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(urls, null, 2), "utf8");
+  return file;
+}
+
+function assertAuthSupported(ids, availability) {
+  const blocked = ids.filter(
+    (id) => availability?.[id]?.reason === AUTH_UNSUPPORTED_REASON,
+  );
+  if (blocked.length) {
+    throw new QualityTargetError(
+      `Check(s) ${blocked.join(", ")} cannot send the target's auth headers to its origin only; deselect them for this target.`,
+    );
+  }
+}
+
+function toCheckSelection(checks, availability, checkIds) {
+  if (checks && !Array.isArray(checks) && typeof checks === "object") {
+    const ids = checkIds.filter((id) => Boolean(checks[id]));
+    assertAuthSupported(ids, availability);
+    return selectionFromIds(ids, availability, checkIds);
+  }
+  if (Array.isArray(checks)) {
+    const unknown = checks.filter((id) => !checkIds.includes(id));
+    if (unknown.length) {
+      throw new QualityConfigError(
+        `Unknown check id(s): ${unknown.join(", ")}. Expected one of: ${checkIds.join(", ")}.`,
+      );
+    }
+    assertAuthSupported(checks, availability);
+    return selectionFromIds(checks, availability, checkIds);
+  }
+  return selectionFromIds(
+    checkIds.filter((id) => !OPTIONAL_BY_DEFAULT_CHECKS.has(id)),
+    availability,
+    checkIds,
+  );
+}
+
+function selectionFromIds(ids, availability, checkIds) {
+  const selection = {};
+  for (const id of checkIds) {
+    selection[id] = ids.includes(id) && availability?.[id]?.enabled !== false;
+  }
+  return selection;
+}
+
+function logGate(gate, logger) {
+  if (gate.status === "skipped") return;
+  if (gate.status === "passed") {
+    logger.log(`🚦 Quality gate passed (${gate.rules.length} rules).`);
+    return;
+  }
+  logger.log(`🚦 Quality gate failed (${gate.failed}/${gate.rules.length}):`);
+  for (const result of gate.rules) {
+    if (result.status === "failed" || result.status === "missing") {
+      logger.log(`   - ${formatGateResult(result)}`);
+    }
+  }
+}
+
+// A resumed run reuses the raw config stored in its meta unless `config`
+// is passed explicitly.
+// Resolved once per run, before the target is known; the target's profile
+// is applied to the result with applyQualityProfile.
+async function resolveConfig(config, cwd, snapshot = null) {
+  if ((config === undefined || config === null) && snapshot?.raw) {
+    return resolveLayeredQualityConfig(snapshot.raw, {
+      cwd,
+      path: snapshot.path ? path.resolve(cwd, snapshot.path) : null,
+    });
+  }
+  if (config === undefined || config === null) {
+    return loadLayeredQualityConfig(cwd);
+  }
+  if (typeof config !== "object") {
+    throw new QualityConfigError("config must be an object when provided.");
+  }
+  return resolveLayeredQualityConfig(config, { cwd });
+}
+
+async function resolveUrls(urls, context) {
+  if (Array.isArray(urls)) {
+    return { allUrls: urls, selectedUrls: urls };
+  }
+  context.logger.log("🔎 Discovering site URLs from sitemap...");
+  const discovered = await discoverSiteUrls(context);
+  if (!discovered.length) {
+    throw new QualityUrlError(
+      "No URLs found to test (sitemap empty and crawl produced none).",
+    );
+  }
+  context.logger.log(`   Found ${discovered.length} pages to test`);
+  discovered.forEach((u) => context.logger.log("  -", u));
+  const selected =
+    typeof urls === "function" ? await urls(discovered) : discovered;
+  return { allUrls: discovered, selectedUrls: selected || [] };
+}
+
+function localSitePort(baseUrl) {
+  try {
+    const port = Number(new URL(baseUrl).port || 0);
+    return port > 0 ? port : DEFAULT_SITE_PORT;
+  } catch {
+    return DEFAULT_SITE_PORT;
+  }
+}
+
+function throwIfInterrupted(signal) {
+  if (signal?.aborted) {
+    throw new QualityInterruptedError(
+      "Run interrupted before any check started.",
+      { cause: signal.reason },
+    );
+  }
+}
+
+async function startLocalSite({
+  cwd,
+  baseUrl,
+  quiet,
+  logRoot,
+  logger,
+  signal,
+}) {
+  logger.log("🏗️  Building site...");
+  try {
+    await runCommand("npm", ["run", "build"], {
+      label: "Build site",
+      logName: "build",
+      logRoot,
+      quiet,
+      cwd,
+      signal: signal || undefined,
+    });
+  } catch (err) {
+    throwIfInterrupted(signal);
+    throw new QualityBuildError(
+      err?.logPath
+        ? `Build failed (see ${err.logPath})`
+        : `Build failed: ${err?.message || err}`,
+      { logPath: err?.logPath || null, tail: err?.tail || "", cause: err },
+    );
+  }
+
+  logger.log("🚀 Starting local server for build output...");
+  const port = localSitePort(baseUrl);
+  const server = startStaticServer(path.join(cwd, "build"), port, "site", {
+    quiet,
+    logRoot,
+    logName: "site-serve",
+    logger,
+  });
+  try {
+    await waitForServer(baseUrl);
+  } catch (err) {
+    killProcessTree(server);
+    throw new QualityServerError(
+      `Local site server did not become ready at ${baseUrl}.`,
+      { cause: err },
+    );
+  }
+  if (server.exitCode !== null) {
+    const logHint = server.logFile ? ` (see ${server.logFile})` : "";
+    throw new QualityServerError(
+      `Failed to start local site server on ${baseUrl}. Port ${port} may already be in use${logHint}.`,
+    );
+  }
+  logger.log(`✅ Site server ready at ${baseUrl}`);
+  return server;
+}
+
+/**
+ * One pool of headless browsers for the checks that use one, sized to how
+ * many of them can run at once. Without a pool (disabled, or Chromium
+ * failed to start) those checks launch their own browser.
+ */
+async function startRunBrowserPool({ plan, browserPool, parallel, logger }) {
+  const browserChecks = plan.filter(
+    (entry) => entry.enabled && entry.capabilities?.usesBrowser,
+  );
+  if (!browserPool.enabled || !browserChecks.length) return null;
+  try {
+    return await startBrowserPool({
+      size: Math.min(browserPool.size, browserChecks.length, parallel),
+      logger,
+    });
+  } catch (error) {
+    logger.log(
+      `⚠️  Browser pool unavailable (${error?.message || error}); checks will launch their own browser.`,
+    );
+    return null;
+  }
+}
+
+/**
+ * Runs the quality suite in-process and returns the persisted run.
+ *
+ * Check outcomes never throw: failing checks are reported through
+ * `failures`, and the `gate` rules from quality.config are evaluated into
+ * `gate` (also stored in the dataset). Setup problems (config, target, build, server, URL discovery)
+ * throw a `QualityError` subclass.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.cwd] Consumer project root. Defaults to `process.cwd()`.
+ * @param {string|Object} [options.target] Target key (`development`, `staging`, `production` or a `targets` key from quality.config) or a resolved target object.
+ * @param {string} [options.baseUrl] Explicit remote base URL; overrides `target`.
+ * @param {string[]|Object<string, boolean>} [options.checks] Check ids to run. Defaults to every available non-optional check.
+ * @param {string[]|((discovered: string[]) => string[]|Promise<string[]>)} [options.urls] URLs to test, or a selector applied to discovered URLs.
+ * @param {Object} [options.config] Raw `quality.config` object. Loaded from `cwd` when omitted. `extends` and `plugins` entries resolve against `cwd`; the `profiles` entry for the resolved target is merged in.
+ * @param {number} [options.concurrency] Checks to run side by side. Defaults to `concurrency` from quality.config, or 1.
+ * @param {boolean} [options.quiet] Capture check output into `reports/logs` instead of streaming it.
+ * @param {boolean} [options.render] Render the HTML view after the snapshot is written.
+ * @param {string} [options.formMigrationMode] `prompt`, `yes` or `no` for legacy form migration.
+ * @param {(event: object) => void} [options.onEvent] Receives the run's progress events (`run.started` … `run.finished`, see README).
+ * @param {Object} [options.env] Environment used to resolve target URLs.
+ * @param {AbortSignal} [options.signal] Interrupts the run: running checks are stopped and a snapshot with `status: "interrupted"` keeps the checks that finished. Aborting before any check starts throws `QualityInterruptedError`.
+ * @param {string} [options.resume] Run id to re-run checks into. The run's target, URL list and config are reused; `checks` (or `onlyFailed`) picks what re-runs, defaulting to the checks an interrupted run did not finish.
+ * @param {boolean} [options.onlyFailed] With `resume`, re-run the failed and unfinished checks.
+ * @param {boolean} [options.liveFetch] Skip the page cache: checks fetch pages themselves.
+ * @param {Console} [options.logger]
+ * @returns {Promise<{ runId: string, runDir: string, status: "completed"|"interrupted", dataset: object, failures: string[], gate: { status: string, failed: number, rules: object[] }, summaries: Object<string, string>, target: object, baseUrl: string, urls: string[], viewDir: string|null }>}
+ */
+export async function runQuality({
+  cwd = process.cwd(),
+  target,
+  baseUrl: explicitBaseUrl,
+  checks,
+  urls,
+  config,
+  concurrency,
+  quiet = true,
+  render = true,
+  formMigrationMode = "prompt",
+  onEvent = null,
+  env = process.env,
+  signal = null,
+  resume = null,
+  onlyFailed = false,
+  liveFetch = false,
+  logger = console,
+} = {}) {
+  const startedAt = Date.now();
+  const reportRoot = path.join(cwd, "reports");
+  const logRoot = path.join(reportRoot, "logs");
+  const envValues = loadProjectEnvValues(cwd);
+  const resumeRun = resume ? readResumableRun(resume, cwd) : null;
+  const storedConfig = resumeRun?.meta.config || null;
+  const layeredConfig = await resolveConfig(config, cwd, storedConfig);
+  const baseConfig = applyQualityProfile(layeredConfig);
+  const selectedTarget = resumeRun
+    ? resumedTarget(resumeRun, baseConfig.targets)
+    : resolveTarget({
+        target,
+        baseUrl: explicitBaseUrl,
+        envValues,
+        env,
+        targets: baseConfig.targets,
+      });
+  const qualityConfig = applyQualityProfile(layeredConfig, selectedTarget.key);
+  const authHeaders = targetAuthHeaders(selectedTarget, { envValues, env });
+  const registeredChecks = [
+    ...registerDefaultQualityChecks(),
+    ...qualityConfig.plugins,
+  ];
+  const checkIds = qualityCheckIds(qualityConfig);
+  const availability = buildCheckAvailability(
+    selectedTarget,
+    qualityConfig.plugins,
+  );
+  const rerunIds = resumeRun
+    ? resumeCheckIds(resumeRun, { checks, onlyFailed })
+    : null;
+  if (rerunIds && !rerunIds.length) {
+    throw new QualityRunError(
+      `Run ${resume} has no ${onlyFailed ? "failed or unfinished" : "unfinished"} checks to re-run; pass checks to re-run them anyway.`,
+    );
+  }
+  // A resume runs exactly the requested checks; checks.enabled would
+  // otherwise re-select the whole configured suite.
+  const selectedChecks = resumeRun
+    ? toCheckSelection(rerunIds, availability, checkIds)
+    : applyQualityConfigToSelection(
+        toCheckSelection(checks, availability, checkIds),
+        qualityConfig,
+        availability,
+      );
+  const baseUrl = selectedTarget.usesLocalBuild
+    ? preferIpv4Loopback(selectedTarget.baseUrl)
+    : selectedTarget.baseUrl;
+
+  const plan = resolveCheckExecutionPlan({
+    selectedChecks,
+    qualityConfig,
+    registeredChecks: registeredChecks.map((check) => ({
+      ...check,
+      name: checkDisplayName(check.id, qualityConfig),
+      enabled: Boolean(selectedChecks[check.id]),
+    })),
+  });
+
+  const selectedLabel = plan.length
+    ? plan.map((entry) => entry.id).join(", ")
+    : "none";
+  if (resumeRun) {
+    logger.log(`🔁 Resuming run ${resume}`);
+  }
+  logger.log(`🧪 Selected: ${selectedLabel}`);
+  logger.log(`🌐 Target: ${selectedTarget.name}`);
+  logger.log(`🔗 Base URL: ${baseUrl}`);
+  if (qualityConfig.path) {
+    logger.log(`⚙️  Quality config loaded: ${qualityConfig.path}`);
+  }
+  if (qualityConfig.extends.length) {
+    logger.log(`🧩 Config extends: ${qualityConfig.extends.join(", ")}`);
+  }
+  if (qualityConfig.profile) {
+    logger.log(`🎛️  Config profile applied: ${qualityConfig.profile}`);
+  }
+  const parallel = Math.min(
+    Number.isInteger(concurrency) && concurrency > 0
+      ? concurrency
+      : qualityConfig.concurrency,
+    Math.max(plan.length, 1),
+  );
+  if (parallel > 1) {
+    logger.log(`⚡ Running up to ${parallel} checks in parallel`);
+  }
+  const unavailableChecks = Object.entries(availability)
+    .filter(([, rule]) => rule?.enabled === false)
+    .map(([key, rule]) => {
+      const name = checkDisplayName(key, qualityConfig);
+      return `${name}${rule?.reason ? ` (${rule.reason})` : ""}`;
+    });
+  if (unavailableChecks.length) {
+    logger.log(
+      `ℹ️  Unavailable for this target: ${unavailableChecks.join("; ")}`,
+    );
+  }
+
+  logger.log("🧹 Cleaning previous reports...");
+  ensureCleanReports(cwd, rerunIds || checkIds);
+
+  // HTML-reading checks share one fetch of each page. A resume reads the
+  // pages stored with the run.
+  const usesPageCache =
+    !liveFetch &&
+    qualityConfig.pageCache.enabled &&
+    plan.some((entry) => entry.enabled && entry.capabilities?.usesPageCache);
+  const storedPagesDir = resumeRun
+    ? path.join(resumeRun.runDir, "raw", "pages")
+    : null;
+  const pageCache =
+    usesPageCache && !resumeRun
+      ? createPageCache({
+          dir: path.join(reportRoot, "pages"),
+          headers: authHeaders,
+        })
+      : null;
+  const pageCacheDir =
+    usesPageCache && storedPagesDir && fs.existsSync(storedPagesDir)
+      ? storedPagesDir
+      : pageCache?.dir || null;
+
+  let siteServer = null;
+  let browserPool = null;
+  try {
+    if (selectedTarget.usesLocalBuild) {
+      siteServer = await startLocalSite({
+        cwd,
+        baseUrl,
+        quiet,
+        logRoot,
+        logger,
+        signal,
+      });
+    } else {
+      logger.log("🌍 Remote target selected: skipping local build/server.");
+      try {
+        await waitForServer(baseUrl, { headers: authHeaders });
+      } catch (err) {
+        throw new QualityServerError(
+          `Remote target not reachable at ${baseUrl}.`,
+          { cause: err },
+        );
+      }
+      logger.log(`✅ Remote target reachable at ${baseUrl}`);
+    }
+
+    const { allUrls, selectedUrls } = resumeRun
+      ? resumeRun.urls
+      : await resolveUrls(urls, {
+          cwd,
+          baseUrl,
+          usesLocalBuild: selectedTarget.usesLocalBuild,
+          logger,
+          headers: authHeaders,
+          pageCache,
+        });
+    if (resumeRun) {
+      logger.log(`🔗 Reusing ${selectedUrls.length} URLs from run ${resume}`);
+    }
+    if (!selectedUrls.length) {
+      throw new QualityUrlError("No URLs selected for testing.");
+    }
+    throwIfInterrupted(signal);
+
+    const allUrlsFile = writeUrlList(
+      reportRoot,
+      allUrls,
+      path.join("suite", "sitemap-urls.json"),
+    );
+    const urlsFile = writeUrlList(reportRoot, selectedUrls);
+    if (pageCache) {
+      logger.log(
+        `📥 Fetching ${selectedUrls.length} pages into the page cache...`,
+      );
+      const cached = await pageCache.fill(selectedUrls, { signal });
+      logger.log(
+        `✅ Page cache ready: ${cached.pages} pages (${cached.fetched} fetched${cached.failed ? `, ${cached.failed} failed` : ""})`,
+      );
+      throwIfInterrupted(signal);
+    }
+
+    browserPool = await startRunBrowserPool({
+      plan,
+      browserPool: qualityConfig.browserPool,
+      parallel,
+      logger,
+    });
+    const runners = createCheckRunners({
+      cwd,
+      reportRoot,
+      logRoot,
+      baseUrl,
+      urlsFile,
+      allUrlsFile,
+      selectedTarget,
+      quiet,
+      formMigrationMode,
+      qualityConfig,
+      authHeaders,
+      prefixOutput: parallel > 1,
+      onEvent,
+      browserPool,
+      pageCacheDir,
+      logger,
+    });
+
+    const hookRunner = createHookRunner(qualityConfig.hooks, {
+      cwd,
+      quiet,
+      logRoot,
+      signal,
+      logger,
+    });
+    const hookContext = {
+      cwd,
+      target: selectedTarget,
+      baseUrl,
+      urls: selectedUrls,
+      checks: plan.map((entry) => entry.id),
+      resume,
+      signal,
+    };
+    // Built-in checks report through files, so their payload is collected
+    // only when a hook will receive it.
+    const runCheckHook = (name, check, outcome) => {
+      if (!hookRunner.has(name)) return undefined;
+      return hookRunner.run(name, {
+        ...hookContext,
+        check,
+        failed: outcome.failed,
+        attempts: outcome.attempts,
+        timedOut: outcome.timedOut,
+        error: outcome.error
+          ? outcome.error.message || String(outcome.error)
+          : null,
+        payload:
+          outcome.result?.payload ||
+          buildCheckPayload(check.id, {
+            reportRoot,
+            logRoot,
+            failed: outcome.failed,
+          }),
+      });
+    };
+    await hookRunner.run("beforeRun", hookContext);
+    throwIfInterrupted(signal);
+
+    onEvent?.(
+      createQualityEvent("run.started", {
+        target: selectedTarget.key,
+        baseUrl,
+        urls: selectedUrls.length,
+        checks: plan.map((entry) => entry.id),
+        concurrency: parallel,
+        resume,
+      }),
+    );
+    const createdAt = new Date().toISOString();
+    const {
+      failures,
+      summaries,
+      interrupted,
+      dataset: pendingDataset,
+    } = await runPlannedQualityChecks({
+      plan,
+      runners,
+      concurrency: parallel,
+      onRetry: (attempt) => archiveAttempt({ reportRoot, logRoot }, attempt),
+      hooks: {
+        beforeCheck: (check) =>
+          hookRunner.run("beforeCheck", { ...hookContext, check }),
+        afterCheck: (check, outcome) =>
+          runCheckHook("afterCheck", check, outcome),
+        onFailure: (check, outcome) =>
+          runCheckHook("onFailure", check, outcome),
+      },
+      onEvent,
+      signal,
+      targetUsesLocalBuild: selectedTarget.usesLocalBuild,
+      selectedChecks,
+      quietMode: quiet,
+      logger,
+      buildDataset: ({
+        checks: checkResults,
+        failures: checkFailures,
+        execution,
+        interrupted: stopped,
+        context,
+      }) =>
+        buildCanonicalDataset({
+          runId: "__pending__",
+          createdAt: context.createdAt,
+          status: stopped.length ? "interrupted" : "completed",
+          selectedTarget: context.selectedTarget,
+          baseUrl: context.baseUrl,
+          // Only finished checks are kept; stopped ones left partial reports.
+          selectedChecks: Object.fromEntries(
+            Object.entries(context.selectedChecks).filter(
+              ([id]) => !stopped.includes(id),
+            ),
+          ),
+          failures: checkFailures,
+          reportRoot: context.reportRoot,
+          logRoot: context.logRoot,
+          pluginChecks: Object.fromEntries(
+            qualityConfig.plugins.map((check) => [
+              check.id,
+              checkResults[check.id]?.payload || null,
+            ]),
+          ),
+          execution,
+        }),
+      datasetContext: {
+        createdAt,
+        selectedTarget,
+        baseUrl,
+        selectedChecks,
+        reportRoot,
+        logRoot,
+      },
+    });
+
+    // Findings keep the first run that reported them. Each check continues
+    // from the latest completed run of the target that ran it; a resume
+    // prefers what the run itself recorded.
+    const runId = resume || generateRunId();
+    const targetLabel =
+      selectedTarget?.key || selectedTarget?.name || "unknown";
+    const historyBaselines = {
+      ...readFindingBaselines(cwd, {
+        target: targetLabel,
+        before: resumeRun?.meta.createdAt || createdAt,
+        exclude: runId,
+        checkIds: pendingDataset.selectedChecks,
+      }),
+      ...(resumeRun ? datasetFindingBaselines(resumeRun.dataset) : {}),
+    };
+    const trackedDataset = applyFindingHistory(
+      pendingDataset,
+      historyBaselines,
+      { runId, createdAt },
+    );
+    const finishedChecks = trackedDataset.selectedChecks;
+    const unfinished = resumeRun
+      ? [
+          ...new Set([
+            ...(resumeRun.meta.interrupted || []).filter(
+              (id) => !finishedChecks.includes(id),
+            ),
+            ...interrupted,
+          ]),
+        ]
+      : interrupted;
+    const mergedDataset = resumeRun
+      ? mergeResumedDataset(resumeRun.dataset, trackedDataset, {
+          unfinished,
+          checkName: (id) => checkDisplayName(id, qualityConfig),
+        })
+      : trackedDataset;
+    const runFailures = mergedDataset.failures;
+    const previousHooks = resumeRun?.dataset.hooks || [];
+    const hooksRecord = () => [...previousHooks, ...hookRunner.results];
+    const gate = evaluateQualityGate(mergedDataset, qualityConfig.gate.rules);
+    logGate(gate, logger);
+
+    await browserPool?.close();
+    browserPool = null;
+    if (siteServer) {
+      logger.log("🛑 Stopping site server...");
+      killProcessTree(siteServer);
+      siteServer = null;
+    }
+    const status = unfinished.length ? "interrupted" : "completed";
+    if (interrupted.length) {
+      logger.log(
+        `⏹️  Run interrupted; not finished: ${interrupted.map((id) => checkDisplayName(id, qualityConfig)).join(", ")}`,
+      );
+    }
+
+    const runMeta = {
+      createdAt,
+      target: targetLabel,
+      baseUrl,
+      status,
+      extends: qualityConfig.extends,
+      profile: qualityConfig.profile,
+      config: storedConfig || runConfigSnapshot(qualityConfig, cwd),
+      // Plugin names label their reports when the view is rendered again.
+      checkNames: Object.fromEntries(
+        qualityConfig.plugins.map((check) => [check.id, check.name]),
+      ),
+      checks: mergedDataset.selectedChecks,
+      interrupted: unfinished,
+      failures: runFailures,
+      gate: gate.status,
+    };
+    const historyEntry = {
+      at: createdAt,
+      mode: resumeRun ? "resume" : "run",
+      checks: plan.map((entry) => entry.id),
+      failures,
+      status: interrupted.length ? "interrupted" : "completed",
+    };
+    // The snapshot is validated and written with its final run id.
+    let dataset = assignDatasetRunId(
+      { ...mergedDataset, gate, hooks: hooksRecord() },
+      runId,
+    );
+    const snapshot = resumeRun
+      ? updateRunSnapshot({
+          cwd,
+          runId: resume,
+          checks: finishedChecks,
+          meta: {
+            ...resumeRun.meta,
+            ...runMeta,
+            createdAt: resumeRun.meta.createdAt,
+            updatedAt: createdAt,
+            history: appendRunHistory(resumeRun.meta, historyEntry),
+          },
+          dataset,
+          rawSources: collectRawSources(reportRoot, finishedChecks),
+          invalid: "flag",
+        })
+      : writeRunSnapshot({
+          cwd,
+          runId,
+          meta: { ...runMeta, history: [historyEntry] },
+          dataset,
+          rawSources: collectRawSources(reportRoot, checkIds),
+          invalid: "flag",
+        });
+    const logDatasetIssues = (issues) => {
+      if (!issues.length) return;
+      logger.log(
+        `⚠️  ${formatDatasetIssues(issues, { label: "Run dataset" })}`,
+      );
+    };
+    logDatasetIssues(snapshot.issues);
+    logger.log(
+      `🧾 ${status === "interrupted" ? "Partial run" : "Run"} snapshot ${resumeRun ? "updated" : "saved"}: ${path.join("reports", "runs", snapshot.runId)}`,
+    );
+
+    let viewDir = null;
+    if (render) {
+      viewDir = renderHtmlRun({
+        cwd,
+        runId: snapshot.runId,
+        dataset,
+        checkNames: runMeta.checkNames,
+      }).rootDir;
+      logger.log(
+        `🧩 HTML view rendered from templates: ${path.join("reports", "views", "html", snapshot.runId)}`,
+      );
+    }
+
+    // afterRun sees the written snapshot and view; its own results are
+    // added to dataset.json afterwards.
+    if (hookRunner.has("afterRun")) {
+      await hookRunner.run("afterRun", {
+        ...hookContext,
+        runId: snapshot.runId,
+        runDir: snapshot.runDir,
+        viewDir,
+        status,
+        failures: runFailures,
+        gate,
+        dataset,
+      });
+      dataset = { ...dataset, hooks: hooksRecord() };
+      logDatasetIssues(
+        writeRunDataset({
+          cwd,
+          runId: snapshot.runId,
+          dataset,
+          invalid: "flag",
+        }).issues,
+      );
+    }
+
+    onEvent?.(
+      createQualityEvent("run.finished", {
+        runId: snapshot.runId,
+        status,
+        failures: runFailures,
+        gate: gate.status,
+        viewDir,
+        durationMs: Date.now() - startedAt,
+      }),
+    );
+
+    return {
+      runId: snapshot.runId,
+      runDir: snapshot.runDir,
+      status,
+      dataset,
+      failures: runFailures,
+      gate,
+      summaries,
+      target: selectedTarget,
+      baseUrl,
+      urls: selectedUrls,
+      viewDir,
+    };
+  } finally {
+    await browserPool?.close();
+    if (siteServer) {
+      killProcessTree(siteServer);
+    }
+  }
+}
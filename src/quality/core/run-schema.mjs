@@ -0,0 +1,89 @@
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import {
+  formatSchemaIssue,
+  jsonPathChild,
+  validateJsonSchema,
+} from "./config-schema.mjs";
+
+const here = path.dirname(fileURLToPath(import.meta.url));
+const contractsDir = path.resolve(here, "..", "contracts");
+
+// Contract files per dataset schema major version.
+const SCHEMA_MAJORS = [1, 2];
+const LATEST_SCHEMA_MAJOR = SCHEMA_MAJORS.at(-1);
+
+const cachedSchemas = new Map();
+
+function readSchema(name) {
+  if (!cachedSchemas.has(name)) {
+    cachedSchemas.set(
+      name,
+      JSON.parse(fs.readFileSync(path.join(contractsDir, name), "utf8")),
+    );
+  }
+  return cachedSchemas.get(name);
+}
+
+/**
+ * Major version a dataset claims in `schemaVersion`; datasets without a
+ * known version are checked against the latest schema.
+ */
+export function datasetSchemaMajor(dataset) {
+  const major = Number.parseInt(String(dataset?.schemaVersion ?? ""), 10);
+  return SCHEMA_MAJORS.includes(major) ? major : LATEST_SCHEMA_MAJOR;
+}
+
+export function runDatasetSchema(major = LATEST_SCHEMA_MAJOR) {
+  return readSchema(`run-schema-v${major}.json`);
+}
+
+export function checkPayloadSchema(major = LATEST_SCHEMA_MAJOR) {
+  return readSchema(`check-schema-v${major}.json`);
+}
+
+/**
+ * Validate a run dataset against the run schema of its `schemaVersion`,
+ * and each entry of `checks` against the matching check payload schema.
+ * Issue paths point into the dataset, e.g. `$.checks.seo.failed`.
+ *
+ * @returns {Array<{ path: string, message: string, value?: unknown, suggestion?: string|null }>}
+ */
+export function validateRunDataset(dataset) {
+  const major = datasetSchemaMajor(dataset);
+  const issues = validateJsonSchema(dataset, runDatasetSchema(major));
+  const checks = dataset?.checks;
+  if (!checks || typeof checks !== "object" || Array.isArray(checks)) {
+    return issues;
+  }
+  for (const [checkId, payload] of Object.entries(checks)) {
+    const payloadPath = jsonPathChild(jsonPathChild("$", "checks"), checkId);
+    // The run schema already reported payloads that are not objects.
+    if (issues.some((issue) => issue.path === payloadPath)) continue;
+    issues.push(
+      ...validateJsonSchema(payload, checkPayloadSchema(major), {
+        path: payloadPath,
+      }),
+    );
+  }
+  return issues;
+}
+
+/**
+ * Readable report of schema issues: a headline and one indented line per
+ * issue, capped at `limit` lines.
+ */
+export function formatDatasetIssues(
+  issues,
+  { label = "dataset", limit = 20 } = {},
+) {
+  const lines = [
+    `${label} does not match the run schema (${issues.length} issue${issues.length === 1 ? "" : "s"}):`,
+    ...issues.slice(0, limit).map((issue) => `  - ${formatSchemaIssue(issue)}`),
+  ];
+  if (issues.length > limit) {
+    lines.push(`  ... and ${issues.length - limit} more`);
+  }
+  return lines.join("\n");
+}
@@ -0,0 +1,456 @@
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import {
+  EVENTS_ENV,
+  createQualityEvent,
+  isEventLine,
+  parseEventLine,
+} from "../common/events.mjs";
+import { runCommand } from "../common/process.mjs";
+import { PAGE_CACHE_ENV, createPageFetcher } from "../common/page-cache.mjs";
+import { authHeadersEnv } from "../common/auth-headers.mjs";
+import { runPluginCheck } from "./plugins.mjs";
+import { collectLighthouseFromReportDir } from "../checks/lighthouse/collect.mjs";
+import { normalizeLighthousePayload } from "../checks/lighthouse/normalize.mjs";
+import { summarizeLighthousePayload } from "../checks/lighthouse/summarize.mjs";
+import { collectPa11yFromReportDir } from "../checks/pa11y/collect.mjs";
+import { normalizePa11yPayload } from "../checks/pa11y/normalize.mjs";
+import { summarizePa11yPayload } from "../checks/pa11y/summarize.mjs";
+import { collectAxeFromReportDir } from "../checks/axe/collect.mjs";
+import { normalizeAxePayload } from "../checks/axe/normalize.mjs";
+import { summarizeAxePayload } from "../checks/axe/summarize.mjs";
+import { collectFormFromReportDir } from "../checks/form/collect.mjs";
+import { normalizeFormPayload } from "../checks/form/normalize.mjs";
+import { summarizeFormPayload } from "../checks/form/summarize.mjs";
+import { collectSeoFromReportDir } from "../checks/seo/collect.mjs";
+import { normalizeSeoPayload } from "../checks/seo/normalize.mjs";
+import { summarizeSeoPayload } from "../checks/seo/summarize.mjs";
+import { collectLinksFromReportDir } from "../checks/links/collect.mjs";
+import { normalizeLinksPayload } from "../checks/links/normalize.mjs";
+import { summarizeLinksPayload } from "../checks/links/summarize.mjs";
+import { collectJsonldFromReportDir } from "../checks/jsonld/collect.mjs";
+import { normalizeJsonldPayload } from "../checks/jsonld/normalize.mjs";
+import { summarizeJsonldPayload } from "../checks/jsonld/summarize.mjs";
+import { collectSecurityFromReportDir } from "../checks/security/collect.mjs";
+import { normalizeSecurityPayload } from "../checks/security/normalize.mjs";
+import { summarizeSecurityPayload } from "../checks/security/summarize.mjs";
+import { collectSitespeedFromReportDir } from "../checks/sitespeed/collect.mjs";
+import { normalizeSitespeedPayload } from "../checks/sitespeed/normalize.mjs";
+import { summarizeSitespeedPayload } from "../checks/sitespeed/summarize.mjs";
+import { collectVnuFromReportDir } from "../checks/vnu/collect.mjs";
+import { normalizeVnuPayload } from "../checks/vnu/normalize.mjs";
+import { summarizeVnuPayload } from "../checks/vnu/summarize.mjs";
+import { collectWappalyzerFromReportDir } from "../checks/wappalyzer/collect.mjs";
+import { normalizeWappalyzerPayload } from "../checks/wappalyzer/normalize.mjs";
+import { summarizeWappalyzerPayload } from "../checks/wappalyzer/summarize.mjs";
+
+const here = path.dirname(fileURLToPath(import.meta.url));
+const toolkitScriptsDir = path.resolve(here, "..", "..", "..", "scripts");
+const toolkitScriptPath = (filename) => path.join(toolkitScriptsDir, filename);
+
+function prefixedLogger(logger, prefix) {
+  return {
+    ...logger,
+    log: (...args) => logger.log(prefix, ...args),
+    warn: (...args) => (logger.warn || logger.log)(prefix, ...args),
+    error: (...args) => (logger.error || logger.log)(prefix, ...args),
+  };
+}
+
+function exitFailed(result) {
+  return Boolean(result?.exitCode && result.exitCode !== 0);
+}
+
+export function createCheckRunners({
+  cwd = process.cwd(),
+  reportRoot,
+  logRoot,
+  baseUrl,
+  urlsFile,
+  allUrlsFile,
+  selectedTarget,
+  quiet = true,
+  formMigrationMode = "prompt",
+  qualityConfig = null,
+  authHeaders = {},
+  prefixOutput = false,
+  onEvent = null,
+  browserPool = null,
+  pageCacheDir = null,
+  logger = console,
+}) {
+  const quietArg = quiet ? "--quiet" : "";
+  const checkEnv = {
+    ...(onEvent ? { [EVENTS_ENV]: "1" } : {}),
+    ...(pageCacheDir ? { [PAGE_CACHE_ENV]: pageCacheDir } : {}),
+    ...authHeadersEnv(baseUrl, authHeaders),
+  };
+  const emitCheckEvent = (checkId, type, data = {}) =>
+    onEvent?.(createQualityEvent(type, { check: checkId, ...data }));
+
+  // Check scripts only write event lines when asked to; they are forwarded
+  // to `onEvent` and kept out of the echoed output.
+  const eventOptions = (checkId) => {
+    if (!onEvent) return {};
+    return {
+      hideLine: isEventLine,
+      onLine: ({ type, line }) => {
+        if (type !== "stdout") return;
+        const event = parseEventLine(line);
+        if (!event) return;
+        const { type: eventType, ...data } = event;
+        emitCheckEvent(checkId, eventType, data);
+      },
+    };
+  };
+  const runNode = (args, { env, ...options }) =>
+    runCommand("node", args.filter(Boolean), {
+      allowFailure: true,
+      forceLog: true,
+      quiet,
+      logRoot,
+      cwd,
+      prefix: prefixOutput ? `[${options.logName}]` : undefined,
+      ...eventOptions(options.logName),
+      ...options,
+      env: { ...checkEnv, ...env },
+    });
+  // Browser checks attach to a pooled browser for the length of their run.
+  const withBrowser = async (run) => {
+    const lease = browserPool?.lease() || null;
+    try {
+      return await run(lease);
+    } finally {
+      lease?.release();
+    }
+  };
+
+  const checkRunners = {};
+
+  const lighthouseReportDir = path.join(reportRoot, "lighthouse");
+  checkRunners.lighthouse = async ({ signal } = {}) => {
+    const result = await withBrowser((lease) =>
+      runNode(
+        [
+          toolkitScriptPath("lighthouse-audit.mjs"),
+          "--base",
+          baseUrl,
+          "--urls-file",
+          urlsFile,
+          "--report-dir",
+          lighthouseReportDir,
+          "--config",
+          path.join(cwd, "lighthouserc.cjs"),
+          quietArg,
+        ],
+        { label: "Lighthouse", logName: "lighthouse", signal, env: lease?.env },
+      ),
+    );
+    const raw = collectLighthouseFromReportDir(lighthouseReportDir, {
+      logPath: result?.logPath,
+    });
+    const normalized = normalizeLighthousePayload(raw, {
+      selected: true,
+      failed: exitFailed(result),
+    });
+    return summarizeLighthousePayload(normalized);
+  };
+
+  checkRunners.pa11y = async ({ signal } = {}) => {
+    const reportDir = path.join(reportRoot, "pa11y");
+    const result = await withBrowser((lease) =>
+      runNode(
+        [
+          toolkitScriptPath("pa11y-crawl-and-test.mjs"),
+          "--base",
+          baseUrl,
+          "--urls-file",
+          urlsFile,
+          "--report-dir",
+          reportDir,
+          quietArg,
+        ],
+        { label: "Pa11y", logName: "pa11y", signal, env: lease?.env },
+      ),
+    );
+    const raw = collectPa11yFromReportDir(reportDir, {
+      logPath: result?.logPath,
+    });
+    const normalized = normalizePa11yPayload(raw, {
+      selected: true,
+      failed: exitFailed(result),
+    });
+    return summarizePa11yPayload(normalized);
+  };
+
+  checkRunners.axe = async ({ signal } = {}) => {
+    const reportDir = path.join(reportRoot, "axe");
+    const result = await withBrowser((lease) =>
+      runNode(
+        [
+          toolkitScriptPath("axe-audit.mjs"),
+          "--base",
+          baseUrl,
+          "--urls-file",
+          urlsFile,
+          "--report-dir",
+          reportDir,
+          quietArg,
+        ],
+        { label: "aXe", logName: "axe", signal, env: lease?.env },
+      ),
+    );
+    const raw = collectAxeFromReportDir(reportDir, {
+      logPath: result?.logPath,
+    });
+    const normalized = normalizeAxePayload(raw, {
+      selected: true,
+      failed: exitFailed(result),
+    });
+    return summarizeAxePayload(normalized);
+  };
+
+  checkRunners.form = async ({ signal } = {}) => {
+    const reportDir = path.join(reportRoot, "form");
+    const result = await withBrowser((lease) =>
+      runNode(
+        [
+          toolkitScriptPath("form-test.mjs"),
+          "--base",
+          baseUrl,
+          "--urls-file",
+          urlsFile,
+          "--all-urls-file",
+          allUrlsFile,
+          "--migrate-legacy-forms",
+          formMigrationMode,
+          "--report-dir",
+          reportDir,
+          quietArg,
+        ],
+        { label: "Form tests", logName: "form", signal, env: lease?.env },
+      ),
+    );
+    const raw = collectFormFromReportDir(reportDir, {
+      logPath: result?.logPath,
+    });
+    const normalized = normalizeFormPayload(raw, {
+      selected: true,
+      failed: exitFailed(result),
+    });
+    return summarizeFormPayload(normalized);
+  };
+
+  checkRunners.seo = async ({ signal } = {}) => {
+    const reportDir = path.join(reportRoot, "seo");
+    const result = await runNode(
+      [
+        toolkitScriptPath("seo-audit.mjs"),
+        "--base",
+        baseUrl,
+        "--urls-file",
+        urlsFile,
+        "--report-dir",
+        reportDir,
+        quietArg,
+      ],
+      { label: "SEO audit", logName: "seo", signal },
+    );
+    const raw = collectSeoFromReportDir(reportDir, {
+      logPath: result?.logPath,
+    });
+    const normalized = normalizeSeoPayload(raw, {
+      selected: true,
+      failed: exitFailed(result),
+    });
+    return summarizeSeoPayload(normalized);
+  };
+
+  checkRunners.links = async ({ signal } = {}) => {
+    const reportDir = path.join(reportRoot, "links");
+    const result = await runNode(
+      [
+        toolkitScriptPath("link-check.mjs"),
+        "--base",
+        baseUrl,
+        "--urls-file",
+        urlsFile,
+        "--report-dir",
+        reportDir,
+        quietArg,
+      ],
+      { label: "Link check", logName: "links", signal },
+    );
+    const raw = collectLinksFromReportDir(reportDir, {
+      logPath: result?.logPath,
+    });
+    const normalized = normalizeLinksPayload(raw, {
+      selected: true,
+      failed: exitFailed(result),
+    });
+    return summarizeLinksPayload(normalized);
+  };
+
+  checkRunners.jsonld = async ({ signal } = {}) => {
+    const reportDir = path.join(reportRoot, "jsonld");
+    const jsonldSourceArg = selectedTarget?.usesLocalBuild
+      ? "build"
+      : ".yws-jsonld-remote-source";
+    const result = await runNode(
+      [
+        toolkitScriptPath("jsonld-validate.mjs"),
+        jsonldSourceArg,
+        `--urls-file=${urlsFile}`,
+        `--report-dir=${reportDir}`,
+      ],
+      { label: "JSON-LD validation", logName: "jsonld", signal },
+    );
+    const raw = collectJsonldFromReportDir(reportDir, {
+      logPath: result?.logPath,
+    });
+    const normalized = normalizeJsonldPayload(raw, {
+      selected: true,
+      failed: exitFailed(result),
+    });
+    const summaryData = summarizeJsonldPayload(normalized);
+    return {
+      summary: `${summaryData.summary} (report: reports/jsonld/report.html)`,
+      failed: summaryData.failed,
+    };
+  };
+
+  checkRunners.security = async ({ signal } = {}) => {
+    const reportDir = path.join(reportRoot, "security");
+    const result = await runNode(
+      [
+        toolkitScriptPath("security-audit.mjs"),
+        "--base",
+        baseUrl,
+        "--report-dir",
+        reportDir,
+        quietArg,
+      ],
+      { label: "Security audit", logName: "security", signal },
+    );
+    const raw = collectSecurityFromReportDir(reportDir, {
+      logPath: result?.logPath,
+    });
+    const normalized = normalizeSecurityPayload(raw, {
+      selected: true,
+      failed: exitFailed(result),
+    });
+    return summarizeSecurityPayload(normalized);
+  };
+
+  checkRunners.sitespeed = async ({ signal } = {}) => {
+    const reportDir = path.join(reportRoot, "sitespeed");
+    const result = await runNode(
+      [
+        toolkitScriptPath("sitespeed-audit.mjs"),
+        "--base",
+        baseUrl,
+        "--urls-file",
+        urlsFile,
+        "--report-dir",
+        reportDir,
+        quietArg,
+      ],
+      { label: "Sitespeed.io", logName: "sitespeed", signal },
+    );
+    const raw = collectSitespeedFromReportDir(reportDir, {
+      logPath: result?.logPath,
+    });
+    const normalized = normalizeSitespeedPayload(raw, {
+      selected: true,
+      failed: exitFailed(result),
+    });
+    return summarizeSitespeedPayload(normalized);
+  };
+
+  checkRunners.vnu = async ({ signal } = {}) => {
+    const reportDir = path.join(reportRoot, "vnu");
+    const vnuArgs = selectedTarget?.usesLocalBuild
+      ? [
+          "--source-dir",
+          path.join(cwd, "build"),
+          "--base",
+          baseUrl,
+          "--urls-file",
+          urlsFile,
+        ]
+      : ["--base", baseUrl, "--urls-file", urlsFile];
+    const result = await runNode(
+      [
+        toolkitScriptPath("vnu-html-check.mjs"),
+        ...vnuArgs,
+        "--report-dir",
+        reportDir,
+        quietArg,
+      ],
+      { label: "Nu HTML Checker (vnu)", logName: "vnu", signal },
+    );
+    const raw = collectVnuFromReportDir(reportDir, {
+      logPath: result?.logPath,
+    });
+    const normalized = normalizeVnuPayload(raw, {
+      selected: true,
+      failed: exitFailed(result),
+    });
+    return summarizeVnuPayload(normalized);
+  };
+
+  checkRunners.wappalyzer = async ({ signal } = {}) => {
+    const reportDir = path.join(reportRoot, "wappalyzer");
+    const result = await runNode(
+      [
+        toolkitScriptPath("wappalyzer-audit.mjs"),
+        "--base",
+        baseUrl,
+        "--urls-file",
+        urlsFile,
+        "--report-dir",
+        reportDir,
+        quietArg,
+      ],
+      { label: "Wappalyzer stack detection", logName: "wappalyzer", signal },
+    );
+    const raw = collectWappalyzerFromReportDir(reportDir, {
+      logPath: result?.logPath,
+    });
+    const normalized = normalizeWappalyzerPayload(raw, {
+      selected: true,
+      failed: exitFailed(result),
+    });
+    return summarizeWappalyzerPayload(normalized);
+  };
+
+  for (const check of qualityConfig?.plugins || []) {
+    const runPlugin = (signal, lease) =>
+      runPluginCheck(check, {
+        cwd,
+        baseUrl,
+        urls: JSON.parse(fs.readFileSync(urlsFile, "utf8")),
+        urlsFile,
+        allUrlsFile,
+        reportDir: path.join(reportRoot, check.id),
+        logPath: path.join(logRoot, `${check.id}.log`),
+        target: selectedTarget,
+        authHeaders,
+        signal,
+        browserURL: lease?.browserURL || null,
+        fetchPage: createPageFetcher({ env: checkEnv }),
+        options: qualityConfig.checks?.options?.[check.id] || {},
+        thresholds: qualityConfig.checks?.thresholds?.[check.id] || {},
+        quiet,
+        emit: (type, data) => emitCheckEvent(check.id, type, data),
+        logger: prefixOutput ? prefixedLogger(logger, `[${check.id}]`) : logger,
+      });
+    checkRunners[check.id] = ({ signal } = {}) =>
+      check.capabilities?.usesBrowser
+        ? withBrowser((lease) => runPlugin(signal, lease))
+        : runPlugin(signal, null);
+  }
+
+  return checkRunners;
+}
@@ -0,0 +1,281 @@
+import fs from "node:fs";
+import path from "node:path";
+import { normalizeUrl } from "../common/url.mjs";
+import { QualityTargetError } from "./errors.mjs";
+
+function unquoteEnvValue(value) {
+  const trimmed = String(value || "").trim();
+  if (
+    (trimmed.startsWith('"') && trimmed.endsWith('"')) ||
+    (trimmed.startsWith("'") && trimmed.endsWith("'"))
+  ) {
+    return trimmed.slice(1, -1);
+  }
+  return trimmed;
+}
+
+export function parseDotEnvFile(filePath) {
+  if (!fs.existsSync(filePath)) return {};
+  const values = {};
+  const lines = fs.readFileSync(filePath, "utf8").split(/\r?\n/);
+  for (const line of lines) {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith("#")) continue;
+    const match = trimmed.match(/^([A-Za-z_][A-Za-z0-9_]*)\s*=\s*(.*)$/);
+    if (!match) continue;
+    const [, key, rawValue] = match;
+    const cleanValue = unquoteEnvValue(rawValue.split(/\s+#/)[0]);
+    values[key] = cleanValue;
+  }
+  return values;
+}
+
+export function loadProjectEnvValues(cwd = process.cwd()) {
+  const fromDotEnv = parseDotEnvFile(path.join(cwd, ".env"));
+  const fromDotEnvLocal = parseDotEnvFile(path.join(cwd, ".env.local"));
+  return { ...fromDotEnv, ...fromDotEnvLocal };
+}
+
+export function normalizeBaseUrlInput(input) {
+  try {
+    return normalizeUrl(new URL(String(input || "").trim()).toString());
+  } catch {
+    return null;
+  }
+}
+
+function getConfiguredTargetUrl(key, envValues, env) {
+  const envKey = key === "production" ? "SITE_URL" : "STAGING_URL";
+  const raw = env[envKey] || envValues[envKey] || "";
+  return normalizeBaseUrlInput(raw);
+}
+
+function configTargetChoice(key, definition, envValues, env) {
+  const fromEnv = definition.baseUrlEnv
+    ? env[definition.baseUrlEnv] || envValues[definition.baseUrlEnv]
+    : "";
+  const raw = fromEnv || definition.baseUrl || "";
+  const baseUrl = normalizeBaseUrlInput(raw);
+  const name = definition.name || key;
+  const missing = definition.baseUrlEnv
+    ? `missing ${definition.baseUrlEnv} in .env or env vars`
+    : `invalid baseUrl: ${raw}`;
+  return {
+    key,
+    name: baseUrl ? `${name} (${baseUrl})` : `${name} (${missing})`,
+    baseUrl,
+    source: fromEnv ? definition.baseUrlEnv : "quality.config",
+    usesLocalBuild: Boolean(definition.usesLocalBuild),
+    disabled: !baseUrl,
+    auth: definition.auth || null,
+    checks: definition.checks || {},
+  };
+}
+
+/**
+ * Built-in development/staging/production targets followed by the
+ * `targets` declared in quality.config; a config target with a built-in key
+ * replaces it.
+ */
+export function getTargetChoices(
+  envValues = {},
+  env = process.env,
+  configTargets = {},
+) {
+  const defaultBaseUrl = env.BASE_URL || "http://localhost:4321";
+  const developmentUrl = normalizeBaseUrlInput(defaultBaseUrl);
+  const productionUrl = getConfiguredTargetUrl("production", envValues, env);
+  const stagingUrl = getConfiguredTargetUrl("staging", envValues, env);
+
+  const choices = [
+    {
+      key: "development",
+      name: developmentUrl
+        ? `Development (${developmentUrl})`
+        : `Development (invalid BASE_URL: ${defaultBaseUrl})`,
+      baseUrl: developmentUrl,
+      source: "BASE_URL",
+      usesLocalBuild: true,
+      disabled: !developmentUrl,
+    },
+    {
+      key: "staging",
+      name: stagingUrl
+        ? `Staging (${stagingUrl})`
+        : "Staging (missing STAGING_URL in .env or env vars)",
+      baseUrl: stagingUrl,
+      source: "STAGING_URL",
+      usesLocalBuild: false,
+      disabled: !stagingUrl,
+    },
+    {
+      key: "production",
+      name: productionUrl
+        ? `Production (${productionUrl})`
+        : "Production (missing SITE_URL in .env or env vars)",
+      baseUrl: productionUrl,
+      source: "SITE_URL",
+      usesLocalBuild: false,
+      disabled: !productionUrl,
+    },
+  ];
+  const byKey = new Map(choices.map((entry) => [entry.key, entry]));
+  for (const [key, definition] of Object.entries(configTargets || {})) {
+    byKey.set(key, configTargetChoice(key, definition, envValues, env));
+  }
+  return Array.from(byKey.values());
+}
+
+export function customTargetForBaseUrl(baseUrl) {
+  const explicit = normalizeBaseUrlInput(baseUrl);
+  if (!explicit) {
+    throw new QualityTargetError(`Invalid base URL: ${baseUrl}`);
+  }
+  return {
+    key: "custom",
+    name: `Custom (${explicit})`,
+    baseUrl: explicit,
+    source: "--base",
+    usesLocalBuild: false,
+  };
+}
+
+export function resolveTarget({
+  target,
+  baseUrl,
+  envValues = {},
+  env = process.env,
+  targets: configTargets = {},
+} = {}) {
+  if (baseUrl) {
+    return customTargetForBaseUrl(baseUrl);
+  }
+  if (target && typeof target === "object") {
+    if (!normalizeBaseUrlInput(target.baseUrl)) {
+      throw new QualityTargetError(
+        `Target "${target.key || target.name || "unknown"}" has no valid baseUrl.`,
+      );
+    }
+    return target;
+  }
+
+  const targets = getTargetChoices(envValues, env, configTargets);
+  const byKey = new Map(targets.map((entry) => [entry.key, entry]));
+  const requested = String(target || "development").toLowerCase();
+  const selected = byKey.get(requested);
+  if (!selected) {
+    throw new QualityTargetError(
+      `Unsupported target "${target}". Use one of: ${Array.from(byKey.keys()).join(", ")}.`,
+    );
+  }
+  if (selected.disabled) {
+    throw new QualityTargetError(
+      `Cannot use target ${requested}: ${selected.source} is not configured.`,
+    );
+  }
+  return selected;
+}
+
+export const AUTH_UNSUPPORTED_REASON =
+  "Cannot send the target's auth headers to its origin only";
+
+export function buildCheckAvailability(selectedTarget, pluginChecks = []) {
+  const isRemoteTarget = !selectedTarget?.usesLocalBuild;
+  const availability = {
+    lighthouse: { enabled: true },
+    pa11y: { enabled: true },
+    axe: { enabled: true },
+    form: { enabled: true },
+    seo: { enabled: true },
+    links: { enabled: true },
+    jsonld: { enabled: true },
+    security: isRemoteTarget
+      ? { enabled: true }
+      : {
+          enabled: false,
+          reason: "Not available on development (requires remote server)",
+        },
+    sitespeed: { enabled: true },
+    vnu: { enabled: true },
+    wappalyzer: { enabled: true },
+  };
+  // vnu and wappalyzer fetch pages without the target's auth headers, so
+  // they would only see its login or error page; Lighthouse, Pa11y and
+  // sitespeed.io could only send them with every request a page makes,
+  // handing the credentials to third-party origins.
+  if (selectedTarget?.auth) {
+    const unauthenticated = [
+      "lighthouse",
+      "pa11y",
+      "sitespeed",
+      ...(isRemoteTarget ? ["vnu"] : []),
+      "wappalyzer",
+    ];
+    for (const checkId of unauthenticated) {
+      availability[checkId] = {
+        enabled: false,
+        reason: AUTH_UNSUPPORTED_REASON,
+      };
+    }
+  }
+  for (const check of pluginChecks) {
+    const capabilities = check.capabilities || {};
+    if (isRemoteTarget && capabilities.supportsRemote === false) {
+      availability[check.id] = {
+        enabled: false,
+        reason: "Not available on remote targets",
+      };
+    } else if (!isRemoteTarget && capabilities.supportsLocalBuild === false) {
+      availability[check.id] = {
+        enabled: false,
+        reason: "Not available on development (requires remote server)",
+      };
+    } else {
+      availability[check.id] = { enabled: true };
+    }
+  }
+  for (const [checkId, enabled] of Object.entries(
+    selectedTarget?.checks || {},
+  )) {
+    availability[checkId] = enabled
+      ? { enabled: true }
+      : {
+          enabled: false,
+          reason: `Disabled for target ${selectedTarget.key}`,
+        };
+  }
+  return availability;
+}
+
+/**
+ * Request headers for a target's `auth` reference. Credentials are read
+ * from the environment (or .env) at run time and never stored in config or
+ * run snapshots.
+ */
+export function targetAuthHeaders(
+  target,
+  { envValues = {}, env = process.env } = {},
+) {
+  const auth = target?.auth;
+  if (!auth) return {};
+  const read = (name) => (name ? env[name] || envValues[name] || "" : "");
+  if (auth.type === "basic") {
+    const username = read(auth.usernameEnv);
+    const password = read(auth.passwordEnv);
+    if (!username || !password) {
+      throw new QualityTargetError(
+        `Target "${target.key}" uses basic auth; set ${auth.usernameEnv} and ${auth.passwordEnv}.`,
+      );
+    }
+    return {
+      Authorization: `Basic ${Buffer.from(`${username}:${password}`).toString("base64")}`,
+    };
+  }
+  const value = read(auth.valueEnv);
+  if (!value) {
+    throw new QualityTargetError(
+      `Target "${target.key}" uses header auth; set ${auth.valueEnv}.`,
+    );
+  }
+  return { [auth.header || "Authorization"]: value };
+}
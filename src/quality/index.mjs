@@ -0,0 +1,25 @@
+export { runQuality } from "./core/run-quality.mjs";
+export {
+  QualityBuildError,
+  QualityConfigError,
+  QualityDatasetError,
+  QualityError,
+  QualityInterruptedError,
+  QualityRunError,
+  QualityServerError,
+  QualityTargetError,
+  QualityUrlError,
+} from "./core/errors.mjs";
+export { loadQualityConfig } from "./core/config.mjs";
+export { evaluateQualityGate } from "./core/gate.mjs";
+export { validateRunDataset } from "./core/run-schema.mjs";
+export { migrateDataset } from "./core/dataset-migrations.mjs";
+export { loadQualityPlugins } from "./core/plugins.mjs";
+export { defineQualityCheck } from "./core/quality-check.mjs";
+export { EVENT_PROTOCOL_VERSION, EVENT_TYPES } from "./common/events.mjs";
+export {
+  listRuns,
+  migrateRuns,
+  readLatestRunId,
+  readRun,
+} from "./store/index.mjs";
@@ -5,9 +5,12 @@ import { createArtifactManifest } from "../types.mjs";
 import { reportNavLinks } from "../nav.mjs";
 import { renderLayout, escapeContent } from "./templates/layout.mjs";
 import {
+  friendlyCheckName,
   renderCheckCard,
   renderUnknownCheckFallback,
 } from "./templates/check-card.mjs";
+import { normalizeFindingUrl } from "../../core/findings.mjs";
+import { slugify } from "../../common/slug.mjs";
 
 const KNOWN_CHECKS = new Set([
   "lighthouse",
@@ -57,8 +60,17 @@ function copyDirectoryIfExists(sourcePath, destinationPath) {
   return true;
 }
 
-function navHtml(runBasePath, selectedChecks = []) {
-  const links = reportNavLinks({ basePath: runBasePath, selectedChecks })
+function navHtml(
+  runBasePath,
+  selectedChecks = [],
+  { pages = false, checkNames = {} } = {},
+) {
+  const links = reportNavLinks({
+    basePath: runBasePath,
+    selectedChecks,
+    pages,
+    checkNames,
+  })
     .map(
       (link) =>
         `<a href="${escapeContent(link.href)}">${escapeContent(link.label)}</a>`,
@@ -1029,7 +1041,164 @@ function lighthouseScoreSummaryTableHtml(check = {}) {
   </div>`;
 }
 
-export function renderHtmlRun({ cwd = process.cwd(), runId, dataset }) {
+// Page drill-down columns: these checks first, then any other check that
+// reported on a page.
+const PAGE_VIEW_CHECKS = [
+  "lighthouse",
+  "axe",
+  "pa11y",
+  "seo",
+  "vnu",
+  "jsonld",
+  "links",
+];
+
+function pageViewCheckIds(pages) {
+  const present = new Set(
+    Object.values(pages).flatMap((page) => Object.keys(page?.checks || {})),
+  );
+  return [
+    ...PAGE_VIEW_CHECKS.filter((checkId) => present.has(checkId)),
+    ...[...present].filter((checkId) => !PAGE_VIEW_CHECKS.includes(checkId)),
+  ];
+}
+
+function pageFileName(pageKey, index) {
+  return `${String(index + 1).padStart(4, "0")}-${slugify(pageKey) || "root"}.html`;
+}
+
+function pageStatusPill(entry) {
+  if (!entry) return `<span class="muted">-</span>`;
+  const { error, warning } = entry.findings;
+  if (entry.status === "failed") {
+    return statusPillHtml(error ? `${error} error(s)` : "Failed", "fail");
+  }
+  if (entry.status === "warn") {
+    return statusPillHtml(`${warning} warning(s)`, "warn");
+  }
+  return statusPillHtml("No issue", "pass");
+}
+
+function pagesIndexHtml(pages, checkIds) {
+  const rows = Object.entries(pages)
+    .map(
+      ([pageKey, page], index) => `<tr>
+        <td>${escapeContent(page.url || pageKey)}</td>
+        ${checkIds
+          .map((checkId) => {
+            const entry = page.checks[checkId];
+            return `<td>${
+              checkId === "lighthouse" && entry && entry.score !== null
+                ? lighthouseScorePill(entry.score)
+                : pageStatusPill(entry)
+            }</td>`;
+          })
+          .join("")}
+        <td><a class="report-link-btn" href="./${escapeContent(pageFileName(pageKey, index))}">Open</a></td>
+      </tr>`,
+    )
+    .join("");
+  const headers = checkIds
+    .map((checkId) => `<th>${escapeContent(friendlyCheckName(checkId))}</th>`)
+    .join("");
+  return `<section class="check-card">
+    <h2>Pages</h2>
+    <p class="muted">Lighthouse shows the lowest category score of each page (/100).</p>
+    <div class="table-wrap">
+      <table>
+        <thead>
+          <tr><th>Page</th>${headers}<th>Details</th></tr>
+        </thead>
+        <tbody>${rows || `<tr><td colspan="${checkIds.length + 2}">No page-level results in this run.</td></tr>`}</tbody>
+      </table>
+    </div>
+  </section>`;
+}
+
+function pageCheckCardHtml(checkId, entry, findings, runBasePath) {
+  const scorePills = entry.scores
+    ? Object.entries(entry.scores)
+        .map(([key, score]) =>
+          statusPillHtml(
+            `${key}: ${formatLighthouseScore(score)}`,
+            lighthouseScoreTone(score),
+          ),
+        )
+        .join("")
+    : "";
+  const countPills = ["error", "warning", "info"]
+    .filter((severity) => entry.findings[severity] > 0)
+    .map((severity) =>
+      statusPillHtml(
+        `${severity}: ${entry.findings[severity]}`,
+        severity === "error"
+          ? "fail"
+          : severity === "warning"
+            ? "warn"
+            : "info",
+      ),
+    )
+    .join("");
+  const findingRows = findings
+    .slice(0, 20)
+    .map(
+      (finding) => `<tr>
+        <td>${escapeContent(finding.ruleId)}</td>
+        <td>${escapeContent(finding.message || "-")}</td>
+      </tr>`,
+    )
+    .join("");
+  const artifactLinks = entry.artifacts
+    .map(
+      (artifact) =>
+        `<a class="report-link-btn" href="${escapeContent(runBasePath)}/${encodeHrefPath(artifact.path)}">${escapeContent(artifact.label)}</a>`,
+    )
+    .join(" ");
+  return `<section class="check-card">
+    <h2>${escapeContent(friendlyCheckName(checkId))}</h2>
+    <div class="pill-row">${pageStatusPill(entry)}${scorePills}${countPills}</div>
+    ${
+      findingRows
+        ? `<div class="table-wrap spacer-top">
+      <table>
+        <thead><tr><th>Rule</th><th>Message</th></tr></thead>
+        <tbody>${findingRows}</tbody>
+      </table>
+    </div>${findings.length > 20 ? `<p class="muted">${findings.length - 20} more finding(s) in the check report.</p>` : ""}`
+        : ""
+    }
+    ${artifactLinks ? `<p class="spacer-top">${artifactLinks}</p>` : ""}
+  </section>`;
+}
+
+function pageDetailHtml(pageKey, page, checkIds, checks, runBasePath) {
+  const cards = checkIds
+    .filter((checkId) => page.checks[checkId])
+    .map((checkId) => {
+      const findings = (
+        Array.isArray(checks[checkId]?.findings) ? checks[checkId].findings : []
+      ).filter(
+        (finding) =>
+          finding?.pageUrl && normalizeFindingUrl(finding.pageUrl) === pageKey,
+      );
+      return pageCheckCardHtml(
+        checkId,
+        page.checks[checkId],
+        findings,
+        runBasePath,
+      );
+    })
+    .join("\n");
+  return `<p class="muted">${escapeContent(page.url || pageKey)}</p>
+  <section class="check-grid">${cards}</section>`;
+}
+
+export function renderHtmlRun({
+  cwd = process.cwd(),
+  runId,
+  dataset,
+  checkNames = {},
+}) {
   if (!runId) throw new Error("renderHtmlRun requires runId.");
   const reportRoot = path.join(cwd, "reports");
   const outDir = path.join(reportRoot, "views", "html", runId);
@@ -1057,6 +1226,14 @@ export function renderHtmlRun({ cwd = process.cwd(), runId, dataset }) {
     )
     .join("\n");
 
+  const pages =
+    dataset?.pages && typeof dataset.pages === "object" ? dataset.pages : {};
+  const hasPages = Object.keys(pages).length > 0;
+  const mainNavHtml = navHtml(runBasePath, selectedCheckIds, {
+    pages: hasPages,
+    checkNames,
+  });
+
   const runDate = dataset?.createdAt
     ? new Date(dataset.createdAt).toLocaleString()
     : runId;
@@ -1065,7 +1242,7 @@ export function renderHtmlRun({ cwd = process.cwd(), runId, dataset }) {
   const indexHtml = renderLayout({
     title: "Quality Report",
     subtitle,
-    navHtml: navHtml(runBasePath, selectedCheckIds),
+    navHtml: mainNavHtml,
     bodyHtml: body,
     stylesheetHref,
   });
@@ -1206,7 +1383,7 @@ export function renderHtmlRun({ cwd = process.cwd(), runId, dataset }) {
     const page = renderLayout({
       title: `Check: ${checkId}`,
       subtitle,
-      navHtml: navHtml(runBasePath, selectedCheckIds),
+      navHtml: mainNavHtml,
       stylesheetHref,
       bodyHtml:
         checkId === "pa11y"
@@ -1232,6 +1409,38 @@ export function renderHtmlRun({ cwd = process.cwd(), runId, dataset }) {
     writeText(path.join(outDir, `${checkId}.html`), page);
   }
 
+  if (hasPages) {
+    const checkIds = pageViewCheckIds(pages);
+    writeText(
+      path.join(outDir, "pages", "index.html"),
+      renderLayout({
+        title: "Pages",
+        subtitle,
+        navHtml: mainNavHtml,
+        stylesheetHref,
+        bodyHtml: pagesIndexHtml(pages, checkIds),
+      }),
+    );
+    Object.entries(pages).forEach(([pageKey, page], index) => {
+      writeText(
+        path.join(outDir, "pages", pageFileName(pageKey, index)),
+        renderLayout({
+          title: `Page: ${pageKey}`,
+          subtitle,
+          navHtml: mainNavHtml,
+          stylesheetHref,
+          bodyHtml: pageDetailHtml(
+            pageKey,
+            page,
+            checkIds,
+            checks,
+            runBasePath,
+          ),
+        }),
+      );
+    });
+  }
+
   if (checks.lighthouse) {
     const lighthouseReports = Array.isArray(
       checks.lighthouse?.meta?.htmlReports,
@@ -1253,7 +1462,7 @@ export function renderHtmlRun({ cwd = process.cwd(), runId, dataset }) {
     const lighthousePage = renderLayout({
       title: "Check: Lighthouse",
       subtitle,
-      navHtml: navHtml(runBasePath, selectedCheckIds),
+      navHtml: mainNavHtml,
       stylesheetHref,
       bodyHtml: `<section class="check-card">
         <h2>Lighthouse</h2>
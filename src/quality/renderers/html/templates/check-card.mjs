@@ -5,7 +5,7 @@ function asNumber(value) {
   return Number.isFinite(n) ? n : 0;
 }
 
-function friendlyCheckName(checkId) {
+export function friendlyCheckName(checkId) {
   const map = {
     lighthouse: "Lighthouse",
     pa11y: "Accessibility (Pa11y)",
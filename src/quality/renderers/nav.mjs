@@ -5,11 +5,25 @@ function joinBase(basePath, targetPath) {
   return `${root}/${target}`;
 }
 
-export function reportNavLinks({ basePath = "", selectedChecks = [] } = {}) {
+// Plugin links are labelled from `checkNames` (plugin id → name), falling
+// back to the id.
+export function reportNavLinks({
+  basePath = "",
+  selectedChecks = [],
+  pages = false,
+  checkNames = {},
+} = {}) {
   const selected = new Set(selectedChecks);
   const nav = [
     { key: "home", label: "Home", href: joinBase(basePath, "index.html") },
   ];
+  if (pages) {
+    nav.push({
+      key: "pages",
+      label: "Pages",
+      href: joinBase(basePath, "pages/index.html"),
+    });
+  }
   const checkLinks = [
     {
       key: "lighthouse",
@@ -50,5 +64,16 @@ export function reportNavLinks({ basePath = "", selectedChecks = [] } = {}) {
   if (!selected.size) {
     return nav.concat(checkLinks);
   }
-  return nav.concat(checkLinks.filter((item) => selected.has(item.key)));
+  const known = new Set(checkLinks.map((item) => item.key));
+  const pluginLinks = [...selected]
+    .filter((key) => !known.has(key))
+    .map((key) => ({
+      key,
+      label: checkNames?.[key] || key,
+      href: joinBase(basePath, `${key}.html`),
+    }));
+  return nav.concat(
+    checkLinks.filter((item) => selected.has(item.key)),
+    pluginLinks,
+  );
 }
@@ -1,7 +1,13 @@
 export { qualityStorePaths } from "./paths.mjs";
 export { listRuns, readLatestRunId } from "./list-runs.mjs";
 export { readRun } from "./read-run.mjs";
-export { writeRunSnapshot } from "./write-run.mjs";
+export {
+  updateRunSnapshot,
+  writeRunDataset,
+  writeRunSnapshot,
+} from "./write-run.mjs";
 export { deleteRun } from "./delete-run.mjs";
 export { cleanRunsKeep } from "./clean-runs.mjs";
 export { pruneRunsOlderThan } from "./prune-runs.mjs";
+export { generateRunId } from "./helpers.mjs";
+export { migrateRuns } from "./migrate-runs.mjs";
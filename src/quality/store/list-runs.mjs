@@ -32,6 +32,7 @@ export function listRuns(cwd = process.cwd()) {
         runId,
         createdAt: meta.createdAt || null,
         target: meta.target || null,
+        status: meta.status || "completed",
         checksCount: Array.isArray(checks) ? checks.length : 0,
         path: runDir,
         hasDataset: fs.existsSync(datasetPath),
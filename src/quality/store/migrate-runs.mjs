@@ -0,0 +1,116 @@
+import fs from "node:fs";
+import path from "node:path";
+import { listRuns } from "./list-runs.mjs";
+import { qualityStorePaths } from "./paths.mjs";
+import { safeReadJson, writeJson } from "./helpers.mjs";
+import {
+  datasetMajorVersion,
+  migrateDataset,
+  migrationIssue,
+} from "../core/dataset-migrations.mjs";
+import { QualityDatasetError } from "../core/errors.mjs";
+import { validateRunDataset } from "../core/run-schema.mjs";
+
+function migrateRunDataset(runsRoot, runId, dryRun) {
+  const runDir = path.join(runsRoot, runId);
+  if (!fs.existsSync(runDir)) {
+    return { runId, migrated: false, reason: "not-found", actions: [] };
+  }
+  const datasetPath = path.join(runDir, "dataset.json");
+  const stored = safeReadJson(datasetPath);
+  if (!stored) {
+    return { runId, migrated: false, reason: "missing-dataset", actions: [] };
+  }
+  let result;
+  try {
+    result = migrateDataset(stored);
+  } catch (error) {
+    if (!(error instanceof QualityDatasetError)) throw error;
+    return {
+      runId,
+      migrated: false,
+      reason: "invalid",
+      from: stored.schemaVersion,
+      issues: [migrationIssue(stored)],
+      actions: [],
+    };
+  }
+  const { dataset, from, to, migrated } = result;
+  if (!migrated) {
+    return { runId, migrated: false, reason: "current", from, actions: [] };
+  }
+  const issues = validateRunDataset(dataset);
+  if (issues.length) {
+    return {
+      runId,
+      migrated: false,
+      reason: "invalid",
+      from,
+      to,
+      issues,
+      actions: [],
+    };
+  }
+
+  // Keep the first backup of a version if an earlier attempt left one.
+  const backupPath = path.join(
+    runDir,
+    `dataset.v${datasetMajorVersion(stored)}.json`,
+  );
+  const actions = [
+    ...(fs.existsSync(backupPath)
+      ? []
+      : [{ type: "backup", path: datasetPath, to: backupPath }]),
+    { type: "rewrite", path: datasetPath },
+  ];
+  if (dryRun) {
+    return { runId, migrated: false, reason: "dry-run", from, to, actions };
+  }
+
+  for (const action of actions) {
+    if (action.type === "backup") fs.copyFileSync(action.path, action.to);
+  }
+  writeJson(datasetPath, dataset);
+  const metaPath = path.join(runDir, "meta.json");
+  const meta = safeReadJson(metaPath);
+  if (meta) {
+    writeJson(metaPath, {
+      ...meta,
+      migrations: [
+        ...(Array.isArray(meta.migrations) ? meta.migrations : []),
+        {
+          from,
+          to,
+          migratedAt: new Date().toISOString(),
+          backup: path.basename(backupPath),
+        },
+      ],
+    });
+  }
+  return { runId, migrated: true, reason: "migrated", from, to, actions };
+}
+
+/**
+ * Rewrite stored `dataset.json` files that use an older schema version in
+ * the current one, copying the original to `dataset.v<major>.json` first
+ * and recording the migration in `meta.json`. Migrates `runId` only when
+ * given, otherwise every stored run. A dataset without a migration path,
+ * or that does not pass the run schema once migrated, is left untouched
+ * and reported as `invalid`.
+ */
+export function migrateRuns(options = {}) {
+  const cwd = options.cwd || process.cwd();
+  const dryRun = Boolean(options.dryRun);
+  const { runsRoot } = qualityStorePaths(cwd);
+  const runIds = options.runId
+    ? [options.runId]
+    : listRuns(cwd).map((run) => run.runId);
+  const results = runIds.map((runId) =>
+    migrateRunDataset(runsRoot, runId, dryRun),
+  );
+  return {
+    totalRuns: runIds.length,
+    migrated: results.filter((result) => result.migrated).length,
+    results,
+  };
+}
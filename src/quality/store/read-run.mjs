@@ -2,13 +2,57 @@ import fs from "node:fs";
 import path from "node:path";
 import { qualityStorePaths } from "./paths.mjs";
 import { safeReadJson } from "./helpers.mjs";
+import { QualityDatasetError } from "../core/errors.mjs";
+import { validateRunDataset } from "../core/run-schema.mjs";
+import { migrateDataset, migrationIssue } from "../core/dataset-migrations.mjs";
 
-export function readRun(runId, cwd = process.cwd()) {
+function migrateStored(stored) {
+  if (!stored) return { dataset: stored, from: null, migrated: false };
+  try {
+    return migrateDataset(stored);
+  } catch (error) {
+    if (!(error instanceof QualityDatasetError)) throw error;
+    return {
+      dataset: stored,
+      from: stored.schemaVersion,
+      migrated: false,
+      issue: migrationIssue(stored),
+    };
+  }
+}
+
+/**
+ * Read a stored run. A dataset written with an older schema is migrated to
+ * the current one in memory (`migratedFrom` holds its original
+ * `schemaVersion`; `quality migrate-runs` rewrites the file); one with
+ * no migration path is returned as stored, with an issue on
+ * `$.schemaVersion`. `issues` lists where `dataset.json` breaks the run
+ * schema; when there are any, a warning pointing at `quality validate-run`
+ * is logged.
+ */
+export function readRun(runId, cwd = process.cwd(), { logger = console } = {}) {
   if (!runId) return null;
   const { runsRoot } = qualityStorePaths(cwd);
   const runDir = path.join(runsRoot, runId);
   if (!fs.existsSync(runDir)) return null;
   const meta = safeReadJson(path.join(runDir, "meta.json"));
-  const dataset = safeReadJson(path.join(runDir, "dataset.json"));
-  return { runId, runDir, meta, dataset };
+  const stored = safeReadJson(path.join(runDir, "dataset.json"));
+  const { dataset, from, migrated, issue } = migrateStored(stored);
+  const issues = [
+    ...(issue ? [issue] : []),
+    ...(dataset ? validateRunDataset(dataset) : []),
+  ];
+  if (issues.length) {
+    logger.warn(
+      `⚠️  Run ${runId} dataset.json does not match the run schema (${issues.length} issue${issues.length === 1 ? "" : "s"}). Details: yws-toolkit quality validate-run --run ${runId}`,
+    );
+  }
+  return {
+    runId,
+    runDir,
+    meta,
+    dataset,
+    issues,
+    migratedFrom: migrated ? from : null,
+  };
 }
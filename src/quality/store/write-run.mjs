@@ -1,11 +1,18 @@
 import fs from "node:fs";
 import path from "node:path";
 import { qualityStorePaths } from "./paths.mjs";
+import { QualityDatasetError } from "../core/errors.mjs";
+import { formatSchemaIssue } from "../core/config-schema.mjs";
+import {
+  formatDatasetIssues,
+  validateRunDataset,
+} from "../core/run-schema.mjs";
 import {
   copyDirectoryChildren,
   copyPath,
   ensureDir,
   generateRunId,
+  safeReadJson,
   writeJson,
 } from "./helpers.mjs";
 
@@ -14,11 +21,38 @@ function normalizeSources(sources) {
   return sources.filter((item) => item && typeof item.path === "string");
 }
 
+function checkDataset(runId, dataset, invalid) {
+  const issues = validateRunDataset(dataset);
+  if (issues.length && invalid !== "flag") {
+    throw new QualityDatasetError(
+      formatDatasetIssues(issues, { label: `Run ${runId} dataset` }),
+      { details: issues },
+    );
+  }
+  return issues;
+}
+
+function withSchemaIssues(meta, issues) {
+  const { schemaIssues, ...rest } = meta || {};
+  return issues.length
+    ? { ...rest, schemaIssues: issues.map((issue) => formatSchemaIssue(issue)) }
+    : rest;
+}
+
+/**
+ * Write a run to `reports/runs/<runId>/` and point `latest.json` at it.
+ * The dataset is validated against the run and check schemas first: with
+ * `invalid: "reject"` (default) an invalid dataset throws a
+ * `QualityDatasetError` and nothing is written; with `invalid: "flag"` the
+ * run is written anyway and the issues are recorded as `schemaIssues` in
+ * `meta.json` and returned.
+ */
 export function writeRunSnapshot(options = {}) {
   const cwd = options.cwd || process.cwd();
   const runId = options.runId || generateRunId();
-  const meta = options.meta || {};
   const dataset = options.dataset || {};
+  const issues = checkDataset(runId, dataset, options.invalid);
+  const meta = withSchemaIssues(options.meta, issues);
   const rawSources = normalizeSources(options.rawSources);
   const viewSources = options.viewSources || {};
 
@@ -64,5 +98,47 @@ export function writeRunSnapshot(options = {}) {
   }
 
   writeJson(latestPath, { runId, updatedAt: new Date().toISOString() });
-  return { runId, runDir };
+  return { runId, runDir, issues };
+}
+
+/**
+ * Replace the listed checks in an existing run: their `raw/<checkId>`
+ * folders are cleared before `rawSources` are copied, and `meta.json` and
+ * `dataset.json` are rewritten with the merged values.
+ */
+export function updateRunSnapshot(options = {}) {
+  const cwd = options.cwd || process.cwd();
+  const { runsRoot } = qualityStorePaths(cwd);
+  const runDir = options.runId ? path.join(runsRoot, options.runId) : null;
+  if (!runDir || !fs.existsSync(runDir)) {
+    throw new Error(`Run not found: ${options.runId}`);
+  }
+  for (const checkId of options.checks || []) {
+    fs.rmSync(path.join(runDir, "raw", checkId), {
+      recursive: true,
+      force: true,
+    });
+  }
+  return writeRunSnapshot({ ...options, cwd });
+}
+
+/**
+ * Rewrite the `dataset.json` of an existing run, validated like
+ * `writeRunSnapshot` (`invalid: "reject"` or `"flag"`); `schemaIssues` in
+ * `meta.json` is updated to match.
+ */
+export function writeRunDataset(options = {}) {
+  const cwd = options.cwd || process.cwd();
+  const { runsRoot } = qualityStorePaths(cwd);
+  const runDir = options.runId ? path.join(runsRoot, options.runId) : null;
+  if (!runDir || !fs.existsSync(runDir)) {
+    throw new Error(`Run not found: ${options.runId}`);
+  }
+  const dataset = options.dataset || {};
+  const issues = checkDataset(options.runId, dataset, options.invalid);
+  writeJson(path.join(runDir, "dataset.json"), dataset);
+  const metaPath = path.join(runDir, "meta.json");
+  const meta = safeReadJson(metaPath);
+  if (meta) writeJson(metaPath, withSchemaIssues(meta, issues));
+  return { runId: options.runId, runDir, issues };
 }
@@ -0,0 +1,233 @@
+import fs from "node:fs";
+import path from "node:path";
+import {
+  CHECK_IDS,
+  OPTIONAL_BY_DEFAULT_CHECKS,
+} from "../quality/core/config.mjs";
+import { parseDotEnvFile } from "../quality/core/targets.mjs";
+
+const ASTRO_CONFIG_FILES = [
+  "astro.config.mjs",
+  "astro.config.js",
+  "astro.config.ts",
+  "astro.config.cjs",
+];
+
+export const RECOMMENDED_SCRIPTS = {
+  format: "yws-toolkit format .",
+  "format:check": "yws-toolkit format --check .",
+  test: "yws-toolkit quality run",
+  "test:ci": "yws-toolkit --ci quality run -- --target development",
+  "test:clean": "yws-toolkit quality flush-runs",
+  doctor: "yws-toolkit doctor",
+  clean: "yws-toolkit clean",
+  newpage: "yws-toolkit scaffold newpage",
+  updatecomponents: "yws-toolkit update components",
+  updatetoolkit: "yws-toolkit update toolkit",
+};
+
+const ENV_DEFAULTS = [
+  ["BASE_URL", "http://localhost:4321"],
+  ["STAGING_URL", ""],
+  ["SITE_URL", ""],
+];
+
+const LIGHTHOUSERC = `module.exports = {
+  ci: {
+    assert: {
+      assertions: {
+        "categories:performance": ["warn", { minScore: 0.9 }],
+        "categories:accessibility": ["error", { minScore: 0.9 }],
+        "categories:best-practices": ["warn", { minScore: 0.9 }],
+        "categories:seo": ["error", { minScore: 0.9 }],
+      },
+    },
+  },
+};
+`;
+
+function readText(filePath) {
+  return fs.existsSync(filePath) ? fs.readFileSync(filePath, "utf8") : null;
+}
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === "object" && !Array.isArray(value);
+}
+
+function mergeMissing(existing, defaults) {
+  const merged = { ...existing };
+  for (const [key, value] of Object.entries(defaults)) {
+    if (!(key in merged)) {
+      merged[key] = value;
+    } else if (isPlainObject(merged[key]) && isPlainObject(value)) {
+      merged[key] = mergeMissing(merged[key], value);
+    }
+  }
+  return merged;
+}
+
+function jsonFile(defaults) {
+  return (existing) => {
+    if (existing === null) return `${JSON.stringify(defaults, null, 2)}\n`;
+    const parsed = JSON.parse(existing);
+    const merged = mergeMissing(parsed, defaults);
+    if (JSON.stringify(merged) === JSON.stringify(parsed)) return existing;
+    return `${JSON.stringify(merged, null, 2)}\n`;
+  };
+}
+
+function envFile(filePath) {
+  return (existing) => {
+    const present = existing === null ? {} : parseDotEnvFile(filePath);
+    const missing = ENV_DEFAULTS.filter(([key]) => !(key in present));
+    if (!missing.length) return existing;
+    const lines = missing.map(([key, value]) => `${key}=${value}`);
+    if (existing === null) return `${lines.join("\n")}\n`;
+    const prefix =
+      existing.endsWith("\n") || !existing ? existing : `${existing}\n`;
+    return `${prefix}${lines.join("\n")}\n`;
+  };
+}
+
+function createOnly(content) {
+  return (existing) => (existing === null ? content : existing);
+}
+
+export function detectAstroProject(cwd = process.cwd()) {
+  const configFile = ASTRO_CONFIG_FILES.find((name) =>
+    fs.existsSync(path.join(cwd, name)),
+  );
+  let hasDependency = false;
+  try {
+    const pkg = JSON.parse(
+      fs.readFileSync(path.join(cwd, "package.json"), "utf8"),
+    );
+    hasDependency = Boolean(
+      pkg.dependencies?.astro || pkg.devDependencies?.astro,
+    );
+  } catch {
+    hasDependency = false;
+  }
+  return {
+    isAstro: Boolean(configFile || hasDependency),
+    configFile: configFile || null,
+    hasDependency,
+  };
+}
+
+/**
+ * Build the list of files `init` manages. Each entry carries the current
+ * content (or null) and the content `init` wants; existing files only get
+ * missing keys added, so running it twice is a no-op.
+ */
+export function planInitFiles({ cwd = process.cwd(), localeConfig }) {
+  const locales = localeConfig?.locales?.length ? localeConfig.locales : ["en"];
+  const envPath = path.join(cwd, ".env");
+  const entries = [
+    {
+      file: "quality.config.json",
+      build: jsonFile({
+        checks: {
+          enabled: CHECK_IDS.filter(
+            (id) => !OPTIONAL_BY_DEFAULT_CHECKS.has(id),
+          ),
+        },
+      }),
+    },
+    { file: ".env", build: envFile(envPath) },
+    {
+      file: "package.json",
+      build: jsonFile({ scripts: RECOMMENDED_SCRIPTS }),
+    },
+    { file: "lighthouserc.cjs", build: createOnly(LIGHTHOUSERC) },
+    ...locales.map((locale) => ({
+      file: path.join("public", "content", locale, "menu.json"),
+      build: createOnly("[]\n"),
+    })),
+    {
+      file: path.join("public", "content", "company", ".gitkeep"),
+      build: createOnly(""),
+    },
+  ];
+
+  return entries.map(({ file, build }) => {
+    const fullPath = path.join(cwd, file);
+    const before = readText(fullPath);
+    const after = build(before);
+    const status =
+      before === null ? "create" : before === after ? "unchanged" : "update";
+    return { file, path: fullPath, before, after, status };
+  });
+}
+
+export function applyInitPlan(plan, { includeUpdates = true } = {}) {
+  const written = [];
+  for (const entry of plan) {
+    if (entry.status === "unchanged") continue;
+    if (entry.status === "update" && !includeUpdates) continue;
+    fs.mkdirSync(path.dirname(entry.path), { recursive: true });
+    fs.writeFileSync(entry.path, entry.after, "utf8");
+    written.push(entry.file);
+  }
+  return written;
+}
+
+function diffOps(a, b) {
+  const lcs = Array.from({ length: a.length + 1 }, () =>
+    new Array(b.length + 1).fill(0),
+  );
+  for (let i = a.length - 1; i >= 0; i -= 1) {
+    for (let j = b.length - 1; j >= 0; j -= 1) {
+      lcs[i][j] =
+        a[i] === b[j]
+          ? lcs[i + 1][j + 1] + 1
+          : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      ops.push({ type: " ", text: a[i] });
+      i += 1;
+      j += 1;
+    } else if (
+      j < b.length &&
+      (i >= a.length || lcs[i][j + 1] >= lcs[i + 1][j])
+    ) {
+      ops.push({ type: "+", text: b[j] });
+      j += 1;
+    } else {
+      ops.push({ type: "-", text: a[i] });
+      i += 1;
+    }
+  }
+  return ops;
+}
+
+export function formatLineDiff(before, after, label, { context = 2 } = {}) {
+  const ops = diffOps(
+    String(before ?? "").split("\n"),
+    String(after ?? "").split("\n"),
+  );
+  const changed = ops
+    .map((op, index) => (op.type === " " ? -1 : index))
+    .filter((index) => index !== -1);
+  const visible = (index) =>
+    changed.some((changeIndex) => Math.abs(changeIndex - index) <= context);
+
+  const lines = [`--- ${label}`, `+++ ${label} (init)`];
+  let skipped = false;
+  ops.forEach((op, index) => {
+    if (!visible(index)) {
+      if (!skipped) lines.push("  ...");
+      skipped = true;
+      return;
+    }
+    skipped = false;
+    lines.push(`${op.type} ${op.text}`);
+  });
+  return lines.join("\n");
+}
@@ -0,0 +1,134 @@
+import path from "node:path";
+import fs from "node:fs/promises";
+import { pathToFileURL } from "node:url";
+
+export function normalizeLocale(value) {
+  if (!value) return "";
+  return String(value).trim().toLowerCase();
+}
+
+function unique(values) {
+  return [...new Set(values.filter(Boolean))];
+}
+
+export function extractLocaleConfig(i18nConfig) {
+  if (!i18nConfig || typeof i18nConfig !== "object") return null;
+
+  let locales = [];
+  const rawLocales = i18nConfig.locales;
+  if (Array.isArray(rawLocales)) {
+    locales = rawLocales
+      .map((entry) => {
+        if (typeof entry === "string") return entry;
+        if (entry && typeof entry === "object") {
+          if (typeof entry.path === "string") return entry.path;
+          if (typeof entry.code === "string") return entry.code;
+          if (
+            Array.isArray(entry.codes) &&
+            typeof entry.codes[0] === "string"
+          ) {
+            return entry.codes[0];
+          }
+        }
+        return "";
+      })
+      .map(normalizeLocale);
+  } else if (rawLocales && typeof rawLocales === "object") {
+    locales = Object.keys(rawLocales).map(normalizeLocale);
+  }
+
+  locales = unique(locales);
+  if (!locales.length) return null;
+
+  let defaultLocale = normalizeLocale(i18nConfig.defaultLocale);
+  if (!defaultLocale || !locales.includes(defaultLocale)) {
+    defaultLocale = locales.includes("en") ? "en" : locales[0];
+  }
+
+  const prefixDefaultLocale = i18nConfig.routing?.prefixDefaultLocale !== false;
+
+  return { locales, defaultLocale, prefixDefaultLocale };
+}
+
+async function resolveLocaleConfigFromAstroConfig(cwd) {
+  const configPath = path.join(cwd, "astro.config.mjs");
+  try {
+    await fs.access(configPath);
+  } catch {
+    return null;
+  }
+
+  const previousSiteUrl = process.env.SITE_URL;
+  const previousStagingUrl = process.env.STAGING_URL;
+  const previousNodeEnv = process.env.NODE_ENV;
+
+  if (!process.env.SITE_URL) process.env.SITE_URL = "https://example.com/";
+  if (!process.env.STAGING_URL) process.env.STAGING_URL = process.env.SITE_URL;
+  if (!process.env.NODE_ENV) process.env.NODE_ENV = "development";
+
+  try {
+    const configModule = await import(
+      `${pathToFileURL(configPath).href}?v=${Date.now()}`
+    );
+    let rawConfig = configModule?.default;
+    if (typeof rawConfig === "function") {
+      rawConfig = await rawConfig({
+        command: "build",
+        mode: process.env.NODE_ENV || "development",
+      });
+    }
+    const localeConfig = extractLocaleConfig(rawConfig?.i18n);
+    if (!localeConfig) return null;
+    return { ...localeConfig, source: "astro.config.mjs" };
+  } catch {
+    return null;
+  } finally {
+    if (previousSiteUrl === undefined) delete process.env.SITE_URL;
+    else process.env.SITE_URL = previousSiteUrl;
+    if (previousStagingUrl === undefined) delete process.env.STAGING_URL;
+    else process.env.STAGING_URL = previousStagingUrl;
+    if (previousNodeEnv === undefined) delete process.env.NODE_ENV;
+    else process.env.NODE_ENV = previousNodeEnv;
+  }
+}
+
+async function resolveLocaleConfigFromContent(cwd) {
+  const contentRoot = path.join(cwd, "public", "content");
+  let entries = [];
+  try {
+    entries = await fs.readdir(contentRoot, { withFileTypes: true });
+  } catch {
+    return null;
+  }
+
+  const localePattern = /^[a-z]{2}(?:-[a-z0-9]{2,8})*$/i;
+  const locales = entries
+    .filter((entry) => entry.isDirectory())
+    .map((entry) => normalizeLocale(entry.name))
+    .filter((entry) => localePattern.test(entry));
+
+  if (!locales.length) return null;
+
+  const uniqueLocales = unique(locales);
+  return {
+    locales: uniqueLocales,
+    defaultLocale: uniqueLocales.includes("en") ? "en" : uniqueLocales[0],
+    prefixDefaultLocale: true,
+    source: "public/content/* fallback",
+  };
+}
+
+export async function resolveLocaleConfig(cwd = process.cwd()) {
+  const fromAstro = await resolveLocaleConfigFromAstroConfig(cwd);
+  if (fromAstro) return fromAstro;
+
+  const fromContent = await resolveLocaleConfigFromContent(cwd);
+  if (fromContent) return fromContent;
+
+  return {
+    locales: ["en"],
+    defaultLocale: "en",
+    prefixDefaultLocale: true,
+    source: "default fallback",
+  };
+}
@@ -0,0 +1,35 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  NonInteractiveError,
+  isCiMode,
+  missingAnswerError,
+  stripCiFlags,
+} from "../../src/cli/ci-mode.mjs";
+
+test("CI mode turns on from flags or environment", () => {
+  assert.equal(isCiMode({ argv: [], env: {} }), false);
+  assert.equal(isCiMode({ argv: ["--ci"], env: {} }), true);
+  assert.equal(isCiMode({ argv: ["--yes"], env: {} }), true);
+  assert.equal(isCiMode({ argv: [], env: { CI: "true" } }), true);
+  assert.equal(isCiMode({ argv: [], env: { CI: "1" } }), true);
+  assert.equal(isCiMode({ argv: [], env: { YWS_CI: "1" } }), true);
+  assert.equal(isCiMode({ argv: [], env: { CI: "false" } }), false);
+});
+
+test("global CI flags are stripped before dispatch", () => {
+  assert.deepEqual(stripCiFlags(["--ci", "quality", "run", "--yes", "-t"]), [
+    "quality",
+    "run",
+    "-t",
+  ]);
+});
+
+test("missing answers name the flag that is needed", () => {
+  const error = missingAnswerError("Choosing the tag", "--tag <tag>");
+  assert.ok(error instanceof NonInteractiveError);
+  assert.equal(error.code, "E_NON_INTERACTIVE");
+  assert.equal(error.flag, "--tag <tag>");
+  assert.match(error.message, /Pass --tag <tag>/);
+});
@@ -0,0 +1,139 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  CliUsageError,
+  formatCommandHelp,
+  parseCommandArgs,
+  serializeCommandArgs,
+} from "../../src/cli/flags.mjs";
+import { commandManifest, findCommand } from "../../src/cli/run-cli.mjs";
+
+const command = {
+  summary: "Compare runs.",
+  flags: [
+    { name: "base", alias: "b", type: "string", description: "Base run." },
+    {
+      name: "keep",
+      type: "integer",
+      default: 5,
+      min: 1,
+      description: "Keep N.",
+    },
+    { name: "format", type: "enum", values: ["html", "pdf"] },
+    { name: "checks", type: "list", values: ["seo", "links"] },
+    { name: "dry-run", type: "boolean" },
+    { name: "seo-title-<locale>", type: "string" },
+  ],
+};
+
+test("parses long, inline, alias, pattern and boolean flags", () => {
+  const parsed = parseCommandArgs(command, [
+    "-b",
+    "run-a",
+    "--keep=3",
+    "--checks",
+    "seo,links",
+    "--dry-run",
+    "--seo-title-en",
+    "Hello",
+  ]);
+  assert.deepEqual(parsed.values, {
+    base: "run-a",
+    keep: 3,
+    checks: ["seo", "links"],
+    "dry-run": true,
+    "seo-title-en": "Hello",
+  });
+  assert.equal(parsed.help, false);
+  assert.deepEqual(serializeCommandArgs(command, parsed), [
+    "--base",
+    "run-a",
+    "--keep",
+    "3",
+    "--checks",
+    "seo,links",
+    "--dry-run",
+    "--seo-title-en",
+    "Hello",
+  ]);
+});
+
+test("rejects unknown and malformed flags", () => {
+  const cases = [
+    [["--bogus"], /Unknown flag: --bogus/],
+    [["-x"], /Unknown flag: -x/],
+    [["--base"], /Missing value for --base/],
+    [["--base", "--keep", "2"], /Missing value for --base/],
+    [["--keep", "2.5"], /expects an integer/],
+    [["--keep", "0"], /--keep expects a value of at least 1, got "0"/],
+    [["--format", "xml"], /expects one of html, pdf/],
+    [["--checks", "seo,nope"], /unknown value\(s\) nope/],
+    [["--dry-run=yes"], /does not take a value/],
+    [["stray"], /Unexpected argument: stray/],
+  ];
+  for (const [argv, pattern] of cases) {
+    assert.throws(
+      () => parseCommandArgs(command, argv),
+      (error) => error instanceof CliUsageError && pattern.test(error.message),
+    );
+  }
+});
+
+test("-h always means help and help lists types and defaults", () => {
+  assert.equal(parseCommandArgs(command, ["-h"]).help, true);
+  const help = formatCommandHelp("quality compare", command);
+  assert.match(help, /yws-toolkit quality compare \[flags\]/);
+  assert.match(
+    help,
+    /--keep <integer>\s+Keep N\. \(type: integer, default: 5, min: 1\)/,
+  );
+  assert.match(help, /--format <html\|pdf>/);
+});
+
+test("command manifest lists every subcommand with its flags", () => {
+  const manifest = commandManifest();
+  const byCommand = Object.fromEntries(
+    manifest.commands.map((entry) => [entry.command, entry]),
+  );
+  assert.ok(byCommand["quality run"]);
+  assert.ok(byCommand["update toolkit"]);
+  const head = byCommand["quality compare"].flags.find(
+    (flag) => flag.name === "head",
+  );
+  assert.equal(head.alias, undefined);
+  const checks = byCommand["quality run"].flags.find(
+    (flag) => flag.name === "checks",
+  );
+  assert.equal(checks.type, "list");
+  assert.ok(checks.values.includes("lighthouse"));
+  for (const name of ["concurrency", "max-urls"]) {
+    const flag = byCommand["quality run"].flags.find(
+      (entry) => entry.name === name,
+    );
+    assert.equal(flag.min, 1);
+  }
+});
+
+test("quality run flags parse against the registry entry", () => {
+  const command = findCommand("quality run");
+  assert.equal(findCommand("quality nope"), null);
+  const parsed = parseCommandArgs(command, [
+    "--target=staging",
+    "--concurrency",
+    "2",
+    "--checks",
+    "seo,my-plugin",
+    "--reporter",
+    "ndjson",
+  ]);
+  assert.deepEqual(parsed.values, {
+    target: "staging",
+    concurrency: 2,
+    checks: ["seo", "my-plugin"],
+    reporter: "ndjson",
+  });
+  for (const argv of [["--concurrency", "0"], ["--max-urls=0"], ["--nope"]]) {
+    assert.throws(() => parseCommandArgs(command, argv), CliUsageError);
+  }
+});
@@ -0,0 +1,90 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  createProgressView,
+  formatDuration,
+  formatProgressRow,
+} from "../../src/cli/progress-view.mjs";
+
+function fakeStream({ isTTY = false } = {}) {
+  const chunks = [];
+  return {
+    isTTY,
+    columns: 120,
+    chunks,
+    write(chunk) {
+      chunks.push(chunk);
+    },
+  };
+}
+
+test("progress rows show pages done, elapsed time and ETA", () => {
+  assert.equal(formatDuration(42_000), "42s");
+  assert.equal(formatDuration(185_000), "3m 05s");
+  assert.equal(formatDuration(3_720_000), "1h 02m");
+
+  const row = { name: "Pa11y", startedAt: 0, done: 2, total: 10, url: "/a" };
+  assert.equal(
+    formatProgressRow(row, 60_000),
+    "Pa11y [  2 / 10 ] 1m 00s, ~4m 00s left /a",
+  );
+  assert.equal(
+    formatProgressRow({ ...row, done: 0, total: 0, url: "" }, 5_000),
+    "Pa11y [ 0 / ? ] 5s",
+  );
+});
+
+test("progress view tracks each running check from events", () => {
+  const stream = fakeStream();
+  const view = createProgressView({ stream, now: () => 30_000 });
+  const time = new Date(0).toISOString();
+  view.handleEvent({ type: "check.started", check: "seo", name: "SEO", time });
+  view.handleEvent({ type: "check.started", check: "axe", name: "aXe", time });
+  view.handleEvent({
+    type: "page.completed",
+    check: "seo",
+    current: 1,
+    total: 3,
+  });
+  view.handleEvent({
+    type: "check.progress",
+    check: "seo",
+    current: 2,
+    total: 3,
+    url: "/b",
+  });
+  view.handleEvent({
+    type: "check.progress",
+    check: "axe",
+    current: 1,
+    total: 4,
+    url: "/a",
+  });
+  view.handleEvent({ type: "check.finished", check: "seo", status: "passed" });
+  view.handleEvent({ type: "check.progress", check: "seo", url: "/c" });
+  view.stop();
+
+  assert.deepEqual(stream.chunks, [
+    "SEO [ 1 / 3 ] 30s, ~1m 00s left /b\n",
+    "aXe [ 0 / 4 ] 30s /a\n",
+  ]);
+});
+
+test("progress view prints log lines above the live block on a TTY", () => {
+  const stream = fakeStream({ isTTY: true });
+  const logs = [];
+  const view = createProgressView({ stream, now: () => 0 });
+  const logger = view.wrapLogger({ log: (line) => logs.push(line) });
+  view.handleEvent({ type: "check.started", check: "links", name: "Links" });
+  logger.log("✅ SEO audit completed");
+  view.stop();
+
+  assert.deepEqual(logs, ["✅ SEO audit completed"]);
+  assert.deepEqual(stream.chunks, [
+    "◐ Links [ 0 / ? ] 0s\n",
+    "\x1b[1F\x1b[0J",
+    "◐ Links [ 0 / ? ] 0s\n",
+    "\x1b[1F\x1b[0J",
+  ]);
+});
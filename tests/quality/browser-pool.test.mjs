@@ -0,0 +1,183 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { EventEmitter } from "node:events";
+
+import { authHeadersEnv } from "../../src/quality/common/auth-headers.mjs";
+import {
+  BROWSER_URL_ENV,
+  openBrowserSession,
+  pooledBrowserPort,
+  startBrowserPool,
+} from "../../src/quality/common/browser-pool.mjs";
+
+function fakePuppeteer() {
+  const launches = [];
+  const connects = [];
+  const createBrowser = () => {
+    const browser = new EventEmitter();
+    browser.connected = true;
+    browser.contexts = [];
+    browser.close = async () => {
+      browser.closed = true;
+      browser.connected = false;
+    };
+    browser.disconnect = async () => {
+      browser.connected = false;
+    };
+    browser.createBrowserContext = async () => {
+      const context = {
+        pages: [],
+        async newPage() {
+          const page = new EventEmitter();
+          page.isClosed = () => false;
+          page.setRequestInterception = async (value) => {
+            page.intercepting = value;
+          };
+          context.pages.push(page);
+          return page;
+        },
+        async close() {
+          context.closed = true;
+        },
+      };
+      browser.contexts.push(context);
+      return context;
+    };
+    return browser;
+  };
+  return {
+    launches,
+    connects,
+    async launch(options) {
+      const browser = createBrowser();
+      launches.push({ options, browser });
+      return browser;
+    },
+    async connect(options) {
+      const browser = createBrowser();
+      connects.push({ options, browser });
+      return browser;
+    },
+  };
+}
+
+const quietLogger = { log() {}, error() {} };
+
+test("browser pool leases the least-used browser and relaunches crashes", async () => {
+  const puppeteer = fakePuppeteer();
+  let port = 9300;
+  const pool = await startBrowserPool({
+    size: 2,
+    puppeteer,
+    getPort: async () => (port += 1),
+    logger: quietLogger,
+  });
+  assert.deepEqual(pool.browserURLs, [
+    "http://127.0.0.1:9301",
+    "http://127.0.0.1:9302",
+  ]);
+  assert.ok(
+    puppeteer.launches[0].options.args.includes("--remote-debugging-port=9301"),
+  );
+
+  const first = pool.lease();
+  const second = pool.lease();
+  assert.deepEqual(first.env, { [BROWSER_URL_ENV]: "http://127.0.0.1:9301" });
+  assert.equal(second.browserURL, "http://127.0.0.1:9302");
+  first.release();
+  assert.equal(pool.lease().browserURL, "http://127.0.0.1:9301");
+  assert.equal(pooledBrowserPort(second.env), 9302);
+
+  puppeteer.launches[0].browser.emit("disconnected");
+  await new Promise((resolve) => setImmediate(resolve));
+  assert.equal(puppeteer.launches.length, 3);
+  assert.ok(
+    puppeteer.launches[2].options.args.includes("--remote-debugging-port=9301"),
+  );
+
+  await pool.close();
+  assert.equal(puppeteer.launches[2].browser.closed, true);
+  assert.equal(puppeteer.launches[1].browser.closed, true);
+  assert.equal(puppeteer.launches.length, 3);
+});
+
+test("browser pool rethrows a failed launch even when closing the others fails", async () => {
+  const puppeteer = fakePuppeteer();
+  const launch = puppeteer.launch;
+  puppeteer.launch = async (options) => {
+    if (puppeteer.launches.length) throw new Error("no sandbox");
+    const browser = await launch(options);
+    browser.close = async () => {
+      throw new Error("already gone");
+    };
+    return browser;
+  };
+  let port = 9300;
+  await assert.rejects(
+    startBrowserPool({
+      size: 2,
+      puppeteer,
+      getPort: async () => (port += 1),
+      logger: quietLogger,
+    }),
+    /no sandbox/,
+  );
+});
+
+test("browser sessions attach to the pooled browser in their own context", async () => {
+  const puppeteer = fakePuppeteer();
+  const env = { [BROWSER_URL_ENV]: "http://127.0.0.1:9301" };
+  const session = await openBrowserSession(puppeteer, { env });
+
+  assert.equal(session.pooled, true);
+  assert.equal(puppeteer.launches.length, 0);
+  assert.deepEqual(puppeteer.connects[0].options, {
+    browserURL: "http://127.0.0.1:9301",
+  });
+  const page = await session.page();
+  assert.equal(await session.page(), page);
+
+  // A relaunched browser is picked up on the next page request.
+  puppeteer.connects[0].browser.connected = false;
+  const next = await session.page();
+  assert.notEqual(next, page);
+  assert.equal(puppeteer.connects.length, 2);
+
+  await session.close();
+  const [, { browser }] = puppeteer.connects;
+  assert.equal(browser.contexts[0].closed, true);
+  assert.equal(browser.connected, false);
+  assert.equal(browser.closed, undefined);
+});
+
+test("browser session pages send auth headers to the target's origin only", async () => {
+  const puppeteer = fakePuppeteer();
+  const env = {
+    [BROWSER_URL_ENV]: "http://127.0.0.1:9301",
+    ...authHeadersEnv("https://uat.example.com/", {
+      Authorization: "Basic abc",
+    }),
+  };
+  const session = await openBrowserSession(puppeteer, { env });
+  const page = await session.page();
+  assert.equal(page.intercepting, true);
+
+  const continued = [];
+  const request = (url) => ({
+    url: () => url,
+    headers: () => ({ accept: "text/html" }),
+    continue: async (overrides) => {
+      continued.push([url, overrides?.headers || null]);
+    },
+  });
+  page.emit("request", request("https://uat.example.com/about/"));
+  page.emit("request", request("https://fonts.example.net/font.woff2"));
+  await new Promise((resolve) => setImmediate(resolve));
+  assert.deepEqual(continued, [
+    [
+      "https://uat.example.com/about/",
+      { accept: "text/html", Authorization: "Basic abc" },
+    ],
+    ["https://fonts.example.net/font.woff2", null],
+  ]);
+});
@@ -0,0 +1,93 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+import { runDoctor } from "../../src/quality/core/doctor.mjs";
+
+function makeProject() {
+  const cwd = fs.mkdtempSync(path.join(os.tmpdir(), "yws-doctor-"));
+  fs.writeFileSync(
+    path.join(cwd, "quality.config.json"),
+    JSON.stringify({ checks: { enabled: ["seo", "vnu", "security"] } }),
+  );
+  fs.writeFileSync(
+    path.join(cwd, ".env"),
+    "SITE_URL=https://example.com\nSTAGING_URL=not a url\n",
+  );
+  return cwd;
+}
+
+test("doctor probes only the enabled checks and reports actionable statuses", async () => {
+  const cwd = makeProject();
+  try {
+    const { results, checks } = await runDoctor({
+      cwd,
+      env: {},
+      nodeVersion: "v22.12.0",
+      probes: {
+        resolvePackage: () => "/fake/package.json",
+        chromiumPath: async () => null,
+        commandVersion: (cmd) => (cmd === "java" ? null : "1.0.0"),
+      },
+    });
+    const byId = (id) => results.filter((entry) => entry.id === id);
+
+    assert.deepEqual(checks, ["seo", "vnu", "security"]);
+    assert.equal(byId("node")[0].status, "pass");
+    assert.equal(byId("check:seo")[0].status, "pass");
+    assert.equal(byId("check:vnu")[0].status, "fail");
+    assert.match(byId("check:vnu")[0].fix, /Java/);
+    assert.equal(byId("check:security")[0].status, "pass");
+    assert.equal(byId("check:lighthouse").length, 0);
+    assert.equal(byId("env:SITE_URL")[0].status, "pass");
+    assert.equal(byId("env:STAGING_URL")[0].status, "fail");
+    assert.equal(byId("build")[0].status, "warn");
+    assert.equal(byId("reports")[0].status, "pass");
+    assert.equal(fs.existsSync(path.join(cwd, "reports")), false);
+  } finally {
+    fs.rmSync(cwd, { recursive: true, force: true });
+  }
+});
+
+test("doctor fails on old Node versions", async () => {
+  const cwd = makeProject();
+  try {
+    const { results } = await runDoctor({
+      cwd,
+      env: {},
+      nodeVersion: "v20.19.5",
+      probes: {
+        resolvePackage: () => "/fake/package.json",
+        chromiumPath: async () => null,
+        commandVersion: () => "1.0.0",
+      },
+    });
+    assert.equal(results.find((entry) => entry.id === "node").status, "fail");
+  } finally {
+    fs.rmSync(cwd, { recursive: true, force: true });
+  }
+});
+
+test("doctor fails reports when the path is taken by a file", async () => {
+  const cwd = makeProject();
+  try {
+    fs.writeFileSync(path.join(cwd, "reports"), "");
+    const { results } = await runDoctor({
+      cwd,
+      env: {},
+      nodeVersion: "v22.12.0",
+      probes: {
+        resolvePackage: () => "/fake/package.json",
+        chromiumPath: async () => null,
+        commandVersion: () => "1.0.0",
+      },
+    });
+    const reports = results.find((entry) => entry.id === "reports");
+    assert.equal(reports.status, "fail");
+    assert.match(reports.message, /not a directory/);
+  } finally {
+    fs.rmSync(cwd, { recursive: true, force: true });
+  }
+});
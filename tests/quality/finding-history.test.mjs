@@ -0,0 +1,189 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+import { makeFinding } from "../../src/quality/core/findings.mjs";
+import {
+  applyFindingHistory,
+  diffRunFindings,
+  readFindingBaselines,
+} from "../../src/quality/core/finding-history.mjs";
+import { validateRunDataset } from "../../src/quality/core/run-schema.mjs";
+import { readRun, writeRunSnapshot } from "../../src/quality/store/index.mjs";
+
+function dataset(runId, createdAt, findings) {
+  return {
+    schemaVersion: "2.0.0",
+    runId,
+    createdAt,
+    target: {
+      key: "staging",
+      baseUrl: "https://example.com",
+      usesLocalBuild: false,
+    },
+    selectedChecks: ["axe"],
+    failures: [],
+    checks: { axe: { selected: true, failed: findings.length > 0, findings } },
+  };
+}
+
+test("fingerprints ignore origins, query strings, attribute values and scores", () => {
+  const fingerprint = (fields) => makeFinding("axe", fields).fingerprint;
+  assert.equal(
+    fingerprint({
+      ruleId: "link-name",
+      pageUrl: "http://127.0.0.1:4321/fr/contact/?preview=1",
+      selector: 'a[href="/fr/?utm_source=x"][data-astro-cid-1a2b3c]',
+    }),
+    fingerprint({
+      ruleId: "link-name",
+      pageUrl: "https://example.com/fr/contact/index.html#form",
+      selector: 'a[href="/fr/"][data-astro-cid-9z8y7x]',
+    }),
+  );
+  assert.notEqual(
+    fingerprint({
+      ruleId: "link-name",
+      pageUrl: "/fr/contact/",
+      selector: "a",
+    }),
+    fingerprint({ ruleId: "link-name", pageUrl: "/fr/about/", selector: "a" }),
+  );
+
+  const lighthouse = (score, at) =>
+    makeFinding("lighthouse", {
+      ruleId: "categories:performance",
+      pageUrl: "https://example.com/",
+      message: `performance score ${score} is below 0.9 (run 2026-01-01T00-00-00-000Z-ab12cd at ${at}).`,
+    }).fingerprint;
+  assert.equal(
+    lighthouse(0.71, "2026-01-01T10:00:00.000Z"),
+    lighthouse(0.64, "2026-02-03T08:30:00Z"),
+  );
+});
+
+test("findings keep their first run across snapshots of a target", () => {
+  const cwd = fs.mkdtempSync(path.join(os.tmpdir(), "yws-findings-"));
+  const kept = makeFinding("axe", {
+    ruleId: "image-alt",
+    pageUrl: "https://example.com/",
+    selector: "img.hero",
+  });
+  const fixed = makeFinding("axe", {
+    ruleId: "label",
+    pageUrl: "https://example.com/contact/",
+    selector: "input#email",
+  });
+  const first = applyFindingHistory(
+    dataset("run-1", "2026-01-01T00:00:00.000Z", [kept, fixed]),
+    null,
+    { runId: "run-1", createdAt: "2026-01-01T00:00:00.000Z" },
+  );
+  assert.deepEqual(first.checks.axe.findings[0].firstSeen, {
+    runId: "run-1",
+    createdAt: "2026-01-01T00:00:00.000Z",
+  });
+  writeRunSnapshot({
+    cwd,
+    runId: "run-1",
+    meta: { createdAt: "2026-01-01T00:00:00.000Z", target: "staging" },
+    dataset: first,
+  });
+  writeRunSnapshot({
+    cwd,
+    runId: "other-target",
+    meta: { createdAt: "2026-01-02T00:00:00.000Z", target: "production" },
+    dataset: dataset("other-target", "2026-01-02T00:00:00.000Z", []),
+  });
+
+  const baselines = readFindingBaselines(cwd, {
+    target: "staging",
+    before: "2026-01-03T00:00:00.000Z",
+    checkIds: ["axe"],
+  });
+  assert.equal(baselines.axe.runId, "run-1");
+
+  const added = makeFinding("axe", {
+    ruleId: "color-contrast",
+    pageUrl: "https://example.com/",
+    selector: "p.lead",
+  });
+  const second = applyFindingHistory(
+    dataset("run-2", "2026-01-03T00:00:00.000Z", [kept, added]),
+    baselines,
+    { runId: "run-2", createdAt: "2026-01-03T00:00:00.000Z" },
+  );
+  const [keptAgain, addedNow] = second.checks.axe.findings;
+  assert.equal(keptAgain.firstSeen.runId, "run-1");
+  assert.equal(keptAgain.lastSeen.runId, "run-2");
+  assert.equal(addedNow.firstSeen.runId, "run-2");
+  assert.deepEqual(validateRunDataset(second), []);
+
+  const previous = readRun("run-1", cwd);
+  const diff = diffRunFindings(previous.dataset, second);
+  assert.deepEqual(
+    Object.fromEntries(
+      Object.entries(diff.axe).map(([key, findings]) => [
+        key,
+        findings.map((finding) => finding.ruleId),
+      ]),
+    ),
+    { new: ["color-contrast"], open: ["image-alt"], fixed: ["label"] },
+  );
+  assert.equal(diff.axe.fixed[0].lastSeen.runId, "run-1");
+});
+
+test("a check's baseline skips runs that did not run it", () => {
+  const cwd = fs.mkdtempSync(path.join(os.tmpdir(), "yws-findings-"));
+  const kept = makeFinding("axe", {
+    ruleId: "image-alt",
+    pageUrl: "https://example.com/",
+    selector: "img.hero",
+  });
+  const first = applyFindingHistory(
+    dataset("run-1", "2026-01-01T00:00:00.000Z", [kept]),
+    {},
+    { runId: "run-1", createdAt: "2026-01-01T00:00:00.000Z" },
+  );
+  writeRunSnapshot({
+    cwd,
+    runId: "run-1",
+    meta: { createdAt: "2026-01-01T00:00:00.000Z", target: "staging" },
+    dataset: first,
+  });
+  const skipped = dataset("run-2", "2026-01-02T00:00:00.000Z", []);
+  writeRunSnapshot({
+    cwd,
+    runId: "run-2",
+    meta: { createdAt: "2026-01-02T00:00:00.000Z", target: "staging" },
+    dataset: { ...skipped, selectedChecks: [], checks: {} },
+  });
+  writeRunSnapshot({
+    cwd,
+    runId: "run-3",
+    meta: {
+      createdAt: "2026-01-03T00:00:00.000Z",
+      target: "staging",
+      status: "interrupted",
+    },
+    dataset: dataset("run-3", "2026-01-03T00:00:00.000Z", []),
+  });
+
+  const baselines = readFindingBaselines(cwd, {
+    target: "staging",
+    before: "2026-01-04T00:00:00.000Z",
+    checkIds: ["axe", "pa11y"],
+  });
+  assert.deepEqual(Object.keys(baselines), ["axe"]);
+  assert.equal(baselines.axe.runId, "run-1");
+
+  const fourth = applyFindingHistory(
+    dataset("run-4", "2026-01-04T00:00:00.000Z", [kept]),
+    baselines,
+    { runId: "run-4", createdAt: "2026-01-04T00:00:00.000Z" },
+  );
+  assert.equal(fourth.checks.axe.findings[0].firstSeen.runId, "run-1");
+  assert.equal(fourth.checks.axe.findings[0].lastSeen.runId, "run-4");
+});
@@ -0,0 +1,94 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { normalizeLighthousePayload } from "../../src/quality/checks/lighthouse/normalize.mjs";
+import { resolveQualityConfig } from "../../src/quality/core/config.mjs";
+import {
+  evaluateQualityGate,
+  formatGateResult,
+  parseGateRule,
+} from "../../src/quality/core/gate.mjs";
+
+test("gate rules parse into check, metric, operator and expected value", () => {
+  assert.deepEqual(parseGateRule(" lighthouse.best-practices>=0.9 "), {
+    rule: "lighthouse.best-practices >= 0.9",
+    check: "lighthouse",
+    metric: "best-practices",
+    operator: ">=",
+    expected: 0.9,
+  });
+  assert.equal(parseGateRule("seo.errorCount = 0"), null);
+  assert.equal(parseGateRule("errorCount <= 0"), null);
+});
+
+test("the gate evaluates payload stats and scores into a verdict", async () => {
+  const config = await resolveQualityConfig({
+    gate: {
+      rules: [
+        "seo.errorCount <= 0",
+        "links.broken == 0",
+        "lighthouse.performance >= 0.9",
+        "lighthouse.seo >= 0.9",
+        "axe.violationCount <= 0",
+      ],
+    },
+  });
+  const dataset = {
+    checks: {
+      seo: { selected: true, failed: true, stats: { errorCount: 2 } },
+      links: { selected: true, failed: false, stats: { broken: 0 } },
+      lighthouse: normalizeLighthousePayload({
+        stats: { assertionFailures: 0, runFailures: 0 },
+        metrics: [
+          { url: "/", scores: { performance: 0.95, seo: 1 } },
+          { url: "/about", scores: { performance: 0.92, seo: null } },
+        ],
+      }),
+    },
+  };
+
+  const gate = evaluateQualityGate(dataset, config.gate.rules);
+  assert.equal(gate.status, "failed");
+  assert.equal(gate.failed, 1);
+  assert.deepEqual(
+    gate.rules.map((result) => [result.rule, result.status, result.actual]),
+    [
+      ["seo.errorCount <= 0", "failed", 2],
+      ["links.broken == 0", "passed", 0],
+      ["lighthouse.performance >= 0.9", "passed", 0.92],
+      ["lighthouse.seo >= 0.9", "passed", 1],
+      ["axe.violationCount <= 0", "skipped", null],
+    ],
+  );
+  assert.equal(formatGateResult(gate.rules[0]), "seo.errorCount <= 0 (got 2)");
+
+  dataset.checks.seo.stats = {};
+  const missing = evaluateQualityGate(dataset, config.gate.rules.slice(0, 1));
+  assert.equal(missing.status, "failed");
+  assert.equal(
+    formatGateResult(missing.rules[0]),
+    "seo.errorCount <= 0 (metric not reported)",
+  );
+  assert.equal(evaluateQualityGate(dataset, []).status, "skipped");
+});
+
+test("invalid gate rules fail config validation", async () => {
+  await assert.rejects(
+    resolveQualityConfig({
+      gate: { rules: ["seo.errorCount => 0", "seoo.errorCount <= 0"] },
+      profiles: { production: { gate: { rules: ["links.broken"] } } },
+    }),
+    (error) => {
+      assert.deepEqual(
+        error.details.map((issue) => `${issue.path}: ${issue.message}`),
+        [
+          '$.gate.rules[0]: expected "<check>.<metric> <op> <number>"',
+          '$.gate.rules[1]: unknown check id "seoo"',
+          '$.profiles.production.gate.rules[0]: expected "<check>.<metric> <op> <number>"',
+        ],
+      );
+      assert.equal(error.details[1].suggestion, "seo");
+      return true;
+    },
+  );
+});
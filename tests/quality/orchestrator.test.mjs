@@ -2,6 +2,10 @@ import test from "node:test";
 import assert from "node:assert/strict";
 
 import { registerDefaultQualityChecks } from "../../src/quality/checks/index.mjs";
+import {
+  EVENT_LINE_PREFIX,
+  parseEventLine,
+} from "../../src/quality/common/events.mjs";
 import { orderedSelectedChecks } from "../../src/quality/core/config.mjs";
 import {
   buildChecksPlanFromRunners,
@@ -153,3 +157,339 @@ test("runPlannedQualityChecks delegates plan+runners", async () => {
   assert.equal(result.failures.length, 0);
   assert.equal(result.checks.jsonld?.summary, "jsonld done");
 });
+
+test("runQualityChecks runs checks in parallel without sharing resources", async () => {
+  const events = [];
+  const check = (
+    id,
+    { exclusive = false, resources = [], failed = false } = {},
+  ) => ({
+    id,
+    name: id,
+    enabled: true,
+    exclusive,
+    resources,
+    async run() {
+      events.push(`start:${id}`);
+      await new Promise((resolve) => setTimeout(resolve, 5));
+      events.push(`end:${id}`);
+      return { summary: "", failed };
+    },
+  });
+  const quiet = { log() {}, error() {} };
+
+  const result = await runQualityChecks({
+    checks: [
+      check("lighthouse", { resources: ["cpu-heavy"], failed: true }),
+      check("sitespeed", { resources: ["cpu-heavy"] }),
+      check("seo", { failed: true }),
+      check("form", { exclusive: true }),
+      check("links"),
+    ],
+    concurrency: 3,
+    logger: quiet,
+  });
+
+  assert.deepEqual(events, [
+    "start:lighthouse",
+    "start:seo",
+    "end:lighthouse",
+    "start:sitespeed",
+    "end:seo",
+    "end:sitespeed",
+    "start:form",
+    "end:form",
+    "start:links",
+    "end:links",
+  ]);
+  assert.deepEqual(result.failures, ["lighthouse", "seo"]);
+
+  const plan = resolveCheckExecutionPlan({
+    selectedChecks: { lighthouse: true, seo: true },
+    qualityConfig: {
+      checks: { exclusive: ["seo"], resources: { lighthouse: ["browser"] } },
+    },
+    registeredChecks: registerDefaultQualityChecks().map((entry) => ({
+      ...entry,
+      enabled: true,
+    })),
+  });
+  assert.deepEqual(
+    plan.map((entry) => [entry.id, entry.exclusive, entry.resources]),
+    [
+      ["lighthouse", false, ["browser"]],
+      ["seo", true, []],
+    ],
+  );
+});
+
+test("runQualityChecks times out and retries crashed checks", async () => {
+  const logs = [];
+  const retries = [];
+  let hangAttempts = 0;
+  let flakyAttempts = 0;
+  const result = await runQualityChecks({
+    checks: [
+      {
+        id: "hang",
+        name: "Hang",
+        enabled: true,
+        timeoutMs: 20,
+        retries: 1,
+        run({ signal }) {
+          hangAttempts += 1;
+          return new Promise((resolve, reject) => {
+            signal.addEventListener("abort", () => reject(signal.reason));
+          });
+        },
+      },
+      {
+        id: "flaky",
+        name: "Flaky",
+        enabled: true,
+        retries: 2,
+        async run({ attempt }) {
+          flakyAttempts += 1;
+          if (attempt === 1) throw new Error("browser disconnected");
+          return { summary: "flaky ok", failed: false };
+        },
+      },
+      {
+        id: "ignores-signal",
+        name: "Ignores signal",
+        enabled: true,
+        timeoutMs: 10,
+        run: () => new Promise(() => {}),
+      },
+    ],
+    abortGraceMs: 10,
+    onRetry: (entry) => retries.push(entry),
+    logger: {
+      log: (message) => logs.push(String(message)),
+      error: (message) => logs.push(String(message)),
+    },
+  });
+
+  assert.equal(hangAttempts, 2);
+  assert.equal(flakyAttempts, 2);
+  assert.deepEqual(result.failures, ["Hang", "Ignores signal"]);
+  assert.deepEqual(result.execution, {
+    hang: { attempts: 2, timedOut: true },
+    flaky: { attempts: 2, timedOut: false },
+    "ignores-signal": { attempts: 1, timedOut: true },
+  });
+  assert.deepEqual(retries, [
+    { id: "hang", attempt: 1 },
+    { id: "flaky", attempt: 1 },
+  ]);
+  assert.equal(result.summaries.flaky, "flaky ok");
+  assert.ok(logs.includes("⏱️  Hang timed out after 20ms"));
+  assert.ok(logs.includes("🔁 Flaky: retry 1/2"));
+});
+
+test("runQualityChecks fails a check whose onRetry throws and finishes the rest", async () => {
+  const logs = [];
+  const ran = [];
+  const hookErrors = [];
+  const result = await runQualityChecks({
+    checks: [
+      {
+        id: "flaky",
+        name: "Flaky",
+        enabled: true,
+        retries: 1,
+        async run() {
+          ran.push("flaky");
+          throw new Error("browser disconnected");
+        },
+      },
+      {
+        id: "after",
+        name: "After",
+        enabled: true,
+        async run() {
+          ran.push("after");
+          return { summary: "after ok", failed: false };
+        },
+      },
+    ],
+    onRetry: () => {
+      throw new Error("cannot archive attempt");
+    },
+    hooks: {
+      onFailure: (check, outcome) => hookErrors.push(outcome.error.message),
+    },
+    logger: {
+      log: (message) => logs.push(String(message)),
+      error: (message) => logs.push(String(message)),
+    },
+  });
+
+  assert.deepEqual(ran, ["flaky", "after"]);
+  assert.deepEqual(result.failures, ["Flaky"]);
+  assert.equal(result.checks.flaky, null);
+  assert.deepEqual(result.execution.flaky, { attempts: 2, timedOut: false });
+  assert.deepEqual(hookErrors, ["cannot archive attempt"]);
+  assert.equal(result.summaries.after, "after ok");
+  assert.ok(logs.includes("❌ Flaky crashed: cannot archive attempt"));
+});
+
+test("runQualityChecks stops running and pending checks when interrupted", async () => {
+  const controller = new AbortController();
+  const logs = [];
+  const result = await runQualityChecks({
+    checks: [
+      {
+        id: "seo",
+        name: "SEO audit",
+        enabled: true,
+        async run() {
+          return { summary: "seo done", failed: true };
+        },
+      },
+      {
+        id: "axe",
+        name: "aXe",
+        enabled: true,
+        run({ signal }) {
+          setTimeout(() => controller.abort(new Error("SIGINT")), 5);
+          return new Promise((resolve, reject) => {
+            signal.addEventListener("abort", () => reject(signal.reason));
+          });
+        },
+      },
+      {
+        id: "links",
+        name: "Link check",
+        enabled: true,
+        async run() {
+          return { summary: "links done", failed: false };
+        },
+      },
+    ],
+    signal: controller.signal,
+    buildDataset: ({ checks, interrupted }) => ({
+      finished: Object.keys(checks).filter((id) => checks[id]),
+      interrupted,
+    }),
+    logger: {
+      log: (message) => logs.push(String(message)),
+      error: (message) => logs.push(String(message)),
+    },
+  });
+
+  assert.deepEqual(result.interrupted, ["axe", "links"]);
+  assert.deepEqual(result.failures, ["SEO audit"]);
+  assert.deepEqual(result.dataset, {
+    finished: ["seo"],
+    interrupted: ["axe", "links"],
+  });
+  assert.ok(logs.includes("⏹️  aXe interrupted"));
+  assert.ok(logs.includes("⏭️  Link check (not started, run interrupted)"));
+});
+
+test("runQualityChecks calls check hooks and survives hook errors", async () => {
+  const calls = [];
+  const logs = [];
+  const result = await runQualityChecks({
+    checks: [
+      {
+        id: "seo",
+        name: "SEO audit",
+        enabled: true,
+        async run() {
+          return { summary: "seo done", failed: true };
+        },
+      },
+      {
+        id: "links",
+        name: "Link check",
+        enabled: true,
+        async run() {
+          throw new Error("crawler crashed");
+        },
+      },
+    ],
+    hooks: {
+      beforeCheck: (check) => {
+        calls.push(["beforeCheck", check.id]);
+        if (check.id === "seo") throw new Error("seed failed");
+      },
+      afterCheck: (check, outcome) =>
+        calls.push(["afterCheck", check.id, outcome.failed, outcome.attempts]),
+      onFailure: (check, outcome) =>
+        calls.push(["onFailure", check.id, outcome.error?.message || null]),
+    },
+    logger: {
+      log: (message) => logs.push(String(message)),
+      error: (message) => logs.push(String(message)),
+    },
+  });
+
+  assert.deepEqual(calls, [
+    ["beforeCheck", "seo"],
+    ["afterCheck", "seo", true, 1],
+    ["onFailure", "seo", null],
+    ["beforeCheck", "links"],
+    ["afterCheck", "links", true, 1],
+    ["onFailure", "links", "crawler crashed"],
+  ]);
+  assert.deepEqual(result.failures, ["SEO audit", "Link check"]);
+  assert.equal(result.summaries.seo, "seo done");
+  assert.ok(logs.includes("⚠️  Hook for SEO audit failed: seed failed"));
+});
+
+test("runQualityChecks emits check.started and check.finished events", async () => {
+  const events = [];
+  await runQualityChecks({
+    checks: [
+      {
+        id: "seo",
+        name: "SEO audit",
+        enabled: true,
+        async run() {
+          return { summary: "seo done", failed: false };
+        },
+      },
+      {
+        id: "links",
+        name: "Link check",
+        enabled: true,
+        async run() {
+          throw new Error("crawler crashed");
+        },
+      },
+      { id: "axe", name: "aXe", enabled: false },
+    ],
+    onEvent: (event) => events.push(event),
+    logger: { log() {}, error() {} },
+  });
+
+  assert.deepEqual(
+    events.map((event) => [event.type, event.check, event.status]),
+    [
+      ["check.started", "seo", undefined],
+      ["check.finished", "seo", "passed"],
+      ["check.started", "links", undefined],
+      ["check.finished", "links", "failed"],
+    ],
+  );
+  const finished = events[1];
+  assert.equal(finished.v, 1);
+  assert.equal(finished.summary, "seo done");
+  assert.equal(finished.attempts, 1);
+  assert.equal(typeof finished.durationMs, "number");
+  assert.ok(!Number.isNaN(Date.parse(finished.time)));
+});
+
+test("parseEventLine reads prefixed check script events only", () => {
+  assert.deepEqual(
+    parseEventLine(
+      `${EVENT_LINE_PREFIX}{"type":"check.progress","current":2,"total":5,"url":"/a"}`,
+    ),
+    { type: "check.progress", current: 2, total: 5, url: "/a" },
+  );
+  assert.equal(parseEventLine(`${EVENT_LINE_PREFIX}{"type":"bogus"}`), null);
+  assert.equal(parseEventLine(`${EVENT_LINE_PREFIX}{not json`), null);
+  assert.equal(parseEventLine("Running Lighthouse 2/5"), null);
+});
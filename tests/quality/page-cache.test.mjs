@@ -0,0 +1,116 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+import {
+  PAGE_CACHE_ENV,
+  createPageCache,
+  createPageFetcher,
+} from "../../src/quality/common/page-cache.mjs";
+import { authHeadersEnv } from "../../src/quality/common/auth-headers.mjs";
+
+function htmlResponse(body, { status = 200, url = "" } = {}) {
+  const response = new Response(body, {
+    status,
+    headers: { "content-type": "text/html", "content-length": "99" },
+  });
+  if (url) Object.defineProperty(response, "url", { value: url });
+  return response;
+}
+
+test("page cache fetches each selected page once and serves it to checks", async () => {
+  const dir = path.join(
+    fs.mkdtempSync(path.join(os.tmpdir(), "yws-pages-")),
+    "pages",
+  );
+  const fetched = [];
+  const cache = createPageCache({
+    dir,
+    headers: { Authorization: "Bearer x" },
+    fetchImpl: async (url, init) => {
+      fetched.push([url, init.headers.Authorization]);
+      if (url.endsWith("/down")) throw new Error("connect ECONNREFUSED");
+      return htmlResponse("<h1>About</h1>", {
+        url: "https://example.com/about/",
+      });
+    },
+  });
+  await cache.remember(
+    "https://example.com/",
+    htmlResponse("<h1>Home</h1>", { url: "https://example.com/" }),
+  );
+  const stats = await cache.fill([
+    "https://example.com/",
+    "https://example.com/about",
+    "https://example.com/down",
+  ]);
+
+  assert.deepEqual(stats, { pages: 3, fetched: 2, failed: 1 });
+  assert.deepEqual(fetched, [
+    ["https://example.com/about", "Bearer x"],
+    ["https://example.com/down", "Bearer x"],
+  ]);
+  const index = JSON.parse(fs.readFileSync(path.join(dir, "index.json")));
+  assert.equal(index.pages["https://example.com/about"].file, "002-about.html");
+  assert.equal(index.pages["https://example.com/down"].file, null);
+
+  const live = [];
+  const fetchPage = createPageFetcher({
+    env: { [PAGE_CACHE_ENV]: dir },
+    fetchImpl: async (url, init) => {
+      live.push([url, init.method || "GET"]);
+      return htmlResponse("live");
+    },
+  });
+  const about = await fetchPage("https://example.com/about");
+  assert.equal(about.status, 200);
+  assert.equal(about.url, "https://example.com/about/");
+  assert.equal(about.headers.get("content-type"), "text/html");
+  assert.equal(about.headers.get("content-length"), null);
+  assert.equal(await about.text(), "<h1>About</h1>");
+  assert.equal(
+    await (await fetchPage("https://example.com/")).text(),
+    "<h1>Home</h1>",
+  );
+  await assert.rejects(fetchPage("https://example.com/down"), /ECONNREFUSED/);
+
+  await fetchPage("https://example.com/about", { method: "HEAD" });
+  await fetchPage("https://example.com/other");
+  assert.deepEqual(live, [
+    ["https://example.com/about", "HEAD"],
+    ["https://example.com/other", "GET"],
+  ]);
+});
+
+test("page fetcher goes to the network without a page cache", async () => {
+  const fetchPage = createPageFetcher({
+    env: {},
+    fetchImpl: async () => htmlResponse("live"),
+  });
+  assert.equal(await (await fetchPage("https://example.com/")).text(), "live");
+});
+
+test("page fetcher sends the target's auth headers only to its origin", async () => {
+  const sent = [];
+  const fetchPage = createPageFetcher({
+    env: authHeadersEnv("https://uat.example.com/", {
+      Authorization: "Basic abc",
+    }),
+    fetchImpl: async (url, init) => {
+      sent.push([url, new Headers(init.headers).get("authorization")]);
+      return htmlResponse("live");
+    },
+  });
+  await fetchPage("https://uat.example.com/about/");
+  await fetchPage("https://uat.example.com/", {
+    headers: { Authorization: "Bearer own" },
+  });
+  await fetchPage("https://cdn.example.com/app.js");
+  assert.deepEqual(sent, [
+    ["https://uat.example.com/about/", "Basic abc"],
+    ["https://uat.example.com/", "Bearer own"],
+    ["https://cdn.example.com/app.js", null],
+  ]);
+});
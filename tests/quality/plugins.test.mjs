@@ -0,0 +1,202 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+import {
+  applyQualityConfigToSelection,
+  loadQualityConfig,
+  orderedSelectedChecks,
+} from "../../src/quality/core/config.mjs";
+import {
+  buildCanonicalDataset,
+  selectedCheckIds,
+} from "../../src/quality/core/dataset.mjs";
+import { QualityConfigError } from "../../src/quality/core/errors.mjs";
+import { makeFinding } from "../../src/quality/core/findings.mjs";
+import {
+  loadQualityPlugins,
+  runPluginCheck,
+} from "../../src/quality/core/plugins.mjs";
+import { validateRunDataset } from "../../src/quality/core/run-schema.mjs";
+import { buildCheckAvailability } from "../../src/quality/core/targets.mjs";
+import { reportNavLinks } from "../../src/quality/renderers/nav.mjs";
+
+const PLUGIN_SOURCE = `export default {
+  id: "cookie-banner",
+  name: "Cookie banner",
+  async collect({ urls, options }) {
+    return { missing: urls.filter((url) => url.includes(options.match)) };
+  },
+  async normalize(raw) {
+    return {
+      failed: raw.missing.length > 0,
+      stats: { missing: raw.missing.length },
+      issues: raw.missing,
+    };
+  },
+  async summarize(normalized) {
+    return { summary: "cookie summary", failed: normalized.failed };
+  },
+  capabilities: { supportsLocalBuild: false },
+};
+`;
+
+function tempProject() {
+  const cwd = fs.mkdtempSync(path.join(os.tmpdir(), "yws-quality-plugins-"));
+  fs.mkdirSync(path.join(cwd, "quality"));
+  fs.writeFileSync(
+    path.join(cwd, "quality", "cookie-banner.mjs"),
+    PLUGIN_SOURCE,
+    "utf8",
+  );
+  return cwd;
+}
+
+test("plugins from quality.config keep their ids through normalization", async () => {
+  const cwd = tempProject();
+  fs.writeFileSync(
+    path.join(cwd, "quality.config.json"),
+    JSON.stringify({
+      plugins: ["./quality/cookie-banner.mjs"],
+      checks: {
+        enabled: ["seo", "cookie-banner"],
+        order: ["cookie-banner", "seo"],
+        options: { "cookie-banner": { match: "/en" } },
+      },
+    }),
+    "utf8",
+  );
+
+  const config = await loadQualityConfig(cwd);
+  assert.deepEqual(
+    config.plugins.map((check) => [check.id, check.name, check.source]),
+    [["cookie-banner", "Cookie banner", "./quality/cookie-banner.mjs"]],
+  );
+  assert.deepEqual(config.checks.enabled, ["seo", "cookie-banner"]);
+  assert.deepEqual(config.checks.options["cookie-banner"], { match: "/en" });
+
+  const remote = buildCheckAvailability(
+    { usesLocalBuild: false },
+    config.plugins,
+  );
+  const local = buildCheckAvailability(
+    { usesLocalBuild: true },
+    config.plugins,
+  );
+  assert.equal(remote["cookie-banner"].enabled, true);
+  assert.equal(local["cookie-banner"].enabled, false);
+
+  const selection = applyQualityConfigToSelection({}, config, remote);
+  assert.deepEqual(orderedSelectedChecks(selection, config), [
+    "cookie-banner",
+    "seo",
+  ]);
+  assert.deepEqual(selectedCheckIds(selection), ["seo", "cookie-banner"]);
+});
+
+test("plugin loading rejects invalid and colliding checks", async () => {
+  const cwd = tempProject();
+  const valid = {
+    id: "seo",
+    collect: async () => ({}),
+    normalize: async () => ({}),
+    summarize: async () => "",
+  };
+
+  await assert.rejects(
+    loadQualityPlugins([valid], { cwd, reservedIds: ["seo"] }),
+    (error) =>
+      error instanceof QualityConfigError &&
+      /already used by the toolkit/.test(error.message),
+  );
+  await assert.rejects(
+    loadQualityPlugins(
+      ["./quality/cookie-banner.mjs", "./quality/cookie-banner.mjs"],
+      { cwd },
+    ),
+    /already used by \.\/quality\/cookie-banner\.mjs/,
+  );
+  for (const id of ["index", "pages"]) {
+    await assert.rejects(
+      loadQualityPlugins([{ ...valid, id }], { cwd }),
+      /already used by the toolkit/,
+    );
+  }
+  await assert.rejects(
+    loadQualityPlugins([{ ...valid, id: "Bad_Id" }], { cwd }),
+    /lowercase letters/,
+  );
+  await assert.rejects(
+    loadQualityPlugins([{ id: "half" }], { cwd }),
+    /missing collect\(\)/,
+  );
+  await assert.rejects(
+    loadQualityPlugins(["./quality/missing.mjs"], { cwd }),
+    /Failed to load plugin \.\/quality\/missing\.mjs/,
+  );
+});
+
+test("plugin payloads land in the dataset and the report nav", async () => {
+  const cwd = tempProject();
+  const [check] = await loadQualityPlugins(["./quality/cookie-banner.mjs"], {
+    cwd,
+  });
+  const reportRoot = path.join(cwd, "reports");
+  const result = await runPluginCheck(check, {
+    urls: ["https://example.com/en", "https://example.com/de"],
+    options: { match: "/en" },
+    reportDir: path.join(reportRoot, check.id),
+  });
+
+  assert.equal(result.summary, "cookie summary");
+  assert.equal(result.failed, true);
+  assert.deepEqual(result.payload, {
+    selected: true,
+    failed: true,
+    stats: { missing: 1 },
+    issues: ["https://example.com/en"],
+    meta: {},
+    findings: [
+      makeFinding("cookie-banner", { message: "https://example.com/en" }),
+    ],
+  });
+  assert.equal(result.payload.findings[0].ruleId, "cookie-banner");
+  assert.ok(fs.existsSync(path.join(reportRoot, check.id)));
+
+  const dataset = buildCanonicalDataset({
+    runId: "run",
+    createdAt: "2026-01-01T00:00:00.000Z",
+    selectedTarget: { key: "staging", name: "Staging" },
+    baseUrl: "https://example.com",
+    selectedChecks: { "cookie-banner": true, "other-plugin": true },
+    failures: ["Cookie banner", "other-plugin"],
+    reportRoot,
+    logRoot: path.join(reportRoot, "logs"),
+    pluginChecks: { "cookie-banner": result.payload, "other-plugin": null },
+  });
+  assert.deepEqual(dataset.selectedChecks, ["cookie-banner", "other-plugin"]);
+  assert.deepEqual(dataset.checks["cookie-banner"], result.payload);
+  assert.equal(dataset.checks["other-plugin"].failed, true);
+  assert.deepEqual(validateRunDataset(dataset), []);
+
+  const links = reportNavLinks({
+    basePath: "/views/html/run",
+    selectedChecks: ["seo", "cookie-banner", "other-plugin"],
+    checkNames: { "cookie-banner": "Cookie banner" },
+  });
+  assert.deepEqual(
+    links.map((link) => link.href),
+    [
+      "/views/html/run/index.html",
+      "/views/html/run/seo.html",
+      "/views/html/run/cookie-banner.html",
+      "/views/html/run/other-plugin.html",
+    ],
+  );
+  assert.deepEqual(
+    links.slice(2).map((link) => link.label),
+    ["Cookie banner", "other-plugin"],
+  );
+});
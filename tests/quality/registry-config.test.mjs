@@ -11,9 +11,14 @@ import {
 } from "../../src/quality/core/registry.mjs";
 import {
   applyQualityConfigToSelection,
+  applyQualityProfile,
+  effectiveQualityConfig,
   loadQualityConfig,
   orderedSelectedChecks,
+  resolveLayeredQualityConfig,
+  resolveQualityConfig,
 } from "../../src/quality/core/config.mjs";
+import { QualityConfigError } from "../../src/quality/core/errors.mjs";
 
 function tempDir() {
   return fs.mkdtempSync(path.join(os.tmpdir(), "yws-quality-config-"));
@@ -47,18 +52,16 @@ test("quality config loads and normalizes check settings", async () => {
     JSON.stringify(
       {
         checks: {
-          enabled: ["axe", "form", "seo", "links", "invalid"],
+          enabled: ["axe", "form", "seo", "links"],
           disabled: ["links"],
           order: ["form", "axe", "links", "seo"],
           thresholds: {
             form: { failed: 0 },
             seo: { errorCount: 0, warningCount: 3 },
-            invalid: { foo: 1 },
           },
           options: {
             form: { includeUploads: true },
             seo: { strict: true },
-            invalid: { foo: "bar" },
           },
         },
       },
@@ -117,3 +120,312 @@ test("quality config selection and ordering are applied", () => {
   const ordered = orderedSelectedChecks(next, config);
   assert.deepEqual(ordered, ["seo"]);
 });
+
+test("quality config reports every schema problem with path and suggestion", async () => {
+  const cwd = tempDir();
+  fs.writeFileSync(
+    path.join(cwd, "quality.config.json"),
+    JSON.stringify({
+      checks: {
+        enabeld: ["seo"],
+        order: ["lighthuose", "seo"],
+        thresholds: { seo: { errorCount: "0" }, "link-check": { broken: 0 } },
+      },
+      plugns: [],
+    }),
+    "utf8",
+  );
+
+  await assert.rejects(loadQualityConfig(cwd), (error) => {
+    assert.ok(error instanceof QualityConfigError);
+    assert.deepEqual(error.message.split("\n"), [
+      "Invalid quality.config.json:",
+      '  - $.checks.enabeld: unknown key. Did you mean "enabled"?',
+      '  - $.checks.thresholds.seo.errorCount: expected number (got "0").',
+      '  - $.plugns: unknown key. Did you mean "plugins"?',
+    ]);
+    assert.equal(error.details.length, 3);
+    return true;
+  });
+
+  await assert.rejects(
+    resolveQualityConfig(
+      {
+        checks: {
+          order: ["lighthuose", "seo"],
+          thresholds: { "link-check": { broken: 0 } },
+        },
+      },
+      { cwd },
+    ),
+    (error) => {
+      assert.deepEqual(error.details, [
+        {
+          path: "$.checks.order[0]",
+          value: "lighthuose",
+          message: "unknown check id",
+          suggestion: "lighthouse",
+        },
+        {
+          path: '$.checks.thresholds["link-check"]',
+          value: "link-check",
+          message: "unknown check id",
+          suggestion: null,
+        },
+      ]);
+      return true;
+    },
+  );
+});
+
+test("effective quality config resolves the run order", async () => {
+  const config = await resolveQualityConfig({
+    checks: {
+      disabled: ["lighthouse", "pa11y", "axe", "form", "security"],
+      order: ["links", "seo"],
+      thresholds: { seo: { errorCount: 0 } },
+    },
+    gate: { rules: ["seo.errorCount<=0"] },
+  });
+  assert.deepEqual(effectiveQualityConfig(config), {
+    path: null,
+    extends: [],
+    profile: null,
+    targets: {},
+    concurrency: 1,
+    browserPool: { enabled: true, size: 1 },
+    pageCache: { enabled: true },
+    gate: { rules: ["seo.errorCount <= 0"] },
+    hooks: {},
+    plugins: [],
+    checks: {
+      enabled: ["links", "seo", "jsonld", "sitespeed", "vnu"],
+      disabled: ["lighthouse", "pa11y", "axe", "form", "security"],
+      order: ["links", "seo"],
+      thresholds: { seo: { errorCount: 0 } },
+      options: {},
+      exclusive: [],
+      resources: {},
+      timeoutMs: {},
+      retries: {},
+    },
+  });
+});
+
+test("target profiles deep-merge over the base config", async () => {
+  const raw = {
+    checks: {
+      disabled: ["wappalyzer"],
+      thresholds: { lighthouse: { performance: 0.8, seo: 0.9 } },
+      options: { form: { timeoutMs: 5000 } },
+    },
+    profiles: {
+      production: { checks: { disabled: ["form"] } },
+      staging: {
+        checks: { thresholds: { lighthouse: { performance: 0.95 } } },
+      },
+    },
+  };
+
+  const staging = await resolveQualityConfig(raw, { target: "staging" });
+  assert.equal(staging.profile, "staging");
+  assert.deepEqual(staging.checks.thresholds.lighthouse, {
+    performance: 0.95,
+    seo: 0.9,
+  });
+  assert.deepEqual(staging.checks.disabled, ["wappalyzer"]);
+
+  const production = await resolveQualityConfig(raw, {
+    target: "production",
+  });
+  assert.equal(production.profile, "production");
+  assert.deepEqual(production.checks.disabled, ["form"]);
+  assert.deepEqual(production.checks.options.form, { timeoutMs: 5000 });
+
+  const development = await resolveQualityConfig(raw, {
+    target: "development",
+  });
+  assert.equal(development.profile, null);
+  assert.deepEqual(development.checks.thresholds.lighthouse, {
+    performance: 0.8,
+    seo: 0.9,
+  });
+
+  await assert.rejects(
+    resolveQualityConfig({
+      profiles: { staging: { checks: { disabled: ["fomr"] } } },
+    }),
+    /\$\.profiles\.staging\.checks\.disabled\[0\]: unknown check id \(got "fomr"\)\. Did you mean "form"\?/,
+  );
+});
+
+test("one layered config serves the base config and every target profile", async () => {
+  const raw = {
+    checks: { disabled: ["wappalyzer"] },
+    profiles: { production: { checks: { disabled: ["form"] } } },
+  };
+  const layered = await resolveLayeredQualityConfig(raw);
+
+  assert.deepEqual(
+    applyQualityProfile(layered),
+    await resolveQualityConfig(raw),
+  );
+  assert.deepEqual(
+    applyQualityProfile(layered, "production"),
+    await resolveQualityConfig(raw, { target: "production" }),
+  );
+  assert.deepEqual(applyQualityProfile(layered).checks.disabled, [
+    "wappalyzer",
+  ]);
+});
+
+test("config targets are validated and normalized", async () => {
+  const config = await resolveQualityConfig({
+    targets: { uat: { baseUrlEnv: "UAT_URL", checks: { security: false } } },
+  });
+  assert.deepEqual(config.targets.uat, {
+    name: "uat",
+    baseUrl: null,
+    baseUrlEnv: "UAT_URL",
+    usesLocalBuild: false,
+    auth: null,
+    checks: { security: false },
+  });
+
+  await assert.rejects(
+    resolveQualityConfig({
+      targets: {
+        custom: { baseUrl: "https://example.com" },
+        uat: { auth: { type: "basic", usernameEnv: "UAT_USER" } },
+        preview: { baseUrl: "preview.example.com", checks: { secuirty: true } },
+      },
+    }),
+    (error) => {
+      assert.deepEqual(
+        error.details.map((issue) => `${issue.path}: ${issue.message}`),
+        [
+          "$.targets.custom: reserved for --base <url>",
+          "$.targets.uat: needs baseUrl or baseUrlEnv",
+          "$.targets.uat.auth.passwordEnv: required for basic auth",
+          "$.targets.preview.baseUrl: expected an absolute http(s) URL",
+        ],
+      );
+      return true;
+    },
+  );
+
+  await assert.rejects(
+    resolveQualityConfig({
+      targets: {
+        preview: {
+          baseUrl: "https://preview.example.com",
+          checks: { secuirty: true },
+        },
+      },
+    }),
+    /\$\.targets\.preview\.checks\.secuirty: unknown check id \(got "secuirty"\)\. Did you mean "security"\?/,
+  );
+});
+
+test("extends layers presets and shared files under the project config", async () => {
+  const cwd = tempDir();
+  fs.mkdirSync(path.join(cwd, "shared"));
+  fs.writeFileSync(
+    path.join(cwd, "shared", "agency.json"),
+    JSON.stringify({
+      extends: "yws:strict",
+      plugins: ["./cookie-banner.mjs"],
+      checks: { disabled: ["vnu"] },
+    }),
+    "utf8",
+  );
+  fs.writeFileSync(
+    path.join(cwd, "shared", "cookie-banner.mjs"),
+    `export default {
+  id: "cookie-banner",
+  collect: async () => ({}),
+  normalize: async () => ({}),
+  summarize: async () => "",
+};
+`,
+    "utf8",
+  );
+  fs.writeFileSync(
+    path.join(cwd, "quality.config.json"),
+    JSON.stringify({
+      extends: ["./shared/agency.json"],
+      gate: { rules: ["lighthouse.performance >= 0.7"] },
+    }),
+    "utf8",
+  );
+
+  const config = await loadQualityConfig(cwd);
+  assert.deepEqual(config.extends, [
+    "yws:recommended",
+    "yws:strict",
+    path.join("shared", "agency.json"),
+  ]);
+  assert.deepEqual(
+    config.gate.rules.map((rule) => rule.rule),
+    ["lighthouse.performance >= 0.7"],
+  );
+  assert.deepEqual(config.checks.disabled, ["vnu"]);
+  assert.equal(config.checks.enabled.includes("form"), true);
+  assert.deepEqual(
+    config.plugins.map((check) => check.id),
+    ["cookie-banner"],
+  );
+
+  const safe = await resolveQualityConfig({ extends: "yws:production-safe" });
+  assert.deepEqual(safe.checks.disabled, ["form", "security", "sitespeed"]);
+
+  await assert.rejects(
+    resolveQualityConfig({ extends: "yws:stritc" }),
+    /Unknown preset "yws:stritc".*Did you mean "yws:strict"\?/,
+  );
+
+  fs.writeFileSync(
+    path.join(cwd, "shared", "agency.json"),
+    JSON.stringify({ extends: "../quality.config.json" }),
+    "utf8",
+  );
+  await assert.rejects(
+    loadQualityConfig(cwd),
+    (error) =>
+      error instanceof QualityConfigError &&
+      error.message ===
+        `Circular extends: quality.config.json → ${path.join("shared", "agency.json")} → quality.config.json`,
+  );
+});
+
+test("hooks accept shell commands and functions", async () => {
+  async function warmCache() {}
+  const config = await resolveQualityConfig({
+    hooks: {
+      beforeRun: "npm run seed",
+      afterCheck: ["./upload.sh", warmCache],
+    },
+  });
+  assert.deepEqual(config.hooks, {
+    beforeRun: ["npm run seed"],
+    afterCheck: ["./upload.sh", warmCache],
+  });
+  assert.deepEqual(effectiveQualityConfig(config).hooks, {
+    beforeRun: ["npm run seed"],
+    afterCheck: ["./upload.sh", "function warmCache"],
+  });
+
+  await assert.rejects(
+    resolveQualityConfig({ hooks: { afterRun: [42], beforeChek: "x" } }),
+    (error) => {
+      assert.ok(error instanceof QualityConfigError);
+      assert.match(error.message, /\$\.hooks\.beforeChek: unknown key/);
+      assert.match(error.message, /Did you mean "beforeCheck"\?/);
+      return true;
+    },
+  );
+  await assert.rejects(
+    resolveQualityConfig({ hooks: { afterRun: [42] } }),
+    /\$\.hooks\.afterRun\[0\]: expected a shell command or a function/,
+  );
+});
@@ -1,9 +1,17 @@
 import test from "node:test";
 import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
 
 import { normalizeAxePayload } from "../../src/quality/checks/axe/normalize.mjs";
 import { normalizeVnuPayload } from "../../src/quality/checks/vnu/normalize.mjs";
+import { normalizeSeoPayload } from "../../src/quality/checks/seo/normalize.mjs";
+import { normalizeLinksPayload } from "../../src/quality/checks/links/normalize.mjs";
+import { normalizeSecurityPayload } from "../../src/quality/checks/security/normalize.mjs";
 import { renderCheckCard } from "../../src/quality/renderers/html/templates/check-card.mjs";
+import { renderHtmlRun } from "../../src/quality/renderers/html/render-run.mjs";
+import { buildPagesIndex } from "../../src/quality/core/pages.mjs";
 
 test("axe normalization preserves execution failures without violations", () => {
   const normalized = normalizeAxePayload({
@@ -76,3 +84,221 @@ test("vnu normalization builds page summaries grouped by URL", () => {
   assert.equal(normalized.meta.pageSummaries[0].warnings, 1);
   assert.equal(normalized.meta.pageSummaries[0].issues.length, 2);
 });
+
+test("normalizers map tool issues to shared findings", () => {
+  const axe = normalizeAxePayload({
+    issues: [
+      {
+        pageUrl: "https://example.com/en",
+        ruleId: "image-alt",
+        impact: "critical",
+        help: "Images must have alternate text",
+        helpUrl: "https://dequeuniversity.com/rules/axe/image-alt",
+        nodeCount: 2,
+        selectors: ["main > img", ".hero img"],
+      },
+    ],
+  });
+  assert.deepEqual(
+    axe.findings.map((finding) => [finding.selector, finding.severity]),
+    [
+      ["main > img", "error"],
+      [".hero img", "error"],
+    ],
+  );
+  assert.equal(axe.findings[0].helpUrl, axe.issues[0].helpUrl);
+  assert.notEqual(axe.findings[0].fingerprint, axe.findings[1].fingerprint);
+
+  const seo = normalizeSeoPayload({
+    issues: [
+      {
+        pageUrl: "https://example.com/en",
+        severity: "warn",
+        code: "meta-description-short",
+        message: "Meta description is short.",
+      },
+    ],
+  });
+  assert.deepEqual(seo.findings, [
+    {
+      checkId: "seo",
+      ruleId: "meta-description-short",
+      severity: "warning",
+      pageUrl: "https://example.com/en",
+      selector: null,
+      message: "Meta description is short.",
+      helpUrl: null,
+      fingerprint: seo.findings[0].fingerprint,
+    },
+  ]);
+  assert.match(seo.findings[0].fingerprint, /^[0-9a-f]{16}$/);
+
+  const links = normalizeLinksPayload({
+    links: {
+      broken: [
+        {
+          pageUrl: "https://example.com/en",
+          linkUrl: "https://example.com/gone",
+          status: 404,
+          selector: "footer a",
+        },
+      ],
+      tools: {
+        linkinator: {
+          brokenCount: 1,
+          broken: [
+            { url: "https://example.com/old", parent: null, status: 410 },
+          ],
+        },
+      },
+    },
+  });
+  assert.deepEqual(
+    links.findings.map((finding) => [finding.ruleId, finding.message]),
+    [
+      ["broken-link", "Broken link to https://example.com/gone (404)."],
+      [
+        "linkinator-broken-link",
+        "Broken link to https://example.com/old (410).",
+      ],
+    ],
+  );
+
+  const security = normalizeSecurityPayload({
+    stats: {
+      baseUrl: "https://example.com/",
+      tools: {
+        observatory: {
+          details: {
+            headerDiagnostics: [
+              {
+                code: "missing-referrer-policy",
+                message: "Missing Referrer-Policy header.",
+              },
+            ],
+          },
+        },
+        testssl: {
+          details: {
+            findings: [
+              { severity: "HIGH", id: "BREACH", finding: "vulnerable" },
+            ],
+          },
+        },
+      },
+    },
+  });
+  assert.deepEqual(
+    security.findings.map((finding) => [
+      finding.ruleId,
+      finding.severity,
+      finding.pageUrl,
+    ]),
+    [
+      ["missing-referrer-policy", "warning", "https://example.com/"],
+      ["testssl:BREACH", "error", "https://example.com/"],
+    ],
+  );
+});
+
+test("pages index gathers every check's results per page", () => {
+  const checks = {
+    lighthouse: {
+      selected: true,
+      failed: false,
+      metrics: [
+        {
+          url: "https://example.com/fr/contact/",
+          scores: { performance: 0.62, accessibility: 0.98 },
+          htmlReport: "fr-contact.html",
+        },
+      ],
+      findings: [],
+    },
+    axe: normalizeAxePayload({
+      results: [
+        { url: "https://example.com/fr/contact/", violationCount: 1 },
+        { url: "https://example.com/", violationCount: 0 },
+      ],
+      issues: [
+        {
+          pageUrl: "https://example.com/fr/contact/",
+          ruleId: "label",
+          impact: "serious",
+          help: "Form elements must have labels",
+          selectors: ["input#email"],
+        },
+      ],
+    }),
+    seo: normalizeSeoPayload({
+      issues: [
+        {
+          pageUrl: "https://example.com/fr/contact/index.html",
+          severity: "warn",
+          code: "meta-description-short",
+          message: "Meta description is short.",
+        },
+      ],
+    }),
+  };
+  const pages = buildPagesIndex(checks);
+
+  assert.deepEqual(Object.keys(pages), ["/", "/fr/contact"]);
+  const contact = pages["/fr/contact"];
+  assert.equal(contact.url, "https://example.com/fr/contact/");
+  assert.deepEqual(contact.checks.lighthouse, {
+    status: "passed",
+    score: 0.62,
+    scores: { performance: 0.62, accessibility: 0.98 },
+    findings: { error: 0, warning: 0, info: 0 },
+    artifacts: [
+      {
+        label: "Lighthouse report",
+        path: "lighthouse/reports/fr-contact.html",
+      },
+    ],
+  });
+  assert.equal(contact.checks.axe.status, "failed");
+  assert.deepEqual(contact.checks.axe.findings, {
+    error: 1,
+    warning: 0,
+    info: 0,
+  });
+  assert.deepEqual(contact.checks.axe.artifacts, [
+    { label: "Page report", path: "axe/pages/0001.html" },
+  ]);
+  assert.equal(contact.checks.seo.status, "warn");
+  assert.equal(pages["/"].checks.axe.status, "passed");
+
+  const cwd = fs.mkdtempSync(path.join(os.tmpdir(), "yws-pages-view-"));
+  renderHtmlRun({
+    cwd,
+    runId: "run-1",
+    dataset: { selectedChecks: Object.keys(checks), checks, pages },
+  });
+  const viewDir = path.join(cwd, "reports", "views", "html", "run-1");
+  const index = fs.readFileSync(
+    path.join(viewDir, "pages", "index.html"),
+    "utf8",
+  );
+  assert.match(index, /href="\.\/0002-fr-contact\.html"/);
+  assert.match(
+    fs.readFileSync(path.join(viewDir, "index.html"), "utf8"),
+    /href="\/views\/html\/run-1\/pages\/index\.html">Pages</,
+  );
+  const detail = fs.readFileSync(
+    path.join(viewDir, "pages", "0002-fr-contact.html"),
+    "utf8",
+  );
+  for (const heading of ["Lighthouse", "Accessibility (aXe)", "SEO"]) {
+    assert.match(
+      detail,
+      new RegExp(`<h2>${heading.replace(/[()]/g, "\\$&")}</h2>`),
+    );
+  }
+  assert.match(detail, /Form elements must have labels/);
+  assert.match(
+    detail,
+    /\/views\/html\/run-1\/lighthouse\/reports\/fr-contact\.html/,
+  );
+});
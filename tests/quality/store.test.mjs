@@ -8,11 +8,22 @@ import {
   cleanRunsKeep,
   deleteRun,
   listRuns,
+  migrateRuns,
   pruneRunsOlderThan,
   readLatestRunId,
   readRun,
+  updateRunSnapshot,
+  writeRunDataset,
   writeRunSnapshot,
 } from "../../src/quality/store/index.mjs";
+import { makeFinding } from "../../src/quality/core/findings.mjs";
+import { readFindingBaselines } from "../../src/quality/core/finding-history.mjs";
+import {
+  appendRunHistory,
+  mergeResumedDataset,
+  readResumableRun,
+  resumeCheckIds,
+} from "../../src/quality/core/resume.mjs";
 
 function tempDir() {
   return fs.mkdtempSync(path.join(os.tmpdir(), "yws-quality-store-"));
@@ -69,6 +80,248 @@ test("writeRunSnapshot writes run, latest pointer, and raw/view artifacts", () =
   assert.equal(loaded.runId, snapshot.runId);
 });
 
+test("snapshots are validated against the run and check schemas", () => {
+  const cwd = tempDir();
+  const dataset = {
+    schemaVersion: "1.0.0",
+    runId: "__pending__",
+    createdAt: "2026-01-01T00:00:00.000Z",
+    statu: "completed",
+    target: { baseUrl: "http://localhost:4321", usesLocalBuild: true },
+    selectedChecks: ["seo", "lighthouse"],
+    failures: [],
+    checks: {
+      seo: { selected: true, failed: "no", issues: ["missing title"] },
+      lighthouse: { selected: true, failed: false, metrics: [] },
+    },
+  };
+
+  assert.throws(
+    () => writeRunSnapshot({ cwd, meta: {}, dataset }),
+    (error) =>
+      error.code === "E_QUALITY_DATASET" &&
+      error.details.length === 2 &&
+      /\$\.statu: unknown key\. Did you mean "status"\?/.test(error.message) &&
+      /\$\.checks\.seo\.failed: expected boolean \(got "no"\)/.test(
+        error.message,
+      ),
+  );
+  assert.equal(fs.existsSync(path.join(cwd, "reports", "runs")), false);
+
+  const snapshot = writeRunSnapshot({
+    cwd,
+    meta: {},
+    dataset,
+    invalid: "flag",
+  });
+  assert.equal(snapshot.issues.length, 2);
+  const warnings = [];
+  const run = readRun(snapshot.runId, cwd, {
+    logger: { warn: (line) => warnings.push(line) },
+  });
+  assert.deepEqual(run.meta.schemaIssues, [
+    '$.statu: unknown key. Did you mean "status"?',
+    '$.checks.seo.failed: expected boolean (got "no").',
+  ]);
+  assert.deepEqual(
+    run.issues.map((issue) => issue.path),
+    ["$.statu", "$.checks.seo.failed"],
+  );
+  assert.match(warnings[0], /2 issues.*validate-run --run /);
+
+  // Later rewrites of dataset.json are validated the same way.
+  const fixed = {
+    ...dataset,
+    runId: snapshot.runId,
+    checks: {
+      ...dataset.checks,
+      seo: { ...dataset.checks.seo, failed: true },
+    },
+  };
+  delete fixed.statu;
+  assert.throws(
+    () => writeRunDataset({ cwd, runId: snapshot.runId, dataset }),
+    (error) => error.code === "E_QUALITY_DATASET",
+  );
+  assert.deepEqual(
+    writeRunDataset({ cwd, runId: snapshot.runId, dataset: fixed }).issues,
+    [],
+  );
+  const rewritten = readRun(snapshot.runId, cwd);
+  assert.equal(rewritten.dataset.runId, snapshot.runId);
+  assert.equal(rewritten.meta.schemaIssues, undefined);
+});
+
+test("v1 snapshots are migrated on read and rewritten with a backup", () => {
+  const cwd = tempDir();
+  const dataset = {
+    schemaVersion: "1.0.0",
+    runId: "__pending__",
+    createdAt: "2026-01-01T00:00:00.000Z",
+    target: { baseUrl: "https://example.com", usesLocalBuild: false },
+    selectedChecks: ["seo", "acme"],
+    failures: [],
+    checks: {
+      seo: {
+        selected: true,
+        failed: true,
+        issues: [
+          {
+            code: "missing-title",
+            severity: "error",
+            pageUrl: "https://example.com/",
+            message: "Missing <title>.",
+          },
+        ],
+      },
+      acme: { selected: true, failed: false, issues: ["Slow image"] },
+    },
+  };
+  const { runId } = writeRunSnapshot({
+    cwd,
+    meta: { createdAt: dataset.createdAt },
+    dataset,
+  });
+  const datasetPath = path.join(cwd, "reports", "runs", runId, "dataset.json");
+  const stored = fs.readFileSync(datasetPath, "utf8");
+
+  const run = readRun(runId, cwd, { logger: { warn: assert.fail } });
+  assert.equal(run.migratedFrom, "1.0.0");
+  assert.equal(run.dataset.schemaVersion, "2.1.0");
+  assert.deepEqual(run.issues, []);
+  assert.deepEqual(
+    run.dataset.checks.seo.findings.map((finding) => finding.ruleId),
+    ["missing-title"],
+  );
+  assert.equal(run.dataset.checks.acme.findings[0].message, "Slow image");
+  assert.deepEqual(run.dataset.pages["/"].checks.seo.findings, {
+    error: 1,
+    warning: 0,
+    info: 0,
+  });
+  assert.equal(fs.readFileSync(datasetPath, "utf8"), stored);
+
+  const preview = migrateRuns({ cwd, dryRun: true });
+  assert.equal(preview.results[0].reason, "dry-run");
+  assert.equal(fs.readFileSync(datasetPath, "utf8"), stored);
+
+  const summary = migrateRuns({ cwd });
+  assert.equal(summary.migrated, 1);
+  assert.equal(
+    fs.readFileSync(
+      path.join(cwd, "reports", "runs", runId, "dataset.v1.json"),
+      "utf8",
+    ),
+    stored,
+  );
+  const migrated = readRun(runId, cwd);
+  assert.equal(migrated.migratedFrom, null);
+  assert.deepEqual(migrated.dataset, run.dataset);
+  assert.equal(migrated.meta.migrations[0].backup, "dataset.v1.json");
+  assert.equal(migrateRuns({ cwd }).results[0].reason, "current");
+  assert.equal(
+    migrateRuns({ cwd, runId: "missing" }).results[0].reason,
+    "not-found",
+  );
+});
+
+test("2.0 snapshots gain the pages index on read and on migrate-runs", () => {
+  const cwd = tempDir();
+  const { runId } = writeRunSnapshot({
+    cwd,
+    meta: { createdAt: "2026-01-01T00:00:00.000Z" },
+    dataset: {
+      schemaVersion: "2.0.0",
+      runId: "__pending__",
+      createdAt: "2026-01-01T00:00:00.000Z",
+      target: { baseUrl: "https://example.com", usesLocalBuild: false },
+      selectedChecks: ["seo"],
+      failures: [],
+      checks: {
+        seo: {
+          selected: true,
+          failed: false,
+          issues: [],
+          findings: [
+            makeFinding("seo", {
+              ruleId: "meta-description-short",
+              severity: "warning",
+              pageUrl: "https://example.com/fr/contact/",
+            }),
+          ],
+        },
+      },
+    },
+  });
+
+  const run = readRun(runId, cwd, { logger: { warn: assert.fail } });
+  assert.equal(run.migratedFrom, "2.0.0");
+  assert.equal(run.dataset.schemaVersion, "2.1.0");
+  assert.equal(run.dataset.pages["/fr/contact"].checks.seo.status, "warn");
+
+  const summary = migrateRuns({ cwd });
+  assert.deepEqual(
+    summary.results.map((result) => [result.reason, result.from, result.to]),
+    [["migrated", "2.0.0", "2.1.0"]],
+  );
+  const migrated = readRun(runId, cwd);
+  assert.equal(migrated.migratedFrom, null);
+  assert.deepEqual(migrated.dataset.pages, run.dataset.pages);
+  assert.ok(
+    fs.existsSync(path.join(cwd, "reports", "runs", runId, "dataset.v2.json")),
+  );
+});
+
+test("snapshots without a migration path are reported, not thrown", () => {
+  const cwd = tempDir();
+  const writeRun = (runId, schemaVersion, createdAt) =>
+    writeRunSnapshot({
+      cwd,
+      runId,
+      meta: { createdAt, target: "staging" },
+      dataset: {
+        schemaVersion,
+        runId,
+        createdAt,
+        target: { baseUrl: "https://example.com", usesLocalBuild: false },
+        selectedChecks: ["seo"],
+        failures: [],
+        checks: { seo: { selected: true, failed: false, issues: [] } },
+      },
+      invalid: "flag",
+    });
+  writeRun("old", "0.9.0", "2026-01-01T00:00:00.000Z");
+  writeRun("v1", "1.0.0", "2026-01-02T00:00:00.000Z");
+
+  const warnings = [];
+  const run = readRun("old", cwd, {
+    logger: { warn: (line) => warnings.push(line) },
+  });
+  assert.equal(run.dataset.schemaVersion, "0.9.0");
+  assert.equal(run.migratedFrom, null);
+  assert.equal(run.issues[0].path, "$.schemaVersion");
+  assert.match(run.issues[0].message, /no migration to schema 2\.1\.0/);
+  assert.match(warnings[0], /Run old dataset\.json does not match/);
+
+  assert.equal(
+    readFindingBaselines(cwd, {
+      target: "staging",
+      before: "2026-01-03T00:00:00.000Z",
+      checkIds: ["axe"],
+    }).axe,
+    undefined,
+  );
+
+  const summary = migrateRuns({ cwd });
+  const byRun = Object.fromEntries(
+    summary.results.map((result) => [result.runId, result]),
+  );
+  assert.equal(byRun.old.reason, "invalid");
+  assert.equal(byRun.old.issues[0].path, "$.schemaVersion");
+  assert.equal(byRun.v1.reason, "migrated");
+  assert.equal(summary.migrated, 1);
+});
+
 test("deleteRun protects latest unless forced", () => {
   const cwd = tempDir();
   const snapshot = writeRunSnapshot({
@@ -140,3 +393,115 @@ test("clean and prune run operations produce expected targeting", () => {
   assert.ok(old.runId);
   assert.ok(recent.runId);
 });
+
+test("resume merges re-run checks into an existing run", () => {
+  const cwd = tempDir();
+  const urlsFile = makeRawFile(cwd, "urls.json", '["https://example.com/"]');
+  const seoRaw = makeRawFile(cwd, "seo-old.json", "old");
+  const meta = {
+    createdAt: "2026-01-01T00:00:00.000Z",
+    target: "staging",
+    status: "interrupted",
+    checks: ["seo", "links"],
+    interrupted: ["jsonld"],
+    failures: ["Link check"],
+  };
+  const snapshot = writeRunSnapshot({
+    cwd,
+    meta,
+    dataset: {
+      schemaVersion: "1.0.0",
+      runId: "__pending__",
+      createdAt: "2026-01-01T00:00:00.000Z",
+      status: "interrupted",
+      target: {
+        key: "staging",
+        baseUrl: "https://example.com",
+        usesLocalBuild: false,
+      },
+      selectedChecks: ["seo", "links"],
+      failures: ["Link check"],
+      checks: {
+        seo: { selected: true, failed: false, stats: { errorCount: 0 } },
+        links: { selected: true, failed: true, stats: { broken: 2 } },
+      },
+    },
+    rawSources: [
+      { checkId: "suite", path: urlsFile, name: "urls.json" },
+      { checkId: "seo", path: seoRaw, name: "old.json" },
+      { checkId: "links", path: seoRaw, name: "old.json" },
+    ],
+  });
+
+  const run = readResumableRun(snapshot.runId, cwd);
+  assert.equal(run.dataset.schemaVersion, "2.1.0");
+  assert.deepEqual(run.urls.selectedUrls, ["https://example.com/"]);
+  assert.deepEqual(resumeCheckIds(run), ["jsonld"]);
+  assert.deepEqual(resumeCheckIds(run, { onlyFailed: true }), [
+    "links",
+    "jsonld",
+  ]);
+  assert.deepEqual(resumeCheckIds(run, { checks: ["seo"] }), ["seo"]);
+
+  const merged = mergeResumedDataset(
+    run.dataset,
+    {
+      status: "completed",
+      selectedChecks: ["links", "jsonld"],
+      failures: [],
+      checks: {
+        links: {
+          selected: true,
+          failed: false,
+          stats: { broken: 0 },
+          findings: [],
+        },
+        jsonld: { selected: true, failed: false, stats: {}, findings: [] },
+      },
+    },
+    { checkName: (id) => ({ links: "Link check" })[id] || id },
+  );
+  assert.equal(merged.status, "completed");
+  assert.deepEqual(merged.selectedChecks, ["seo", "links", "jsonld"]);
+  assert.deepEqual(merged.failures, []);
+  assert.equal(merged.checks.seo.stats.errorCount, 0);
+  assert.equal(merged.checks.links.stats.broken, 0);
+
+  const history = appendRunHistory(run.meta, {
+    at: "2026-01-02T00:00:00.000Z",
+    mode: "resume",
+    checks: ["links", "jsonld"],
+    failures: [],
+    status: "completed",
+  });
+  assert.deepEqual(
+    history.map((entry) => [entry.mode, entry.status]),
+    [
+      ["run", "interrupted"],
+      ["resume", "completed"],
+    ],
+  );
+
+  const linksRaw = makeRawFile(cwd, "links-new.json", "new");
+  updateRunSnapshot({
+    cwd,
+    runId: snapshot.runId,
+    checks: ["links", "jsonld"],
+    meta: { ...run.meta, status: merged.status, history },
+    dataset: merged,
+    rawSources: [{ checkId: "links", path: linksRaw, name: "new.json" }],
+  });
+  const raw = path.join(snapshot.runDir, "raw");
+  assert.ok(fs.existsSync(path.join(raw, "seo", "old.json")));
+  assert.equal(fs.existsSync(path.join(raw, "links", "old.json")), false);
+  assert.ok(fs.existsSync(path.join(raw, "links", "new.json")));
+
+  const updated = readRun(snapshot.runId, cwd);
+  assert.equal(updated.meta.createdAt, "2026-01-01T00:00:00.000Z");
+  assert.equal(updated.meta.history.length, 2);
+  assert.deepEqual(updated.dataset.selectedChecks, ["seo", "links", "jsonld"]);
+  assert.throws(
+    () => readResumableRun("missing", cwd),
+    (error) => error.code === "E_QUALITY_RUN",
+  );
+});
@@ -0,0 +1,157 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  QualityError,
+  QualityTargetError,
+} from "../../src/quality/core/errors.mjs";
+import {
+  AUTH_UNSUPPORTED_REASON,
+  buildCheckAvailability,
+  getTargetChoices,
+  resolveTarget,
+  targetAuthHeaders,
+} from "../../src/quality/core/targets.mjs";
+
+test("target choices resolve URLs from env vars and .env values", () => {
+  const targets = getTargetChoices(
+    { STAGING_URL: "https://staging.example.com" },
+    { SITE_URL: "https://example.com" },
+  );
+  const byKey = Object.fromEntries(targets.map((entry) => [entry.key, entry]));
+
+  assert.equal(byKey.development.baseUrl, "http://localhost:4321/");
+  assert.equal(byKey.development.usesLocalBuild, true);
+  assert.equal(byKey.staging.baseUrl, "https://staging.example.com/");
+  assert.equal(byKey.production.baseUrl, "https://example.com/");
+  assert.equal(byKey.production.disabled, false);
+});
+
+test("resolveTarget prefers explicit base URL over target key", () => {
+  const target = resolveTarget({
+    target: "production",
+    baseUrl: "https://preview.example.com",
+    env: {},
+  });
+  assert.equal(target.key, "custom");
+  assert.equal(target.baseUrl, "https://preview.example.com/");
+  assert.equal(target.usesLocalBuild, false);
+});
+
+test("resolveTarget throws typed errors for unknown or unconfigured targets", () => {
+  assert.throws(
+    () => resolveTarget({ target: "qa", env: {} }),
+    (error) =>
+      error instanceof QualityTargetError &&
+      error instanceof QualityError &&
+      error.code === "E_QUALITY_TARGET",
+  );
+  assert.throws(
+    () => resolveTarget({ target: "production", env: {} }),
+    /SITE_URL is not configured/,
+  );
+  assert.throws(
+    () => resolveTarget({ baseUrl: "not a url", env: {} }),
+    QualityTargetError,
+  );
+});
+
+test("config targets join the choices and resolve with availability and auth", () => {
+  const configTargets = {
+    uat: {
+      name: "Client UAT",
+      baseUrl: "https://uat.example.com",
+      baseUrlEnv: "UAT_URL",
+      usesLocalBuild: false,
+      auth: { type: "basic", usernameEnv: "UAT_USER", passwordEnv: "UAT_PASS" },
+      checks: { security: false, jsonld: true },
+    },
+    staging: {
+      name: "Staging EU",
+      baseUrl: "https://eu.staging.example.com",
+      baseUrlEnv: null,
+      usesLocalBuild: false,
+      auth: null,
+      checks: {},
+    },
+    preview: {
+      name: "Preview",
+      baseUrl: null,
+      baseUrlEnv: "PREVIEW_URL",
+      usesLocalBuild: false,
+      auth: { type: "header", header: "X-Preview-Token", valueEnv: "TOKEN" },
+      checks: {},
+    },
+  };
+  const env = { UAT_URL: "https://uat-2.example.com" };
+  const targets = getTargetChoices({}, env, configTargets);
+  assert.deepEqual(
+    targets.map((entry) => entry.key),
+    ["development", "staging", "production", "uat", "preview"],
+  );
+  const byKey = Object.fromEntries(targets.map((entry) => [entry.key, entry]));
+  assert.equal(
+    byKey.staging.name,
+    "Staging EU (https://eu.staging.example.com/)",
+  );
+  assert.equal(byKey.uat.baseUrl, "https://uat-2.example.com/");
+  assert.equal(byKey.uat.source, "UAT_URL");
+  assert.equal(byKey.preview.disabled, true);
+  assert.match(byKey.preview.name, /missing PREVIEW_URL/);
+
+  const uat = resolveTarget({ target: "uat", env, targets: configTargets });
+  const availability = buildCheckAvailability(uat);
+  assert.equal(availability.security.enabled, false);
+  assert.equal(availability.security.reason, "Disabled for target uat");
+  assert.equal(availability.jsonld.enabled, true);
+
+  assert.throws(
+    () => targetAuthHeaders(uat, { env }),
+    /set UAT_USER and UAT_PASS/,
+  );
+  assert.deepEqual(
+    targetAuthHeaders(uat, {
+      envValues: { UAT_USER: "client", UAT_PASS: "secret" },
+      env,
+    }),
+    {
+      Authorization: `Basic ${Buffer.from("client:secret").toString("base64")}`,
+    },
+  );
+  assert.deepEqual(
+    targetAuthHeaders(
+      { key: "preview", auth: configTargets.preview.auth },
+      { env: { TOKEN: "abc" } },
+    ),
+    { "X-Preview-Token": "abc" },
+  );
+  assert.throws(
+    () => resolveTarget({ target: "qa", env, targets: configTargets }),
+    /Use one of: development, staging, production, uat, preview\./,
+  );
+});
+
+test("auth targets disable checks that cannot scope their headers", () => {
+  const auth = { type: "basic", usernameEnv: "U", passwordEnv: "P" };
+  const remote = buildCheckAvailability({ key: "uat", auth });
+  assert.deepEqual(remote.vnu, {
+    enabled: false,
+    reason: AUTH_UNSUPPORTED_REASON,
+  });
+  assert.equal(remote.wappalyzer.enabled, false);
+  for (const checkId of ["lighthouse", "pa11y", "sitespeed"]) {
+    assert.equal(remote[checkId].enabled, false);
+  }
+  assert.equal(remote.axe.enabled, true);
+  assert.equal(remote.form.enabled, true);
+
+  const local = buildCheckAvailability({
+    key: "development",
+    usesLocalBuild: true,
+    auth,
+  });
+  assert.equal(local.vnu.enabled, true);
+  assert.equal(local.wappalyzer.enabled, false);
+
+  assert.equal(buildCheckAvailability({ key: "uat" }).vnu.enabled, true);
+});
@@ -0,0 +1,73 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+import {
+  applyInitPlan,
+  detectAstroProject,
+  formatLineDiff,
+  planInitFiles,
+} from "../../src/scaffold/init.mjs";
+import { resolveLocaleConfig } from "../../src/scaffold/locales.mjs";
+
+function makeProject() {
+  const cwd = fs.mkdtempSync(path.join(os.tmpdir(), "yws-init-"));
+  fs.writeFileSync(
+    path.join(cwd, "package.json"),
+    `${JSON.stringify({ name: "site", scripts: { test: "custom" }, devDependencies: { astro: "^5.0.0" } }, null, 2)}\n`,
+  );
+  fs.mkdirSync(path.join(cwd, "public", "content", "fr"), { recursive: true });
+  fs.mkdirSync(path.join(cwd, "public", "content", "en"), { recursive: true });
+  fs.writeFileSync(path.join(cwd, ".env"), "SITE_URL=https://example.com\n");
+  return cwd;
+}
+
+test("init plans missing files, merges existing ones and is idempotent", async () => {
+  const cwd = makeProject();
+  try {
+    assert.equal(detectAstroProject(cwd).isAstro, true);
+    const localeConfig = await resolveLocaleConfig(cwd);
+    assert.deepEqual(localeConfig.locales.sort(), ["en", "fr"]);
+
+    const plan = planInitFiles({ cwd, localeConfig });
+    const byFile = Object.fromEntries(plan.map((entry) => [entry.file, entry]));
+    assert.equal(byFile["quality.config.json"].status, "create");
+    assert.equal(byFile["lighthouserc.cjs"].status, "create");
+    assert.equal(
+      byFile[path.join("public", "content", "fr", "menu.json")].status,
+      "create",
+    );
+    assert.equal(byFile[".env"].status, "update");
+    assert.match(byFile[".env"].after, /^SITE_URL=https:\/\/example.com\n/);
+    assert.match(byFile[".env"].after, /STAGING_URL=\n/);
+
+    const pkg = JSON.parse(byFile["package.json"].after);
+    assert.equal(pkg.scripts.test, "custom");
+    assert.equal(pkg.scripts.doctor, "yws-toolkit doctor");
+
+    applyInitPlan(plan);
+    const second = planInitFiles({ cwd, localeConfig });
+    assert.ok(second.every((entry) => entry.status === "unchanged"));
+  } finally {
+    fs.rmSync(cwd, { recursive: true, force: true });
+  }
+});
+
+test("line diff marks added and removed lines with context", () => {
+  const diff = formatLineDiff("a\nb\nc\nd\ne\nf", "a\nb\nc\nd\nX\nf", "file");
+  assert.equal(
+    diff,
+    [
+      "--- file",
+      "+++ file (init)",
+      "  ...",
+      "  c",
+      "  d",
+      "+ X",
+      "- e",
+      "  f",
+    ].join("\n"),
+  );
+});